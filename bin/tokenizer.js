@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * Tokenizer command-line entry point
+ * Run `tokenizer --help` for the available commands
+ */
+
+const { main } = require('../src/cli');
+
+// Stop quietly when the reader of stdout goes away, as with `| head`
+process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') {
+        process.exit(0);
+    }
+    throw error;
+});
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,55 @@
+/**
+ * Quick demo of the tokenizer, shown by `node index.js`
+ * Works on a vocabulary in the system's temp directory, so data/vocab.json
+ * is left alone.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenizerAPI = require('../src/api');
+
+const TRAINING_TEXTS = [
+    'Hello, world! This is a simple tokenizer.',
+    'The quick brown fox jumps over the lazy dog.',
+    'Tokenization is the first step in text preprocessing for LLMs.'
+];
+
+const SAMPLE_TEXT = 'Hello, curious fox! Tokenization is simple.';
+
+/**
+ * Train a small vocabulary, then encode and decode a sample text
+ * @returns {Promise<Object>} Processing results for the sample text
+ */
+async function run() {
+    const vocabFile = path.join(os.tmpdir(), `tokenizer-demo-${process.pid}.json`);
+    const api = new TokenizerAPI(vocabFile, { saveDelay: 0 });
+
+    try {
+        console.log('Custom Tokenizer Demo\n');
+
+        const training = api.train(TRAINING_TEXTS);
+        console.log(`Trained on ${training.trainedOnTexts} texts: ${training.vocabularySize} tokens in the vocabulary`);
+
+        console.log(`\nInput:    ${SAMPLE_TEXT}`);
+        const fixed = await api.processText(SAMPLE_TEXT, { expandVocab: false });
+        console.log(`Tokens:   ${JSON.stringify(fixed.tokens)}`);
+        console.log(`IDs:      ${JSON.stringify(fixed.encoded)}  (unknown words become [UNK] = 0)`);
+        console.log(`Decoded:  ${fixed.decoded}`);
+
+        const expanded = await api.processText(SAMPLE_TEXT, { expandVocab: true });
+        console.log(`\nWith expandVocab, new words get their own IDs: ${JSON.stringify(expanded.encoded)}`);
+        console.log(`Decoded:  ${expanded.decoded}`);
+        console.log(`Vocabulary size is now ${expanded.stats.vocabSize}`);
+
+        console.log('\nRun "npm start" for the web interface, or "tokenizer --help" for the command line.');
+        return expanded;
+    } finally {
+        api.close();
+        if (fs.existsSync(vocabFile)) {
+            fs.unlinkSync(vocabFile);
+        }
+    }
+}
+
+module.exports = { run };
@@ -5,22 +5,53 @@
  */
 
 const Tokenizer = require('./src/tokenizer');
+const BpeTokenizer = require('./src/models/bpe');
+const WordPieceTokenizer = require('./src/models/wordpiece');
+const UnigramTokenizer = require('./src/models/unigram');
+const { createTokenizer, importTokenizer } = require('./src/models');
 const TokenizerAPI = require('./src/api');
+const VocabularyRegistry = require('./src/registry');
 const TokenizerUtils = require('./src/utils');
+const Normalizer = require('./src/normalizer');
+const PreTokenizer = require('./src/pretokenizer');
+const Encoding = require('./src/encoding');
+const VocabFormat = require('./src/format');
+const Interop = require('./src/interop');
+const VocabSchema = require('./src/schema');
+const { createApiHandler } = require('./src/server');
+const Analytics = require('./src/analytics');
+const Benchmark = require('./src/benchmark');
 
 // Export main classes and utilities
 module.exports = {
     Tokenizer,
+    BpeTokenizer,
+    WordPieceTokenizer,
+    UnigramTokenizer,
     TokenizerAPI,
+    VocabularyRegistry,
     TokenizerUtils,
+    Normalizer,
+    PreTokenizer,
+    Encoding,
+    VocabFormat,
+    Interop,
+    VocabSchema,
+    Analytics,
+    Benchmark,
+    createApiHandler,
     
     // Convenience functions for backward compatibility
-    createTokenizer: (vocabFile) => new Tokenizer(vocabFile),
-    createAPI: (vocabFile) => new TokenizerAPI(vocabFile)
+    createTokenizer: (vocabFile, options) => createTokenizer(vocabFile, options),
+    importTokenizer: (source, vocabFile, options) => importTokenizer(source, vocabFile, options),
+    createAPI: (vocabFile, options) => new TokenizerAPI(vocabFile, options)
 };
 
 // If run directly, show a simple demo
 if (require.main === module) {
     const demo = require('./examples/demo');
-    demo.run();
+    demo.run().catch(error => {
+        console.error(`Demo failed: ${error.message}`);
+        process.exitCode = 1;
+    });
 }
\ No newline at end of file
@@ -1,45 +1,79 @@
 /**
  * Frontend JavaScript for Custom Tokenizer
- * Simulates the tokenizer functionality for demo purposes
+ * Calls the tokenizer server's JSON API (see src/server.js)
  */
 
 class TokenizerUI {
 	constructor() {
-		this.vocabulary = {
-			'[UNK]': 0,
-			hello: 1,
-			',': 2,
-			world: 3,
-			'!': 4,
-			this: 5,
-			is: 6,
-			a: 7,
-			simple: 8,
-			tokenizer: 9,
-			'.': 10,
-		};
-		this.reverseVocabulary = {};
-		this.nextTokenId = 11;
+		this.apiBase = '/api';
 		this.lastEncodedIds = []; // Store the last encoded IDs for decoding
+		this.lastProcessedText = ''; // Text the server encoded, for the round-trip check
+		this.lastReport = null; // Last analytics report, for export
 		this.stats = {
-			vocabSize: 11,
+			vocabSize: 0,
 			tokensProcessed: 0,
 			newTokensAdded: 0,
 			roundTripSuccess: 100,
 		};
 
-		this.initializeReverseVocab();
 		this.bindEvents();
 		this.updateStats();
-		this.logActivity('Tokenizer UI initialized successfully');
+		this.refreshStats().then(() =>
+			this.logActivity('Tokenizer UI initialized successfully')
+		);
 	}
 
-	initializeReverseVocab() {
-		for (const [token, id] of Object.entries(this.vocabulary)) {
-			this.reverseVocabulary[id] = token;
+	// POST the body as JSON when one is given, GET otherwise
+	async request(route, body) {
+		const options = body
+			? {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(body),
+			  }
+			: {};
+		let response;
+		try {
+			response = await fetch(this.apiBase + route, options);
+		} catch (error) {
+			throw new Error('Tokenizer server is not reachable. Start it with npm start');
+		}
+
+		const payload = await response.json().catch(() => null);
+		if (!response.ok) {
+			const message = payload && payload.error ? payload.error.message : response.statusText;
+			throw new Error(message);
+		}
+		return payload;
+	}
+
+	async refreshStats() {
+		try {
+			const stats = await this.request('/vocab/stats');
+			this.stats.vocabSize = stats.size;
+			this.updateStats();
+		} catch (error) {
+			this.setVocabStatus('error', error.message);
 		}
 	}
 
+	setVocabStatus(kind, message) {
+		const icons = {
+			success: 'fa-check-circle text-green-500',
+			error: 'fa-exclamation-triangle text-red-500',
+			info: 'fa-refresh text-blue-500',
+		};
+		document.getElementById(
+			'vocabStatus'
+		).innerHTML = `<i class="fas ${icons[kind]} mr-1"></i>${this.escapeHtml(message)}`;
+	}
+
+	escapeHtml(text) {
+		const element = document.createElement('span');
+		element.textContent = text;
+		return element.innerHTML;
+	}
+
 	bindEvents() {
 		// Main action buttons
 		document
@@ -51,9 +85,15 @@ class TokenizerUI {
 		document
 			.getElementById('decodeBtn')
 			.addEventListener('click', () => this.decodeFromInput());
+		document
+			.getElementById('analyzeBtn')
+			.addEventListener('click', () => this.analyzeText());
 		document
 			.getElementById('clearBtn')
 			.addEventListener('click', () => this.clearAll());
+		document
+			.getElementById('exportAnalyticsBtn')
+			.addEventListener('click', () => this.exportAnalytics());
 
 		// Vocabulary management buttons
 		document
@@ -125,106 +165,12 @@ class TokenizerUI {
 			this.stats.roundTripSuccess + '%';
 	}
 
-	tokenize(text) {
-		if (!text || typeof text !== 'string') {
-			return [];
-		}
-
-		// Same regex as the Node.js version
-		const tokens = text.match(/\w+|[^\w\s]/g) || [];
-
-		// Convert words to lowercase, keep punctuation as-is
-		return tokens.map((token) => {
-			return /\w/.test(token) ? token.toLowerCase() : token;
-		});
-	}
-
-	addTokenToVocab(token) {
-		if (!(token in this.vocabulary)) {
-			const id = this.nextTokenId++;
-			this.vocabulary[token] = id;
-			this.reverseVocabulary[id] = token;
-			this.stats.vocabSize++;
-			this.stats.newTokensAdded++;
-			this.logActivity(`📝 Added new token: "${token}" (ID: ${id})`);
-			return id;
-		}
-		return this.vocabulary[token];
-	}
-
-	encode(text, expandVocab = true) {
-		const tokens = this.tokenize(text);
-		const unknownId = this.vocabulary['[UNK]'];
-
-		const tokenIds = tokens.map((token) => {
-			if (token in this.vocabulary) {
-				return this.vocabulary[token];
-			} else if (expandVocab) {
-				return this.addTokenToVocab(token);
-			} else {
-				return unknownId;
-			}
-		});
-
-		this.stats.tokensProcessed += tokens.length;
-		return tokenIds;
-	}
-
-	decode(ids) {
-		const tokens = ids.map((id) => {
-			const token = this.reverseVocabulary[id];
-			if (!token) {
-				console.warn(
-					`Unknown token ID: ${id}. Available IDs:`,
-					Object.keys(this.reverseVocabulary)
-				);
-				return '[UNK]';
-			}
-			return token;
-		});
-
-		// Smart text reconstruction - don't add spaces before punctuation
-		let result = '';
-		for (let i = 0; i < tokens.length; i++) {
-			const token = tokens[i];
-
-			if (i === 0) {
-				// First token
-				result += token;
-			} else if (/^[^\w\s]$/.test(token)) {
-				// Punctuation - attach directly to previous token
-				result += token;
-			} else {
-				// Regular word - add space before it
-				result += ' ' + token;
-			}
-		}
-
-		return result;
+	async tokenize(text) {
+		const result = await this.request('/tokenize', { text });
+		return result.tokens;
 	}
 
-	// Helper method to reconstruct text from tokens using same logic as decode
-	reconstructText(tokens) {
-		let result = '';
-		for (let i = 0; i < tokens.length; i++) {
-			const token = tokens[i];
-
-			if (i === 0) {
-				// First token
-				result += token;
-			} else if (/^[^\w\s]$/.test(token)) {
-				// Punctuation - attach directly to previous token
-				result += token;
-			} else {
-				// Regular word - add space before it
-				result += ' ' + token;
-			}
-		}
-
-		return result;
-	}
-
-	tokenizeText() {
+	async tokenizeText() {
 		const text = document.getElementById('inputText').value.trim();
 		if (!text) {
 			this.showError('tokensOutput', 'Please enter some text to tokenize');
@@ -233,25 +179,23 @@ class TokenizerUI {
 
 		this.showLoading();
 
-		setTimeout(() => {
-			try {
-				const tokens = this.tokenize(text);
-				this.displayTokens(tokens);
-				this.logActivity(`Tokenized text into ${tokens.length} tokens`);
-				this.updateStats();
-			} catch (error) {
-				this.showError(
-					'tokensOutput',
-					'Error during tokenization: ' + error.message
-				);
-			} finally {
-				this.hideLoading();
-			}
-		}, 300);
+		try {
+			const tokens = await this.tokenize(text);
+			this.displayTokens(tokens);
+			this.logActivity(`Tokenized text into ${tokens.length} tokens`);
+			this.updateStats();
+		} catch (error) {
+			this.showError(
+				'tokensOutput',
+				'Error during tokenization: ' + error.message
+			);
+		} finally {
+			this.hideLoading();
+		}
 	}
 
 	// Quiet version without loading animation for auto-tokenize
-	tokenizeTextQuiet() {
+	async tokenizeTextQuiet() {
 		const text = document.getElementById('inputText').value.trim();
 		if (!text) {
 			// Clear outputs if text is empty
@@ -266,7 +210,7 @@ class TokenizerUI {
 		}
 
 		try {
-			const tokens = this.tokenize(text);
+			const tokens = await this.tokenize(text);
 			this.displayTokens(tokens);
 			this.updateStats();
 
@@ -289,7 +233,7 @@ class TokenizerUI {
 		}
 	}
 
-	encodeText() {
+	async encodeText() {
 		const text = document.getElementById('inputText').value.trim();
 		if (!text) {
 			this.showError('encodedOutput', 'Please enter some text to encode');
@@ -298,42 +242,43 @@ class TokenizerUI {
 
 		this.showLoading();
 
-		setTimeout(() => {
-			try {
-				const expandVocab = document.getElementById('expandVocab').checked;
-				const initialVocabSize = this.stats.vocabSize;
-
-				const tokens = this.tokenize(text);
-				const encoded = this.encode(text, expandVocab);
+		try {
+			const expandVocab = document.getElementById('expandVocab').checked;
+			const initialVocabSize = this.stats.vocabSize;
 
-				// Store the encoded IDs for decoding
-				this.lastEncodedIds = encoded;
+			const result = await this.request('/encode', { text, expandVocab });
 
-				this.displayTokens(tokens);
-				this.displayEncoded(encoded);
+			// Store the encoded IDs for decoding
+			this.lastEncodedIds = result.encoded;
+			this.lastProcessedText = result.processed;
 
-				const newTokensCount = this.stats.vocabSize - initialVocabSize;
-				if (newTokensCount > 0) {
-					this.logActivity(
-						`Encoded text with ${newTokensCount} new tokens added to vocabulary`
-					);
-				} else {
-					this.logActivity(`Encoded text using existing vocabulary`);
-				}
+			this.displayTokens(result.tokens);
+			this.displayEncoded(result.encoded);
 
-				this.updateStats();
-			} catch (error) {
-				this.showError(
-					'encodedOutput',
-					'Error during encoding: ' + error.message
+			this.stats.vocabSize = result.stats.vocabSize;
+			this.stats.tokensProcessed += result.stats.tokenCount;
+			const newTokensCount = this.stats.vocabSize - initialVocabSize;
+			if (newTokensCount > 0) {
+				this.stats.newTokensAdded += newTokensCount;
+				this.logActivity(
+					`Encoded text with ${newTokensCount} new tokens added to vocabulary`
 				);
-			} finally {
-				this.hideLoading();
+			} else {
+				this.logActivity(`Encoded text using existing vocabulary`);
 			}
-		}, 300);
+
+			this.updateStats();
+		} catch (error) {
+			this.showError(
+				'encodedOutput',
+				'Error during encoding: ' + error.message
+			);
+		} finally {
+			this.hideLoading();
+		}
 	}
 
-	decodeFromInput() {
+	async decodeFromInput() {
 		// Use the stored encoded IDs instead of parsing HTML
 		if (!this.lastEncodedIds || this.lastEncodedIds.length === 0) {
 			this.showError(
@@ -345,39 +290,158 @@ class TokenizerUI {
 
 		this.showLoading();
 
-		setTimeout(() => {
-			try {
-				console.log('Decoding IDs:', this.lastEncodedIds);
-				console.log('Reverse vocabulary:', this.reverseVocabulary);
+		try {
+			const { text: decoded } = await this.request('/decode', {
+				ids: this.lastEncodedIds,
+			});
 
-				const decoded = this.decode(this.lastEncodedIds);
-				console.log('Decoded result:', decoded);
+			this.displayDecoded(decoded);
 
-				this.displayDecoded(decoded);
+			// Check round-trip success against the normalized text the server encoded
+			const isMatch =
+				decoded.toLowerCase() === this.lastProcessedText.toLowerCase();
 
-				// Check round-trip success - compare with proper tokenization/reconstruction
-				const originalText = document.getElementById('inputText').value.trim();
-				const originalTokens = this.tokenize(originalText);
-				const reconstructedFromOriginal = this.reconstructText(originalTokens);
-				const isMatch = reconstructedFromOriginal === decoded;
+			this.stats.roundTripSuccess = isMatch
+				? 100
+				: Math.max(0, this.stats.roundTripSuccess - 5);
+			this.logActivity(
+				`Decoded ${this.lastEncodedIds.length} token IDs back to text`
+			);
 
-				this.stats.roundTripSuccess = isMatch
-					? 100
-					: Math.max(0, this.stats.roundTripSuccess - 5);
-				this.logActivity(
-					`Decoded ${this.lastEncodedIds.length} token IDs back to text`
-				);
+			this.updateStats();
+		} catch (error) {
+			this.showError(
+				'decodedOutput',
+				'Error during decoding: ' + error.message
+			);
+		} finally {
+			this.hideLoading();
+		}
+	}
 
-				this.updateStats();
-			} catch (error) {
-				this.showError(
-					'decodedOutput',
-					'Error during decoding: ' + error.message
-				);
-			} finally {
-				this.hideLoading();
-			}
-		}, 300);
+	// Analyze each non-empty line of the input as a corpus text; with no
+	// input the server reports on the training frequencies instead
+	async analyzeText() {
+		const texts = document
+			.getElementById('inputText')
+			.value.split('\n')
+			.filter((line) => line.trim());
+
+		this.showLoading();
+
+		try {
+			const report = await this.request(
+				'/analyze',
+				texts.length ? { texts } : {}
+			);
+			this.lastReport = report;
+			this.updateAnalytics(report);
+			this.displayAnalytics(report);
+			this.logActivity(
+				texts.length
+					? `📊 Analyzed ${report.corpus.texts} texts (${report.corpus.tokens} tokens)`
+					: '📊 Analyzed the training frequencies'
+			);
+		} catch (error) {
+			this.showError('analyticsOutput', 'Error during analysis: ' + error.message);
+		} finally {
+			this.hideLoading();
+		}
+	}
+
+	// Fill the analytics cards; corpus measures stay empty for a
+	// training-frequency report
+	updateAnalytics(report) {
+		const percent = (value) => (value * 100).toFixed(1) + '%';
+		const cards = {
+			unkRate: report.unknowns
+				? percent(report.unknowns.unknownRate + report.unknowns.byteFallbackRate)
+				: '–',
+			tokensPerWord: report.fertility ? report.fertility.tokensPerWord.toFixed(2) : '–',
+			charsPerToken: report.fertility
+				? report.fertility.charactersPerToken.toFixed(2)
+				: '–',
+			zipfExponent: report.zipf ? report.zipf.exponent.toFixed(2) : '–',
+		};
+		Object.entries(cards).forEach(([id, value]) => {
+			document.getElementById(id).textContent = value;
+		});
+	}
+
+	displayAnalytics(report) {
+		const container = document.getElementById('analyticsOutput');
+		const percent = (value) => (value * 100).toFixed(1) + '%';
+		const chips = (items, color) =>
+			items
+				.map(
+					(item) =>
+						`<span class="inline-block bg-${color}-100 text-${color}-800 px-2 py-1 rounded mr-2 mb-2 text-xs font-medium font-mono">"${this.escapeHtml(item.label)}" × ${item.count}</span>`
+				)
+				.join('') || '<span class="text-gray-500 italic">None</span>';
+		const section = (title, body) =>
+			`<div class="mb-4"><h3 class="text-sm font-medium text-gray-700 mb-2">${title}</h3>${body}</div>`;
+
+		let html = '';
+		if (report.corpus) {
+			const { corpus, unknowns } = report;
+			html += section(
+				'Corpus:',
+				`<p class="text-gray-700">${corpus.texts} texts, ${corpus.words} words, ${corpus.characters} characters → ${corpus.tokens} tokens. ${percent(unknowns.oovRate)} of words hold unknown tokens.</p>`
+			);
+			html += section(
+				'Most frequent unknown words:',
+				chips(
+					unknowns.topUnknowns.map(({ text, count }) => ({ label: text, count })),
+					'red'
+				)
+			);
+		}
+		html += section(
+			'Most frequent tokens:',
+			chips(
+				report.distribution.topTokens.map(({ token, count }) => ({ label: token, count })),
+				'blue'
+			)
+		);
+
+		// Coverage curve as bars: share of the corpus covered by the N most frequent tokens
+		const bars = report.coverage.curve
+			.map(
+				({ tokens, coverage }) => `
+                <div class="flex items-center mb-1">
+                    <span class="w-20 text-xs font-mono text-gray-600">top ${tokens}</span>
+                    <div class="flex-1 bg-gray-200 rounded h-3 mr-2">
+                        <div class="bg-indigo-500 h-3 rounded" style="width: ${coverage * 100}%"></div>
+                    </div>
+                    <span class="w-14 text-xs font-mono text-gray-600 text-right">${percent(coverage)}</span>
+                </div>`
+			)
+			.join('');
+		html += section(
+			`Coverage (${report.distribution.distinctTokens} distinct tokens, ${percent(report.distribution.vocabularyUsed)} of the vocabulary):`,
+			bars || '<span class="text-gray-500 italic">No tokens</span>'
+		);
+
+		container.innerHTML = html;
+	}
+
+	// Download the last analytics report as JSON
+	exportAnalytics() {
+		if (!this.lastReport) {
+			this.showError('analyticsOutput', 'Please run Analyze first to export a report');
+			return;
+		}
+
+		const blob = new Blob([JSON.stringify(this.lastReport, null, 2)], {
+			type: 'application/json',
+		});
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = 'analytics.json';
+		link.click();
+		URL.revokeObjectURL(link.href);
+
+		this.logActivity('💾 Exported analytics report');
 	}
 
 	displayTokens(tokens) {
@@ -418,12 +482,12 @@ class TokenizerUI {
 
 	displayDecoded(decoded) {
 		const container = document.getElementById('decodedOutput');
-		container.innerHTML = `<span class="text-gray-800">${decoded}</span>`;
+		container.innerHTML = `<span class="text-gray-800">${this.escapeHtml(decoded)}</span>`;
 	}
 
 	showError(containerId, message) {
 		const container = document.getElementById(containerId);
-		container.innerHTML = `<span class="text-red-500"><i class="fas fa-exclamation-triangle mr-1"></i>${message}</span>`;
+		container.innerHTML = `<span class="text-red-500"><i class="fas fa-exclamation-triangle mr-1"></i>${this.escapeHtml(message)}</span>`;
 	}
 
 	clearAll() {
@@ -438,130 +502,139 @@ class TokenizerUI {
 		this.logActivity('🧹 Cleared all inputs and outputs');
 	}
 
+	// Import a vocabulary file: vocab.txt is read as BERT, a file with a
+	// "model" section as HuggingFace tokenizer.json, anything else as our JSON
 	loadVocabulary() {
-		// Simulate loading vocabulary
-		this.showLoading();
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.accept = '.json,.txt';
+		input.addEventListener('change', async () => {
+			const file = input.files[0];
+			if (!file) {
+				return;
+			}
+
+			this.showLoading();
 
-		setTimeout(() => {
 			try {
-				// Add some demo vocabulary
-				const demoTokens = [
-					'the',
-					'quick',
-					'brown',
-					'fox',
-					'jumps',
-					'over',
-					'lazy',
-					'dog',
-				];
-				let addedCount = 0;
-
-				demoTokens.forEach((token) => {
-					if (!(token in this.vocabulary)) {
-						this.addTokenToVocab(token);
-						addedCount++;
-					}
-				});
-
-				document.getElementById(
-					'vocabStatus'
-				).innerHTML = `<i class="fas fa-check-circle text-green-500 mr-1"></i>Vocabulary loaded successfully (${addedCount} new tokens added)`;
-
-				this.displayVocabulary();
+				const data = await file.text();
+				let format = 'json';
+				if (file.name.endsWith('.txt')) {
+					format = 'bert';
+				} else if (/"model"\s*:\s*\{/.test(data)) {
+					format = 'hf';
+				}
+
+				const result = await this.request('/vocab/import', { data, format });
+				this.stats.vocabSize = result.size;
+				this.lastEncodedIds = [];
+
+				const warnings = result.warnings.length
+					? ` with ${result.warnings.length} warnings`
+					: '';
+				this.setVocabStatus(
+					'success',
+					`Vocabulary loaded from ${file.name} (${result.size} tokens)${warnings}`
+				);
+				result.warnings.forEach((warning) =>
+					this.logActivity(`⚠️ ${this.escapeHtml(warning)}`)
+				);
+
+				await this.displayVocabulary();
 				this.updateStats();
-				this.logActivity(`📂 Loaded vocabulary with ${addedCount} new tokens`);
+				this.logActivity(
+					`📂 Loaded vocabulary with ${result.size} tokens from ${this.escapeHtml(file.name)}`
+				);
 			} catch (error) {
-				document.getElementById(
-					'vocabStatus'
-				).innerHTML = `<i class="fas fa-exclamation-triangle text-red-500 mr-1"></i>Error loading vocabulary: ${error.message}`;
+				this.setVocabStatus('error', `Error loading vocabulary: ${error.message}`);
 			} finally {
 				this.hideLoading();
 			}
-		}, 500);
+		});
+		input.click();
 	}
 
-	saveVocabulary() {
+	// Download the server's vocabulary file
+	async saveVocabulary() {
 		this.showLoading();
 
-		setTimeout(() => {
-			try {
-				const vocabData = {
-					vocabulary: this.vocabulary,
-					reverseVocabulary: this.reverseVocabulary,
-					nextTokenId: this.nextTokenId,
-					savedAt: new Date().toISOString(),
-				};
+		try {
+			const response = await fetch(`${this.apiBase}/vocab/export`);
+			if (!response.ok) {
+				const payload = await response.json().catch(() => null);
+				throw new Error(
+					payload && payload.error ? payload.error.message : response.statusText
+				);
+			}
 
-				// Simulate saving to local storage
-				localStorage.setItem('tokenizer_vocab', JSON.stringify(vocabData));
+			const link = document.createElement('a');
+			link.href = URL.createObjectURL(await response.blob());
+			link.download = 'vocab.json';
+			link.click();
+			URL.revokeObjectURL(link.href);
 
-				document.getElementById(
-					'vocabStatus'
-				).innerHTML = `<i class="fas fa-check-circle text-green-500 mr-1"></i>Vocabulary saved successfully (${this.stats.vocabSize} tokens)`;
+			this.setVocabStatus(
+				'success',
+				`Vocabulary saved successfully (${this.stats.vocabSize} tokens)`
+			);
 
-				this.logActivity(
-					`💾 Saved vocabulary with ${this.stats.vocabSize} tokens`
-				);
-			} catch (error) {
-				document.getElementById(
-					'vocabStatus'
-				).innerHTML = `<i class="fas fa-exclamation-triangle text-red-500 mr-1"></i>Error saving vocabulary: ${error.message}`;
-			} finally {
-				this.hideLoading();
-			}
-		}, 300);
+			this.logActivity(
+				`💾 Saved vocabulary with ${this.stats.vocabSize} tokens`
+			);
+		} catch (error) {
+			this.setVocabStatus('error', `Error saving vocabulary: ${error.message}`);
+		} finally {
+			this.hideLoading();
+		}
 	}
 
-	resetVocabulary() {
+	async resetVocabulary() {
 		if (
 			confirm(
 				'Are you sure you want to reset the vocabulary? This will remove all custom tokens.'
 			)
 		) {
-			this.vocabulary = {
-				'[UNK]': 0,
-				hello: 1,
-				',': 2,
-				world: 3,
-				'!': 4,
-				this: 5,
-				is: 6,
-				a: 7,
-				simple: 8,
-				tokenizer: 9,
-				'.': 10,
-			};
-			this.reverseVocabulary = {};
-			this.nextTokenId = 11;
-			this.stats = {
-				vocabSize: 11,
-				tokensProcessed: 0,
-				newTokensAdded: 0,
-				roundTripSuccess: 100,
-			};
-
-			this.initializeReverseVocab();
-			this.displayVocabulary();
-			this.updateStats();
+			try {
+				const stats = await this.request('/vocab/reset', {});
+				this.lastEncodedIds = [];
+				this.stats = {
+					vocabSize: stats.size,
+					tokensProcessed: 0,
+					newTokensAdded: 0,
+					roundTripSuccess: 100,
+				};
 
-			document.getElementById(
-				'vocabStatus'
-			).innerHTML = `<i class="fas fa-refresh text-blue-500 mr-1"></i>Vocabulary reset to default state (11 tokens)`;
+				await this.displayVocabulary();
+				this.updateStats();
 
-			this.logActivity('🔄 Reset vocabulary to default state');
+				this.setVocabStatus(
+					'info',
+					`Vocabulary reset to default state (${stats.size} tokens)`
+				);
+
+				this.logActivity('🔄 Reset vocabulary to default state');
+			} catch (error) {
+				this.setVocabStatus('error', `Error resetting vocabulary: ${error.message}`);
+			}
 		}
 	}
 
-	displayVocabulary() {
+	async displayVocabulary() {
 		const container = document.getElementById('vocabularyDisplay');
-		container.innerHTML = '';
 
-		const sortedEntries = Object.entries(this.vocabulary).sort(
-			(a, b) => a[1] - b[1]
-		);
+		let info;
+		try {
+			info = await this.request('/vocab');
+		} catch (error) {
+			this.showError('vocabularyDisplay', error.message);
+			return;
+		}
+
+		container.innerHTML = '';
+		this.stats.vocabSize = info.size;
+		this.updateStats();
 
-		if (sortedEntries.length === 0) {
+		if (info.tokens.length === 0) {
 			container.innerHTML =
 				'<span class="text-gray-500 italic">No vocabulary loaded</span>';
 			return;
@@ -582,12 +655,12 @@ class TokenizerUI {
 
 		// Body
 		const tbody = document.createElement('tbody');
-		sortedEntries.forEach(([token, id]) => {
+		info.tokens.forEach((token) => {
 			const row = document.createElement('tr');
 			row.className = 'border-b border-gray-100 hover:bg-gray-50';
 			row.innerHTML = `
-                <td class="py-2 font-mono text-blue-600">${id}</td>
-                <td class="py-2 font-mono">"${token}"</td>
+                <td class="py-2 font-mono text-blue-600">${info.vocabulary[token]}</td>
+                <td class="py-2 font-mono">"${this.escapeHtml(token)}"</td>
             `;
 			tbody.appendChild(row);
 		});
@@ -596,7 +669,7 @@ class TokenizerUI {
 		container.appendChild(table);
 
 		this.logActivity(
-			`👁️ Displayed vocabulary with ${sortedEntries.length} tokens`
+			`👁️ Displayed vocabulary with ${info.tokens.length} tokens`
 		);
 	}
 }
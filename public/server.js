@@ -1,13 +1,54 @@
 /**
- * Simple HTTP server to serve the tokenizer frontend
+ * HTTP server for the tokenizer frontend and its JSON API
  * Run with: node server.js
+ *
+ * Environment:
+ *   PORT            - Port to listen on (default: 3001)
+ *   VOCAB_FILE      - Vocabulary file served by the API (default: data/vocab.json)
+ *   VOCAB_DIR       - Serve named vocabularies from this directory instead; requests
+ *                     pick one with "vocab" (default: the registry's current vocabulary)
+ *   TOKENIZER_MODEL - 'word', 'bpe', 'wordpiece' or 'unigram' (default: the model stored in
+ *                     VOCAB_FILE, or 'word' for a new vocabulary)
+ *   MAX_BODY_SIZE   - Largest accepted request body in bytes (default: 1 MB)
+ *   LOCK_TIMEOUT    - Milliseconds to wait for a vocabulary's lock file (default: 1000).
+ *                     Some writes wait synchronously, answering no other request meanwhile
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const TokenizerAPI = require('../src/api');
+const VocabularyRegistry = require('../src/registry');
+const { createApiHandler, DEFAULT_MAX_BODY_SIZE } = require('../src/server');
+const { DEFAULT_VOCAB_FILE } = require('../src/tokenizer');
 
 const PORT = process.env.PORT || 3001;
+const LOCK_TIMEOUT = Number(process.env.LOCK_TIMEOUT) || 1000;
+
+// Open a vocabulary directory, starting it with a 'default' vocabulary when empty
+function createRegistry(directory) {
+	const registry = new VocabularyRegistry(directory, { tokenizerOptions: { lockTimeout: LOCK_TIMEOUT } });
+	if (registry.list().length === 0) {
+		registry.create('default', { model: process.env.TOKENIZER_MODEL || 'word' });
+		registry.switchTo('default');
+	}
+	return registry;
+}
+
+const api = process.env.VOCAB_DIR
+	? new TokenizerAPI(createRegistry(process.env.VOCAB_DIR))
+	: new TokenizerAPI(process.env.VOCAB_FILE || DEFAULT_VOCAB_FILE, {
+			model: process.env.TOKENIZER_MODEL,
+			lockTimeout: LOCK_TIMEOUT,
+	  });
+
+// Encoding needs a vocabulary, so a fresh install starts with the special tokens
+if (!api.registry && !fs.existsSync(api.tokenizer.vocabFile)) {
+	api.tokenizer.initializeVocab();
+}
+const handleApi = createApiHandler(api, {
+	maxBodySize: Number(process.env.MAX_BODY_SIZE) || DEFAULT_MAX_BODY_SIZE,
+});
 
 // MIME types for different file extensions
 const mimeTypes = {
@@ -19,8 +60,27 @@ const mimeTypes = {
 };
 
 const server = http.createServer((req, res) => {
-	let filePath = req.url === '/' ? '/index.html' : req.url;
-	filePath = path.join(__dirname, filePath);
+	if (handleApi(req, res)) {
+		return;
+	}
+
+	let urlPath;
+	try {
+		urlPath = decodeURIComponent(req.url.split('?')[0]);
+	} catch (error) {
+		res.writeHead(400, { 'Content-Type': 'text/plain' });
+		res.end('Bad Request');
+		return;
+	}
+	let filePath = urlPath === '/' ? '/index.html' : urlPath;
+	filePath = path.join(__dirname, path.normalize(filePath));
+
+	// Never serve files outside the public directory
+	if (!filePath.startsWith(__dirname + path.sep)) {
+		res.writeHead(403, { 'Content-Type': 'text/plain' });
+		res.end('Forbidden');
+		return;
+	}
 
 	const extname = path.extname(filePath);
 	const contentType = mimeTypes[extname] || 'text/plain';
@@ -53,6 +113,10 @@ server.listen(PORT, () => {
 	console.log(`Tokenizer Frontend Server running at:`);
 	console.log(`   Local:   http://localhost:${PORT}`);
 	console.log(`   Network: http://127.0.0.1:${PORT}`);
+	const vocabulary = api.registry
+		? `vocabularies: ${api.registry.directory}`
+		: `vocabulary: ${api.tokenizer.vocabFile}`;
+	console.log(`   API:     http://localhost:${PORT}/api (${vocabulary})`);
 	console.log(`\nOpen your browser and start tokenizing!`);
 	console.log(`\nPress Ctrl+C to stop the server`);
 });
@@ -60,6 +124,8 @@ server.listen(PORT, () => {
 // Graceful shutdowns
 process.on('SIGINT', () => {
 	console.log('\n\nServer shutting down gracefully...');
+	// Write tokens added through the API that are still waiting to be saved
+	api.close();
 	server.close(() => {
 		console.log('Server closed successfully');
 		process.exit(0);
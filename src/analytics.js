@@ -0,0 +1,352 @@
+/**
+ * Corpus and vocabulary analytics
+ * Encodes a corpus with a vocabulary and reports how well the vocabulary fits
+ * it: token frequency distribution and Zipf fit, unknown-token rates and the
+ * words most often containing them, tokens per word and characters per token, and
+ * how much of the corpus the most frequent tokens cover. Without a corpus the
+ * distribution is taken from the frequencies recorded during training.
+ */
+
+const { readStream } = require('./corpus');
+const { UNK_TOKEN } = require('./tokenizer');
+
+// Constants
+const DEFAULT_TOP = 20;
+// Share of corpus tokens for which coverage reports the number of tokens needed
+const COVERAGE_TARGETS = [0.5, 0.8, 0.9, 0.95, 0.99];
+// Byte-fallback tokens, as named by the tokenizer
+const BYTE_TOKEN_PATTERN = /^<0x[0-9A-F]{2}>$/;
+
+/**
+ * Round a ratio for reporting
+ * @param {number} value - Value to round
+ * @returns {number} Value with at most 4 decimals (0 for NaN)
+ */
+function round(value) {
+    return Number.isFinite(value) ? Math.round(value * 10000) / 10000 : 0;
+}
+
+/**
+ * Divide, reporting 0 when the divisor is 0
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number} Rounded ratio
+ */
+function ratio(numerator, denominator) {
+    return denominator > 0 ? round(numerator / denominator) : 0;
+}
+
+/**
+ * Fit Zipf's law, frequency ∝ 1 / rank^s, by least squares on log frequency
+ * against log rank
+ * @param {number[]} counts - Token counts sorted from most to least frequent
+ * @returns {Object|null} { exponent, intercept, r2 }, or null with fewer than 2 tokens
+ */
+function fitZipf(counts) {
+    const points = counts.filter(count => count > 0);
+    if (points.length < 2) {
+        return null;
+    }
+
+    let sumX = 0;
+    let sumY = 0;
+    let sumXX = 0;
+    let sumXY = 0;
+    points.forEach((count, index) => {
+        const x = Math.log(index + 1);
+        const y = Math.log(count);
+        sumX += x;
+        sumY += y;
+        sumXX += x * x;
+        sumXY += x * y;
+    });
+
+    const n = points.length;
+    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+    const intercept = (sumY - slope * sumX) / n;
+    const meanY = sumY / n;
+    let residual = 0;
+    let total = 0;
+    points.forEach((count, index) => {
+        const y = Math.log(count);
+        const predicted = intercept + slope * Math.log(index + 1);
+        residual += (y - predicted) ** 2;
+        total += (y - meanY) ** 2;
+    });
+
+    return {
+        exponent: round(-slope),
+        intercept: round(intercept),
+        r2: total > 0 ? round(1 - residual / total) : 1
+    };
+}
+
+/**
+ * Measure how much of the corpus the most frequent tokens cover
+ * @param {number[]} counts - Token counts sorted from most to least frequent
+ * @returns {Object} { curve, tokensFor } where curve lists { tokens, coverage } at
+ *   1, 2, 5, 10, 20, 50, ... tokens and tokensFor maps target shares to the tokens needed
+ */
+function coverageCurve(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const curve = [];
+    const tokensFor = {};
+    let covered = 0;
+    let nextPoint = 1;
+    let step = 0;
+    let target = 0;
+
+    counts.forEach((count, index) => {
+        covered += count;
+        const rank = index + 1;
+        while (target < COVERAGE_TARGETS.length && covered >= COVERAGE_TARGETS[target] * total) {
+            tokensFor[COVERAGE_TARGETS[target]] = rank;
+            target++;
+        }
+        if (rank === nextPoint || rank === counts.length) {
+            curve.push({ tokens: rank, coverage: ratio(covered, total) });
+        }
+        if (rank === nextPoint) {
+            // 1, 2, 5, 10, 20, 50, ...
+            step++;
+            nextPoint = [1, 2, 5][step % 3] * 10 ** Math.floor(step / 3);
+        }
+    });
+
+    return { curve, tokensFor };
+}
+
+/**
+ * Group tokens by how often they occur, in power-of-two buckets
+ * @param {number[]} counts - Token counts
+ * @returns {Object[]} { range, tokens, occurrences } per bucket, from rarest up
+ */
+function frequencyHistogram(counts) {
+    const buckets = [];
+    for (const count of counts) {
+        if (count <= 0) {
+            continue;
+        }
+        const bucket = Math.floor(Math.log2(count));
+        if (!buckets[bucket]) {
+            const low = 2 ** bucket;
+            const high = 2 ** (bucket + 1) - 1;
+            buckets[bucket] = { range: low === high ? String(low) : `${low}-${high}`, tokens: 0, occurrences: 0 };
+        }
+        buckets[bucket].tokens++;
+        buckets[bucket].occurrences += count;
+    }
+    return buckets.filter(Boolean);
+}
+
+/**
+ * Summarize token counts: the most frequent tokens, a histogram, the Zipf fit
+ * and coverage
+ * @param {Map<string, number>} counts - Occurrences keyed by token
+ * @param {Object} vocab - Vocabulary mapping (token → ID)
+ * @param {number} top - Number of most frequent tokens to list
+ * @returns {Object} { distribution, zipf, coverage }
+ */
+function summarizeCounts(counts, vocab, top) {
+    const entries = [...counts.entries()].filter(([, count]) => count > 0).sort((a, b) => b[1] - a[1]);
+    const sorted = entries.map(([, count]) => count);
+    const total = sorted.reduce((sum, count) => sum + count, 0);
+    const vocabSize = Object.keys(vocab).length;
+
+    return {
+        distribution: {
+            totalTokens: total,
+            distinctTokens: entries.length,
+            vocabularyUsed: ratio(entries.length, vocabSize),
+            unusedTokens: Math.max(vocabSize - entries.length, 0),
+            singletons: sorted.filter(count => count === 1).length,
+            topTokens: entries.slice(0, top).map(([token, count]) => ({
+                token,
+                id: vocab[token],
+                count,
+                share: ratio(count, total)
+            })),
+            histogram: frequencyHistogram(sorted)
+        },
+        zipf: fitZipf(sorted),
+        coverage: coverageCurve(sorted)
+    };
+}
+
+/**
+ * Accumulates statistics over a corpus one text at a time, so corpora of any
+ * size can be analyzed
+ */
+class CorpusAnalyzer {
+    /**
+     * @param {Tokenizer} tokenizer - Tokenizer whose vocabulary is analyzed
+     * @param {Object} options - Analyzer options
+     * @param {string} options.vocabFile - Vocabulary file (default: the tokenizer's)
+     * @param {number} options.top - Number of most frequent tokens and unknown words to list (default: 20)
+     */
+    constructor(tokenizer, options = {}) {
+        this.tokenizer = tokenizer;
+        this.vocabFile = options.vocabFile || tokenizer.vocabFile;
+        this.top = options.top || DEFAULT_TOP;
+        this.texts = 0;
+        this.characters = 0;
+        this.bytes = 0;
+        this.words = 0;
+        this.tokens = 0;
+        this.unknownTokens = 0;
+        this.byteTokens = 0;
+        this.unknownWords = 0;
+        this.tokenCounts = new Map();
+        this.unknownCounts = new Map();
+    }
+
+    /**
+     * Encode a text and add it to the statistics. The vocabulary is not changed.
+     * @param {string} text - Corpus text
+     */
+    add(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            return;
+        }
+
+        const encoding = this.tokenizer.encodeWithOffsets(text, { expandVocab: false, vocabFile: this.vocabFile });
+        this.texts++;
+        this.characters += [...text].length;
+        this.bytes += Buffer.byteLength(text, 'utf8');
+        this.tokens += encoding.ids.length;
+
+        // Character range of each word, to report the words holding unknown tokens
+        const words = new Map();
+        const unknownWords = new Set();
+        encoding.tokens.forEach((token, index) => {
+            this.tokenCounts.set(token, (this.tokenCounts.get(token) || 0) + 1);
+            const wordId = encoding.wordIds[index];
+            const [start, end] = encoding.offsets[index];
+            if (wordId !== null && wordId !== undefined) {
+                const span = words.get(wordId);
+                words.set(wordId, span ? [Math.min(span[0], start), Math.max(span[1], end)] : [start, end]);
+            }
+
+            if (token === UNK_TOKEN) {
+                this.unknownTokens++;
+            } else if (BYTE_TOKEN_PATTERN.test(token)) {
+                this.byteTokens++;
+            } else {
+                return;
+            }
+            unknownWords.add(wordId);
+        });
+
+        for (const wordId of unknownWords) {
+            const span = words.get(wordId);
+            if (span) {
+                const word = text.slice(span[0], span[1]);
+                this.unknownCounts.set(word, (this.unknownCounts.get(word) || 0) + 1);
+            }
+        }
+
+        this.words += words.size;
+        this.unknownWords += unknownWords.size;
+    }
+
+    /**
+     * Build the report for everything added so far
+     * @returns {Object} { vocabulary, corpus, unknowns, fertility, distribution, zipf, coverage }
+     */
+    report() {
+        const vocab = this.tokenizer.getVocab(this.vocabFile);
+        const stats = this.tokenizer.getVocabStats(this.vocabFile);
+        const { distribution, zipf, coverage } = summarizeCounts(this.tokenCounts, vocab, this.top);
+        const topUnknowns = [...this.unknownCounts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.top)
+            .map(([text, count]) => ({ text, count }));
+
+        return {
+            vocabulary: {
+                file: this.vocabFile,
+                model: this.tokenizer.model,
+                size: stats.size,
+                byteFallback: stats.byteFallback,
+                lossless: stats.lossless
+            },
+            corpus: {
+                texts: this.texts,
+                characters: this.characters,
+                bytes: this.bytes,
+                words: this.words,
+                tokens: this.tokens
+            },
+            unknowns: {
+                unknownTokens: this.unknownTokens,
+                unknownRate: ratio(this.unknownTokens, this.tokens),
+                byteFallbackTokens: this.byteTokens,
+                byteFallbackRate: ratio(this.byteTokens, this.tokens),
+                oovWords: this.unknownWords,
+                oovRate: ratio(this.unknownWords, this.words),
+                distinctUnknowns: this.unknownCounts.size,
+                topUnknowns
+            },
+            fertility: {
+                tokensPerWord: ratio(this.tokens, this.words),
+                tokensPerCharacter: ratio(this.tokens, this.characters),
+                charactersPerToken: ratio(this.characters, this.tokens),
+                bytesPerToken: ratio(this.bytes, this.tokens)
+            },
+            distribution,
+            zipf,
+            coverage
+        };
+    }
+}
+
+/**
+ * Analyze how a vocabulary fits a corpus
+ * @param {Tokenizer} tokenizer - Tokenizer whose vocabulary is analyzed
+ * @param {string[]|Iterable|AsyncIterable|Readable} source - Corpus texts, or a stream of lines or JSONL
+ * @param {Object} options - Options for CorpusAnalyzer and for reading streams (format, textField, gzip)
+ * @returns {Promise<Object>} Report (see CorpusAnalyzer.report)
+ */
+async function analyzeCorpus(tokenizer, source, options = {}) {
+    const analyzer = new CorpusAnalyzer(tokenizer, options);
+    for await (const text of readStream(source, options)) {
+        analyzer.add(text);
+    }
+    return analyzer.report();
+}
+
+/**
+ * Analyze a vocabulary from the token frequencies recorded during training
+ * @param {Tokenizer} tokenizer - Tokenizer whose vocabulary is analyzed
+ * @param {Object} options - Options
+ * @param {string} options.vocabFile - Vocabulary file (default: the tokenizer's)
+ * @param {number} options.top - Number of most frequent tokens to list (default: 20)
+ * @returns {Object} { vocabulary, distribution, zipf, coverage }; the distribution is
+ *   empty when the vocabulary has no recorded frequencies
+ */
+function analyzeVocab(tokenizer, options = {}) {
+    const vocabFile = options.vocabFile || tokenizer.vocabFile;
+    const vocab = tokenizer.getVocab(vocabFile);
+    const stats = tokenizer.getVocabStats(vocabFile);
+    const counts = new Map(Object.entries(tokenizer.getTokenFrequencies(vocabFile)));
+
+    return {
+        vocabulary: {
+            file: vocabFile,
+            model: tokenizer.model,
+            size: stats.size,
+            byteFallback: stats.byteFallback,
+            lossless: stats.lossless
+        },
+        ...summarizeCounts(counts, vocab, options.top || DEFAULT_TOP)
+    };
+}
+
+module.exports = {
+    CorpusAnalyzer,
+    analyzeCorpus,
+    analyzeVocab,
+    fitZipf,
+    coverageCurve,
+    frequencyHistogram
+};
@@ -2,50 +2,114 @@
  * Simple API interface for the tokenizer
  */
 
-const Tokenizer = require('./tokenizer');
+const { createTokenizer } = require('./models');
+const VocabularyRegistry = require('./registry');
 const TokenizerUtils = require('./utils');
+const Normalizer = require('./normalizer');
+const { analyzeCorpus, analyzeVocab } = require('./analytics');
+
+// Same cleanup as TokenizerUtils.cleanText, with alignment back to the input
+const CLEAN_TEXT = new Normalizer(['collapseWhitespace', 'trim']);
 
 /**
- * High-level API for tokenizer operations
+ * High-level API for tokenizer operations. Created over a VocabularyRegistry,
+ * every method takes a `vocab` option naming the vocabulary to work on
+ * (default: the registry's current vocabulary).
  */
 class TokenizerAPI {
-    constructor(vocabFile) {
-        this.tokenizer = new Tokenizer(vocabFile);
+    /**
+     * @param {string|VocabularyRegistry} vocabFile - Vocabulary file path, or a registry of named vocabularies
+     * @param {Object} options - Tokenizer options (ignored for a registry)
+     * @param {string} options.model - Model type: 'word', 'bpe', 'wordpiece' or 'unigram' (default: the
+     *   model stored in the vocabulary file, or 'word' for a new one)
+     */
+    constructor(vocabFile, options = {}) {
+        if (vocabFile instanceof VocabularyRegistry) {
+            this.registry = vocabFile;
+            this.tokenizer = null;
+        } else {
+            this.registry = null;
+            this.tokenizer = createTokenizer(vocabFile, options);
+        }
+    }
+
+    /**
+     * Get the tokenizer for a vocabulary
+     * @param {string} vocab - Vocabulary name (default: the registry's current vocabulary)
+     * @returns {Tokenizer} Tokenizer instance
+     */
+    getTokenizer(vocab) {
+        if (this.registry) {
+            return this.registry.get(vocab);
+        }
+        if (vocab !== undefined) {
+            throw new Error('Vocabulary names need a TokenizerAPI created over a VocabularyRegistry');
+        }
+        return this.tokenizer;
+    }
+
+    /**
+     * Split call options into the tokenizer they select and the rest
+     * @param {Object} options - Call options, with an optional vocab name
+     * @returns {Array} [tokenizer, options without vocab]
+     * @private
+     */
+    _select(options = {}) {
+        const { vocab, ...rest } = options;
+        return [this.getTokenizer(vocab), rest];
     }
 
     /**
      * Process text and return comprehensive results
      * @param {string} text - Text to process
      * @param {Object} options - Processing options
+     * @param {boolean} options.includeOffsets - Add per-token [start, end] offsets into the
+     *   original text and word indices (default: false)
+     * @param {string} options.vocab - Vocabulary name (registry only)
      * @returns {Object} Processing results
      */
     async processText(text, options = {}) {
+        const [tokenizer] = this._select(options);
         const {
             expandVocab = true,
             includeStats = true,
-            includeTokens = true
+            includeTokens = true,
+            includeOffsets = false
         } = options;
 
         if (!TokenizerUtils.isValidText(text)) {
             throw new Error('Invalid text input');
         }
 
+        // Lossless vocabularies keep whitespace, so the text is used untouched
+        const { lossless } = tokenizer.getVocabStats();
         const results = {
             original: text,
-            processed: TokenizerUtils.cleanText(text)
+            processed: lossless ? text : TokenizerUtils.cleanText(text)
         };
 
         if (includeTokens) {
-            results.tokens = this.tokenizer.tokenize(results.processed);
+            results.tokens = tokenizer.tokenize(results.processed);
         }
 
-        results.encoded = this.tokenizer.encode(results.processed, { expandVocab });
-        results.decoded = this.tokenizer.decode(results.encoded);
+        if (includeOffsets) {
+            const encoding = tokenizer.encode(results.processed, { expandVocab, returnOffsets: true });
+            const cleaned = lossless ? null : CLEAN_TEXT.normalizeWithAlignment(text);
+            results.encoded = encoding.ids;
+            // Offsets point into the original input, not the cleaned text
+            results.offsets = cleaned
+                ? encoding.offsets.map(([start, end]) => Normalizer.originalSpan(cleaned, start, end))
+                : encoding.offsets;
+            results.wordIds = encoding.wordIds;
+        } else {
+            results.encoded = tokenizer.encode(results.processed, { expandVocab });
+        }
+        results.decoded = tokenizer.decode(results.encoded);
 
         if (includeStats) {
             results.stats = {
                 ...TokenizerUtils.getTextStats(text),
-                vocabSize: this.tokenizer.getVocabSize(),
+                vocabSize: tokenizer.getVocabSize(),
                 tokenCount: results.encoded.length,
                 roundTripSuccess: results.processed === results.decoded
             };
@@ -57,7 +121,7 @@ class TokenizerAPI {
     /**
      * Batch process multiple texts
      * @param {string[]} texts - Array of texts to process
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options (see processText)
      * @returns {Object[]} Array of processing results
      */
     async batchProcess(texts, options = {}) {
@@ -65,30 +129,96 @@ class TokenizerAPI {
             throw new Error('Texts must be an array');
         }
 
-        return texts.map((text, index) => {
+        const results = [];
+        for (const [index, text] of texts.entries()) {
             try {
-                return {
+                results.push({
                     index,
                     success: true,
-                    result: this.processText(text, options)
-                };
+                    result: await this.processText(text, options)
+                });
             } catch (error) {
-                return {
+                results.push({
                     index,
                     success: false,
                     error: error.message
-                };
+                });
             }
+        }
+        return results;
+    }
+
+    /**
+     * Decode token IDs back to text
+     * @param {number[]} ids - Token IDs
+     * @param {Object} options - Decoding options (see Tokenizer.decode)
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Object} { ids, text }
+     */
+    decode(ids, options = {}) {
+        const [tokenizer, decodeOptions] = this._select(options);
+        if (!TokenizerUtils.isValidTokenIds(ids)) {
+            throw new Error('Token IDs must be an array of non-negative numbers');
+        }
+
+        return {
+            ids,
+            text: tokenizer.decode(ids, undefined, decodeOptions)
+        };
+    }
+
+    /**
+     * Encode texts or sentence pairs into padded batches
+     * @param {Array<string|string[]>} texts - Texts, or [first, second] pairs
+     * @param {Object} options - Padding, truncation and output options (see Tokenizer.encodeBatch)
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Object} { inputIds, attentionMask?, tokenTypeIds?, encodings }
+     */
+    encodeBatch(texts, options = {}) {
+        const [tokenizer, batchOptions] = this._select(options);
+        return tokenizer.encodeBatch(texts, { expandVocab: false, ...batchOptions });
+    }
+
+    /**
+     * Split a long text into overlapping token windows
+     * @param {string} text - Text to split
+     * @param {Object} options - Window options (see Tokenizer.encodeChunks)
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Object[]} Windows with their IDs, offsets and the source text they cover
+     */
+    encodeChunks(text, options = {}) {
+        const [tokenizer, chunkOptions] = this._select(options);
+        if (!TokenizerUtils.isValidText(text)) {
+            throw new Error('Invalid text input');
+        }
+
+        const chunks = tokenizer.encodeChunks(text, { expandVocab: false, ...chunkOptions });
+        return chunks.map((chunk, index) => {
+            const spans = chunk.offsets.filter(([start, end]) => end > start);
+            const start = spans.length > 0 ? spans[0][0] : 0;
+            const end = spans.length > 0 ? spans[spans.length - 1][1] : 0;
+            return {
+                index,
+                ids: chunk.ids,
+                tokens: chunk.tokens,
+                offsets: chunk.offsets,
+                start,
+                end,
+                text: text.slice(start, end)
+            };
         });
     }
 
     /**
      * Get vocabulary information
+     * @param {Object} options - Options
+     * @param {string} options.vocab - Vocabulary name (registry only)
      * @returns {Object} Vocabulary information
      */
-    getVocabularyInfo() {
-        const vocab = this.tokenizer.getVocab();
-        const stats = this.tokenizer.getVocabStats();
+    getVocabularyInfo(options = {}) {
+        const [tokenizer] = this._select(options);
+        const vocab = tokenizer.getVocab();
+        const stats = tokenizer.getVocabStats();
 
         return {
             vocabulary: vocab,
@@ -98,36 +228,166 @@ class TokenizerAPI {
         };
     }
 
+    /**
+     * Get vocabulary statistics
+     * @param {Object} options - Options
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Object} Statistics (see Tokenizer.getVocabStats)
+     */
+    getVocabStats(options = {}) {
+        const [tokenizer] = this._select(options);
+        return tokenizer.getVocabStats();
+    }
+
+    /**
+     * Analyze how the vocabulary fits a corpus, without changing it
+     * @param {string[]|Iterable|AsyncIterable|Readable} source - Corpus texts or stream; without
+     *   one, the frequencies recorded during training are analyzed
+     * @param {Object} options - Options for analyzeCorpus (top, format, textField, gzip)
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Promise<Object>} Analytics report (see CorpusAnalyzer.report)
+     */
+    async analyze(source, options = {}) {
+        const [tokenizer, analyzeOptions] = this._select(options);
+        if (source === undefined || source === null) {
+            return analyzeVocab(tokenizer, analyzeOptions);
+        }
+        return analyzeCorpus(tokenizer, source, analyzeOptions);
+    }
+
     /**
      * Train tokenizer on texts
      * @param {string[]} trainingTexts - Texts for training
+     * @param {Object} options - Training options; other options are passed to buildVocab/updateVocab
+     * @param {string} options.mode - 'replace' to rebuild the vocabulary or 'extend' to add to it
+     *   while keeping existing IDs (default: 'replace')
+     * @param {string} options.vocab - Vocabulary name (registry only)
      * @returns {Object} Training results
      */
-    train(trainingTexts) {
+    train(trainingTexts, options = {}) {
+        const [tokenizer, trainOptions] = this._select(options);
+        const { mode = 'replace', ...buildOptions } = trainOptions;
+
         if (!Array.isArray(trainingTexts)) {
             throw new Error('Training texts must be an array');
         }
+        if (mode !== 'replace' && mode !== 'extend') {
+            throw new Error(`Unknown training mode: ${mode}. Use 'replace' or 'extend'`);
+        }
+
+        const before = tokenizer.getVocab();
+        let addedTokens;
+        let removedTokens = [];
 
-        const beforeSize = this.tokenizer.getVocabSize();
-        const vocab = this.tokenizer.buildVocab(trainingTexts);
-        const afterSize = this.tokenizer.getVocabSize();
+        if (mode === 'extend') {
+            addedTokens = Object.keys(tokenizer.updateVocab(trainingTexts, buildOptions).added);
+        } else {
+            const vocab = tokenizer.buildVocab(trainingTexts, buildOptions);
+            addedTokens = Object.keys(vocab).filter(token => !(token in before));
+            removedTokens = Object.keys(before).filter(token => !(token in vocab));
+        }
 
         return {
             success: true,
-            tokensAdded: afterSize - beforeSize,
-            vocabularySize: afterSize,
+            mode,
+            tokensAdded: addedTokens.length,
+            addedTokens,
+            tokensRemoved: removedTokens.length,
+            vocabularySize: tokenizer.getVocabSize(),
             trainedOnTexts: trainingTexts.length
         };
     }
 
+    /**
+     * Train from corpus files without loading them into memory
+     * @param {string|string[]} paths - Text, JSONL or gzip-compressed corpus files
+     * @param {Object} options - Training options (see Tokenizer.trainFromStream)
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Promise<Object>} Training results
+     */
+    async trainFromFiles(paths, options = {}) {
+        const [tokenizer, trainOptions] = this._select(options);
+        return this._streamingResult(await tokenizer.trainFromFiles(paths, trainOptions), trainOptions);
+    }
+
+    /**
+     * Train from a readable stream or an (async) iterable of texts
+     * @param {Readable|AsyncIterable|Iterable} source - Corpus source
+     * @param {Object} options - Training options (see Tokenizer.trainFromStream)
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Promise<Object>} Training results
+     */
+    async trainFromStream(source, options = {}) {
+        const [tokenizer, trainOptions] = this._select(options);
+        return this._streamingResult(await tokenizer.trainFromStream(source, trainOptions), trainOptions);
+    }
+
+    /**
+     * Shape a streaming training result like the result of train()
+     * @param {Object} result - Result from the tokenizer
+     * @param {Object} options - Training options
+     * @returns {Object} Training results
+     * @private
+     */
+    _streamingResult(result, options) {
+        const addedTokens = Object.keys(result.added);
+        return {
+            success: true,
+            mode: options.mode || 'replace',
+            tokensAdded: addedTokens.length,
+            addedTokens,
+            vocabularySize: result.size,
+            linesProcessed: result.lines,
+            bytesProcessed: result.bytes
+        };
+    }
+
+    /**
+     * Export the vocabulary as this project's JSON or in another library's format
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'json', 'hf', 'bert' or 'gpt2' (default: 'json')
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {string|Object} File contents; { vocab, merges } for 'gpt2'
+     */
+    exportVocab(options = {}) {
+        const [tokenizer, exportOptions] = this._select(options);
+        return tokenizer.exportVocab(undefined, exportOptions);
+    }
+
+    /**
+     * Replace the vocabulary with an imported one
+     * @param {string|Object} input - Source contents (see Tokenizer.importVocab)
+     * @param {Object} options - Import options
+     * @param {string} options.format - 'json', 'hf', 'bert' or 'gpt2' (default: 'json')
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     * @returns {Object} { size, warnings }
+     */
+    importVocab(input, options = {}) {
+        const [tokenizer, importOptions] = this._select(options);
+        return tokenizer.importVocab(input, undefined, importOptions);
+    }
+
+    /**
+     * Reset the vocabulary to its initial special tokens
+     * @param {Object} options - Options
+     * @param {string} options.vocab - Vocabulary name (registry only)
+     */
+    resetVocab(options = {}) {
+        const [tokenizer] = this._select(options);
+        tokenizer.resetVocab();
+    }
+
     /**
      * Export current state
+     * @param {Object} options - Options
+     * @param {string} options.vocab - Vocabulary name (registry only)
      * @returns {Object} Current tokenizer state
      */
-    exportState() {
+    exportState(options = {}) {
+        const [tokenizer] = this._select(options);
         return {
-            vocabulary: this.tokenizer.exportVocab(),
-            statistics: this.tokenizer.getVocabStats(),
+            vocabulary: tokenizer.exportVocab(),
+            statistics: tokenizer.getVocabStats(),
             exportedAt: TokenizerUtils.getTimestamp()
         };
     }
@@ -135,14 +395,28 @@ class TokenizerAPI {
     /**
      * Import state from exported data
      * @param {string} stateJson - Exported state JSON
+     * @param {Object} options - Options
+     * @param {string} options.vocab - Vocabulary name (registry only)
      */
-    importState(stateJson) {
+    importState(stateJson, options = {}) {
+        const [tokenizer] = this._select(options);
         const state = TokenizerUtils.safeJsonParse(stateJson);
         if (!state || !state.vocabulary) {
             throw new Error('Invalid state data');
         }
 
-        this.tokenizer.importVocab(state.vocabulary);
+        tokenizer.importVocab(state.vocabulary);
+    }
+
+    /**
+     * Write unsaved vocabulary changes and release open tokenizers
+     */
+    close() {
+        if (this.registry) {
+            this.registry.close();
+        } else {
+            this.tokenizer.close();
+        }
     }
 }
 
@@ -0,0 +1,394 @@
+/**
+ * Tokenizer benchmarks
+ * Trains several tokenizer configurations on the same corpus, then encodes and
+ * decodes the same held-out corpus with each and compares sequence length,
+ * unknown-token rates, round-trip exactness, encode/decode throughput and
+ * memory. Vocabularies are trained into a temporary directory that is removed
+ * afterwards; configurations naming a vocabulary file use it as it is.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MODELS, createTokenizer } = require('./models');
+const { readStream } = require('./corpus');
+const { CorpusAnalyzer } = require('./analytics');
+const TokenizerUtils = require('./utils');
+
+// Constants
+const DEFAULT_ITERATIONS = 1;
+// Keys of a configuration that are not tokenizer options
+const CONFIG_KEYS = ['name', 'vocabFile'];
+const TABLE_COLUMNS = [
+    { title: 'Config', value: result => result.name },
+    { title: 'Target', value: result => result.vocabulary.requestedSize === null ? '-' : String(result.vocabulary.requestedSize) },
+    { title: 'Vocab', value: result => String(result.vocabulary.size) },
+    { title: 'Tokens/text', value: result => result.sequence.meanLength.toFixed(2) },
+    { title: 'Tokens/word', value: result => result.sequence.tokensPerWord.toFixed(2) },
+    { title: 'Chars/token', value: result => result.sequence.charactersPerToken.toFixed(2) },
+    { title: '[UNK]', value: result => percent(result.unknowns.unknownRate) },
+    { title: 'Bytes', value: result => percent(result.unknowns.byteFallbackRate) },
+    { title: 'Round trip', value: result => percent(result.roundTrip.rate) },
+    { title: 'Encode tok/s', value: result => Math.round(result.throughput.encode.tokensPerSecond).toLocaleString('en-US') },
+    { title: 'Decode tok/s', value: result => Math.round(result.throughput.decode.tokensPerSecond).toLocaleString('en-US') },
+    { title: 'Heap', value: result => result.memory.heapBytes === null ? '-' : TokenizerUtils.formatFileSize(result.memory.heapBytes) },
+    { title: 'File', value: result => TokenizerUtils.formatFileSize(result.memory.vocabBytes) }
+];
+
+/**
+ * Format a share as a percentage
+ * @param {number} value - Share between 0 and 1
+ * @returns {string} Percentage with 2 decimals
+ */
+function percent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Delete the temporary directory vocabularies were trained into. It only
+ * holds files, so they are unlinked one by one (fs.rmSync needs Node 14.14).
+ * @param {string} directory - Directory path
+ */
+function removeDirectory(directory) {
+    for (const name of fs.readdirSync(directory)) {
+        fs.unlinkSync(path.join(directory, name));
+    }
+    fs.rmdirSync(directory);
+}
+
+/**
+ * Name a configuration after its settings, e.g. "bpe/8000/nfkc+lowercase"
+ * @param {Object} config - Benchmark configuration
+ * @returns {string} Name
+ */
+function configName(config) {
+    if (config.name) {
+        return config.name;
+    }
+    const parts = [config.model || 'word'];
+    if (config.vocabFile) {
+        parts.push(path.basename(config.vocabFile));
+    }
+    if (config.vocabSize !== undefined) {
+        parts.push(String(config.vocabSize));
+    }
+    if (config.normalizer !== undefined) {
+        parts.push(config.normalizer.length > 0 ? config.normalizer.join('+') : 'none');
+    }
+    if (config.byteFallback) {
+        parts.push('bytes');
+    }
+    if (config.lossless) {
+        parts.push('lossless');
+    }
+    return parts.join('/');
+}
+
+/**
+ * Build configurations for every combination of the given settings
+ * @param {Object} grid - Lists of values keyed by tokenizer option, e.g.
+ *   { model: ['word', 'bpe'], vocabSize: [1000, 8000], normalizer: [['lowercase'], []] };
+ *   options that are not lists apply to every configuration
+ * @returns {Object[]} Configurations
+ */
+function expandConfigs(grid) {
+    return Object.entries(grid).reduce((configs, [key, values]) => {
+        // A normalizer is itself a list of steps, so only a list of lists varies it
+        const varies = Array.isArray(values) && (key !== 'normalizer' && key !== 'preTokenizer' || values.every(Array.isArray));
+        const choices = varies ? values : [values];
+        return configs.flatMap(config => choices.map(value => ({ ...config, [key]: value })));
+    }, [{}]);
+}
+
+/**
+ * Read a corpus into memory, so every configuration sees the same texts
+ * @param {string[]|Iterable|AsyncIterable|Readable} source - Corpus texts or stream
+ * @param {Object} options - Options for reading streams (format, textField, gzip)
+ * @returns {Promise<string[]>} Non-empty texts
+ */
+async function readTexts(source, options = {}) {
+    const texts = [];
+    for await (const text of readStream(source, options)) {
+        if (typeof text === 'string' && text.trim() !== '') {
+            texts.push(text);
+        }
+    }
+    return texts;
+}
+
+/**
+ * Run a function and measure how long it takes
+ * @param {Function} fn - Function to time
+ * @returns {number} Elapsed milliseconds
+ */
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Turn a timed pass into rates
+ * @param {number} ms - Elapsed milliseconds
+ * @param {Object} counts - { texts, tokens, characters } processed
+ * @returns {Object} { ms, textsPerSecond, tokensPerSecond, charactersPerSecond }
+ */
+function throughput(ms, { texts, tokens, characters }) {
+    const seconds = Math.max(ms, 1e-3) / 1000;
+    return {
+        ms: Math.round(ms * 100) / 100,
+        textsPerSecond: texts / seconds,
+        tokensPerSecond: tokens / seconds,
+        charactersPerSecond: characters / seconds
+    };
+}
+
+/**
+ * Measure heap growth while a function runs. Collects garbage first when
+ * node runs with --expose-gc; without it the figure is unavailable.
+ * @param {Function} fn - Function whose allocations are measured
+ * @returns {number|null} Bytes still allocated afterwards, or null without --expose-gc
+ */
+function heapGrowth(fn) {
+    if (typeof global.gc !== 'function') {
+        fn();
+        return null;
+    }
+    global.gc();
+    const before = process.memoryUsage().heapUsed;
+    fn();
+    global.gc();
+    return Math.max(process.memoryUsage().heapUsed - before, 0);
+}
+
+/**
+ * Check configurations before anything is trained
+ * @param {Object[]} configs - Benchmark configurations
+ * @param {Object} options - Benchmark options
+ */
+function assertConfigs(configs, options) {
+    if (!Array.isArray(configs) || configs.length === 0) {
+        throw new Error('No benchmark configurations given');
+    }
+    const names = new Set();
+    for (const config of configs) {
+        const name = configName(config);
+        if (config.model !== undefined && !MODELS[config.model]) {
+            throw new Error(`Unknown tokenizer model in ${name}: ${config.model}. Available models: ${Object.keys(MODELS).join(', ')}`);
+        }
+        if (config.vocabFile && !fs.existsSync(config.vocabFile)) {
+            throw new Error(`Vocabulary file not found for ${name}: ${config.vocabFile}`);
+        }
+        if (!config.vocabFile && options.train === undefined && !options.trainFiles) {
+            throw new Error(`${name} has no vocabulary file and no training corpus was given`);
+        }
+        if (names.has(name)) {
+            throw new Error(`Two benchmark configurations are named ${name}; give them distinct names`);
+        }
+        names.add(name);
+    }
+}
+
+/**
+ * Train a configuration's vocabulary, or use its vocabulary file
+ * @param {Object} config - Benchmark configuration
+ * @param {string} vocabFile - File to train into
+ * @param {Object} options - Benchmark options (train, trainFiles, format, textField)
+ * @param {string[]} trainTexts - Training texts, when not read from files
+ * @returns {Promise<number|null>} Training milliseconds, or null when nothing was trained
+ */
+async function prepareVocab(config, vocabFile, options, trainTexts) {
+    if (config.vocabFile) {
+        return null;
+    }
+
+    const tokenizer = createTokenizer(vocabFile, tokenizerOptions(config));
+    const trainOptions = { format: options.format, textField: options.textField, maxVocabSize: config.vocabSize };
+    const start = process.hrtime.bigint();
+    try {
+        if (options.trainFiles) {
+            await tokenizer.trainFromFiles(options.trainFiles, trainOptions);
+        } else {
+            await tokenizer.trainFromStream(trainTexts, trainOptions);
+        }
+    } finally {
+        tokenizer.close();
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Get the tokenizer options of a configuration
+ * @param {Object} config - Benchmark configuration
+ * @returns {Object} Tokenizer options
+ */
+function tokenizerOptions(config) {
+    return Object.fromEntries(Object.entries(config).filter(([key]) => !CONFIG_KEYS.includes(key)));
+}
+
+/**
+ * Benchmark one configuration on the held-out texts
+ * @param {Object} config - Benchmark configuration
+ * @param {string} vocabFile - Vocabulary file to benchmark
+ * @param {string[]} texts - Held-out texts
+ * @param {number} iterations - Timed passes over the texts
+ * @returns {Object} Result without name, config and training (see benchmark)
+ */
+function measure(config, vocabFile, texts, iterations) {
+    const tokenizer = createTokenizer(vocabFile, tokenizerOptions(config));
+    try {
+        const heapBytes = heapGrowth(() => tokenizer.load());
+        const stats = tokenizer.getVocabStats();
+
+        // Same text and check as TokenizerAPI.processText's roundTripSuccess
+        const processed = texts.map(text => stats.lossless ? text : TokenizerUtils.cleanText(text));
+
+        // Also warms up the encoder before it is timed
+        const analyzer = new CorpusAnalyzer(tokenizer);
+        processed.forEach(text => analyzer.add(text));
+        const report = analyzer.report();
+
+        let encoded = [];
+        const encodeMs = time(() => {
+            for (let pass = 0; pass < iterations; pass++) {
+                encoded = processed.map(text => tokenizer.encode(text, { expandVocab: false }));
+            }
+        });
+        let decoded = [];
+        const decodeMs = time(() => {
+            for (let pass = 0; pass < iterations; pass++) {
+                decoded = encoded.map(ids => tokenizer.decode(ids));
+            }
+        });
+
+        const exact = decoded.filter((text, index) => text === processed[index]).length;
+        const lengths = encoded.map(ids => ids.length);
+        const counts = {
+            texts: texts.length * iterations,
+            tokens: report.corpus.tokens * iterations,
+            characters: report.corpus.characters * iterations
+        };
+
+        return {
+            // Trained vocabularies are deleted afterwards, so only given files are reported.
+            // Training can end below the requested size, and Unigram keeps every character above it.
+            vocabulary: {
+                requestedSize: config.vocabFile || tokenizer.vocabSize === undefined ? null : tokenizer.vocabSize,
+                size: stats.size,
+                model: tokenizer.model,
+                file: config.vocabFile || null
+            },
+            sequence: {
+                texts: texts.length,
+                tokens: report.corpus.tokens,
+                meanLength: texts.length > 0 ? report.corpus.tokens / texts.length : 0,
+                maxLength: lengths.length > 0 ? Math.max(...lengths) : 0,
+                tokensPerWord: report.fertility.tokensPerWord,
+                charactersPerToken: report.fertility.charactersPerToken
+            },
+            unknowns: {
+                unknownRate: report.unknowns.unknownRate,
+                byteFallbackRate: report.unknowns.byteFallbackRate,
+                oovRate: report.unknowns.oovRate
+            },
+            roundTrip: {
+                exact,
+                failed: texts.length - exact,
+                rate: texts.length > 0 ? exact / texts.length : 1
+            },
+            throughput: {
+                encode: throughput(encodeMs, counts),
+                decode: throughput(decodeMs, counts)
+            },
+            memory: {
+                heapBytes,
+                vocabBytes: fs.statSync(vocabFile).size
+            }
+        };
+    } finally {
+        tokenizer.close();
+    }
+}
+
+/**
+ * Compare tokenizer configurations on the same held-out corpus
+ * @param {Object[]} configs - Configurations: tokenizer options such as model, vocabSize,
+ *   normalizer, preTokenizer, byteFallback and lossless, plus an optional name, or a
+ *   vocabFile to benchmark an existing vocabulary instead of training one
+ * @param {Object} options - Benchmark options
+ * @param {string[]|Iterable|AsyncIterable|Readable} options.corpus - Held-out texts or stream
+ * @param {string[]|Iterable|AsyncIterable|Readable} options.train - Training texts or stream
+ * @param {string[]} options.trainFiles - Training corpus files, instead of options.train
+ * @param {string} options.format - Corpus format for streams and files: 'text' or 'jsonl'
+ * @param {string} options.textField - Field holding the text in JSONL records (default: 'text')
+ * @param {number} options.iterations - Timed encode and decode passes over the corpus (default: 1)
+ * @param {Function} options.onResult - Called with each result as it is finished
+ * @returns {Promise<Object>} { corpus: { texts, characters }, iterations, results } where each
+ *   result has name, config, training, vocabulary, sequence, unknowns, roundTrip,
+ *   throughput and memory. The vocabulary's requestedSize is the size training aimed
+ *   for (null for word-level models and given files) and size the size it reached. Memory is heap growth while loading the vocabulary,
+ *   which needs node's --expose-gc (null without it), and the vocabulary file size.
+ */
+async function benchmark(configs, options = {}) {
+    assertConfigs(configs, options);
+    if (options.corpus === undefined) {
+        throw new Error('No held-out corpus given');
+    }
+
+    const iterations = options.iterations || DEFAULT_ITERATIONS;
+    const readOptions = { format: options.format, textField: options.textField };
+    const texts = await readTexts(options.corpus, readOptions);
+    if (texts.length === 0) {
+        throw new Error('The held-out corpus has no texts');
+    }
+    // A stream can be read only once, and every configuration trains on it
+    const trainTexts = options.train === undefined || options.trainFiles ? null : await readTexts(options.train, readOptions);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizer-benchmark-'));
+    const results = [];
+    try {
+        for (const [index, config] of configs.entries()) {
+            const vocabFile = config.vocabFile || path.join(directory, `vocab-${index}.json`);
+            const trainingMs = await prepareVocab(config, vocabFile, options, trainTexts);
+            const result = {
+                name: configName(config),
+                config: { ...config },
+                training: trainingMs === null ? null : { ms: Math.round(trainingMs * 100) / 100 },
+                ...measure(config, vocabFile, texts, iterations)
+            };
+            results.push(result);
+            if (options.onResult) {
+                options.onResult(result);
+            }
+        }
+    } finally {
+        removeDirectory(directory);
+    }
+
+    return {
+        corpus: { texts: texts.length, characters: texts.reduce((sum, text) => sum + [...text].length, 0) },
+        iterations,
+        results
+    };
+}
+
+/**
+ * Lay out benchmark results side by side as a text table
+ * @param {Object[]} results - Results from benchmark
+ * @returns {string} Table with one row per configuration
+ */
+function formatTable(results) {
+    const rows = [TABLE_COLUMNS.map(column => column.title), ...results.map(result => TABLE_COLUMNS.map(column => column.value(result)))];
+    const widths = TABLE_COLUMNS.map((column, index) => Math.max(...rows.map(row => row[index].length)));
+    // The name column reads left to right, numbers line up on the right
+    const line = row => row.map((cell, index) => index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])).join('  ');
+    return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+module.exports = {
+    benchmark,
+    expandConfigs,
+    configName,
+    formatTable,
+    readTexts
+};
@@ -0,0 +1,685 @@
+/**
+ * Command-line interface
+ * Commands read text from arguments, files or stdin and write plain text or
+ * JSON to stdout. Exit codes: 0 on success, 1 when a command fails (or
+ * validate finds an invalid vocabulary), 2 for usage errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TokenizerAPI = require('./api');
+const { MODELS, storedModel } = require('./models');
+const { splitLines } = require('./corpus');
+const { benchmark, expandConfigs, formatTable } = require('./benchmark');
+
+// Constants
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXPORT_FORMATS = ['json', 'hf', 'bert', 'gpt2'];
+// Options that take no value; every other option takes one
+const FLAGS = ['help', 'expand', 'offsets', 'tokens', 'json', 'repair', 'skip-special', 'lossless', 'byte-fallback',
+    'frequencies'];
+// Options that may be given more than once
+const REPEATABLE = ['input', 'train', 'normalizer'];
+const ALIASES = { h: 'help', i: 'input', v: 'vocab', o: 'output', f: 'format', m: 'model' };
+
+const USAGE = `Usage: tokenizer <command> [options]
+
+Commands:
+  train      Train a vocabulary from text or JSONL corpora
+  tokenize   Print the tokens of each input line
+  encode     Print the token IDs of each input line
+  decode     Print the text of each line of token IDs
+  stats      Print vocabulary statistics
+  export     Write the vocabulary in another library's format
+  validate   Check a vocabulary file for integrity problems
+  analyze    Report how well the vocabulary fits a corpus
+  benchmark  Compare tokenizer configurations on a held-out corpus
+
+Input is taken from the command's arguments, from --input files, or from stdin
+(also with --input -). Every command except benchmark needs --vocab <file>.
+
+Options:
+  -v, --vocab <file>       Vocabulary file (.json or .bin)
+  -i, --input <file>       Input file; repeat for several files
+  -m, --model <name>       Model for a new vocabulary: ${Object.keys(MODELS).join(', ')} (default: word,
+                           or the model stored in an existing vocabulary)
+      --json               Write JSON instead of plain text
+
+train:
+      --mode <mode>        replace (default) or extend
+      --vocab-size <n>     Maximum vocabulary size
+      --min-frequency <n>  Drop tokens seen fewer times
+      --format <format>    Corpus format: text or jsonl (default: from the file extension)
+      --text-field <name>  Field holding the text in JSONL records (default: text)
+      --lossless           Keep whitespace and case so decoding restores the input exactly
+      --byte-fallback      Encode unknown characters as UTF-8 byte tokens
+encode:
+      --expand             Add unknown tokens to the vocabulary
+      --tokens             Print tokens next to IDs (with --json)
+      --offsets            Include character offsets (with --json)
+decode:
+      --skip-special       Leave special tokens out of the text
+export:
+  -f, --format <format>    ${EXPORT_FORMATS.join(', ')} (default: json)
+  -o, --output <path>      Write to a file instead of stdout; a directory for gpt2
+validate:
+      --repair             Fix what can be fixed and write the file back
+analyze:
+      --top <n>            Number of frequent tokens and unknown words to list (default: 20)
+      --frequencies        Analyze the frequencies recorded during training instead of a corpus
+benchmark:
+      --train <file>       Training corpus; repeat for several files
+  -m, --model <names>      Models to compare, comma-separated (default: all)
+      --vocab-size <n,...> Vocabulary sizes to compare, comma-separated
+      --normalizer <steps> Normalizer steps, comma-separated, or none; repeat to compare several
+      --config <file>      JSON list of configurations, or a grid of option lists, instead of
+                           --model, --vocab-size and --normalizer
+      --iterations <n>     Timed encode and decode passes over the corpus (default: 1)
+                           --lossless and --byte-fallback apply to every configuration;
+                           --format and --text-field (see train) describe both corpora.
+                           Run node with --expose-gc to measure memory.
+
+Exit codes: 0 success, 1 failure or invalid vocabulary, 2 usage error`;
+
+/**
+ * Error in the command line itself, reported with exit code 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Object} { command, args, options } where repeated options become arrays
+ */
+function parseArgs(argv) {
+    const args = [];
+    const options = {};
+    const set = (name, value) => {
+        options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+    };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--') {
+            args.push(...argv.slice(index + 1));
+            break;
+        }
+        if (arg === '-' || !arg.startsWith('-')) {
+            args.push(arg);
+            continue;
+        }
+
+        const match = arg.match(/^--?([^=]+)(?:=(.*))?$/);
+        const name = ALIASES[match[1]] || match[1];
+        if (FLAGS.includes(name)) {
+            if (match[2] !== undefined) {
+                throw new UsageError(`Option --${name} does not take a value`);
+            }
+            options[name] = true;
+        } else if (match[2] !== undefined) {
+            set(name, match[2]);
+        } else if (index + 1 < argv.length) {
+            set(name, argv[++index]);
+        } else {
+            throw new UsageError(`Option --${name} needs a value`);
+        }
+    }
+
+    return { command: args.shift(), args, options };
+}
+
+/**
+ * Check that only known options were given
+ * @param {Object} options - Parsed options
+ * @param {string[]} allowed - Options the command accepts
+ * @param {string} command - Command name for the error message
+ */
+function checkOptions(options, allowed, command) {
+    const unknown = Object.keys(options).find(name => name !== 'help' && !allowed.includes(name));
+    if (unknown) {
+        throw new UsageError(`Unknown option for ${command}: --${unknown}`);
+    }
+    const repeated = Object.keys(options).find(name => !REPEATABLE.includes(name) && Array.isArray(options[name]));
+    if (repeated) {
+        throw new UsageError(`Option --${repeated} was given more than once`);
+    }
+}
+
+/**
+ * Parse a positive integer option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @returns {number|undefined} Value, or undefined when not given
+ */
+function integerOption(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new UsageError(`--${name} must be a positive integer`);
+    }
+    return value;
+}
+
+/**
+ * Get the --vocab option
+ * @param {Object} options - Parsed options
+ * @param {boolean} mustExist - Fail if the file does not exist
+ * @returns {string} Vocabulary file path
+ */
+function vocabOption(options, mustExist = true) {
+    if (!options.vocab) {
+        throw new UsageError('Missing --vocab <file>');
+    }
+    if (mustExist && !fs.existsSync(options.vocab)) {
+        throw new Error(`Vocabulary file not found: ${options.vocab}`);
+    }
+    return options.vocab;
+}
+
+/**
+ * Create an API for a vocabulary file, using the model stored in the file
+ * unless another one is asked for
+ * @param {string} vocabFile - Vocabulary file path
+ * @param {Object} options - Parsed options
+ * @returns {TokenizerAPI} API bound to the file
+ */
+function openAPI(vocabFile, options) {
+    const model = options.model === undefined ? storedModel(vocabFile) || 'word' : options.model;
+    if (!MODELS[model]) {
+        throw new UsageError(`Unknown model: ${model}. Use ${Object.keys(MODELS).join(', ')}`);
+    }
+    return new TokenizerAPI(vocabFile, {
+        model,
+        lossless: options.lossless,
+        byteFallback: options['byte-fallback']
+    });
+}
+
+/**
+ * Get the input files of a command
+ * @param {Object} options - Parsed options
+ * @returns {string[]} Files, where '-' stands for stdin
+ */
+function inputFiles(options) {
+    return options.input === undefined ? [] : [].concat(options.input);
+}
+
+/**
+ * Read the input of a command line by line, from files or stdin
+ * @param {string[]} files - Input files; stdin when empty
+ * @param {Object} io - { stdin }
+ * @returns {AsyncGenerator<string>} Lines
+ */
+async function* readLines(files, io) {
+    if (files.length === 0) {
+        if (io.stdin.isTTY) {
+            throw new UsageError('No input: pass text as arguments, use --input <file>, or pipe it to stdin');
+        }
+        files = ['-'];
+    }
+    for (const file of files) {
+        if (file !== '-' && !fs.existsSync(file)) {
+            throw new Error(`Input file not found: ${file}`);
+        }
+        yield* splitLines(file === '-' ? io.stdin : fs.createReadStream(file));
+    }
+}
+
+/**
+ * Get the texts a command works on: its arguments joined into one text, or
+ * the lines of its input
+ * @param {string[]} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - { stdin }
+ * @returns {AsyncIterable<string>} Texts
+ */
+function inputTexts(args, options, io) {
+    if (args.length > 0) {
+        if (options.input !== undefined) {
+            throw new UsageError('Pass text as arguments or with --input, not both');
+        }
+        return [args.join(' ')];
+    }
+    return readLines(inputFiles(options), io);
+}
+
+/**
+ * Format a value for plain output
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function plain(value) {
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Print an object as "key: value" lines, or as JSON
+ * @param {Object} result - Object to print
+ * @param {Object} options - Parsed options
+ * @param {Object} io - { stdout }
+ */
+function printObject(result, options, io) {
+    if (options.json) {
+        io.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        return;
+    }
+    for (const [key, value] of Object.entries(result)) {
+        io.stdout.write(`${key}: ${plain(value)}\n`);
+    }
+}
+
+const COMMANDS = {
+    async train(args, options, io) {
+        checkOptions(options, ['vocab', 'input', 'model', 'mode', 'vocab-size', 'min-frequency', 'format',
+            'text-field', 'lossless', 'byte-fallback', 'json'], 'train');
+        const vocabFile = vocabOption(options, false);
+        const mode = options.mode || 'replace';
+        if (mode !== 'replace' && mode !== 'extend') {
+            throw new UsageError(`--mode must be replace or extend, not ${mode}`);
+        }
+        if (options.format !== undefined && options.format !== 'text' && options.format !== 'jsonl') {
+            throw new UsageError(`--format must be text or jsonl, not ${options.format}`);
+        }
+        if (args.length > 0) {
+            throw new UsageError('train reads its corpus from --input files or stdin');
+        }
+
+        const api = openAPI(vocabFile, options);
+        const trainOptions = {
+            mode,
+            format: options.format,
+            textField: options['text-field'],
+            maxVocabSize: integerOption(options, 'vocab-size'),
+            minFrequency: integerOption(options, 'min-frequency')
+        };
+        const files = inputFiles(options);
+        const missing = files.find(file => file !== '-' && !fs.existsSync(file));
+        if (missing) {
+            throw new Error(`Input file not found: ${missing}`);
+        }
+        try {
+            let result;
+            if (files.length > 0 && !files.includes('-')) {
+                result = await api.trainFromFiles(files, trainOptions);
+            } else {
+                result = await api.trainFromStream(readLines(files, io), trainOptions);
+            }
+            const { addedTokens, ...summary } = result;
+            printObject({ vocab: vocabFile, model: api.tokenizer.model, ...summary }, options, io);
+        } finally {
+            api.close();
+        }
+        return EXIT_OK;
+    },
+
+    async tokenize(args, options, io) {
+        checkOptions(options, ['vocab', 'input', 'json'], 'tokenize');
+        const api = openAPI(vocabOption(options), options);
+        try {
+            for await (const text of inputTexts(args, options, io)) {
+                const tokens = text.trim() ? api.tokenizer.tokenize(text) : [];
+                io.stdout.write((options.json ? JSON.stringify(tokens) : tokens.join(' ')) + '\n');
+            }
+        } finally {
+            api.close();
+        }
+        return EXIT_OK;
+    },
+
+    async encode(args, options, io) {
+        checkOptions(options, ['vocab', 'input', 'expand', 'tokens', 'offsets', 'json'], 'encode');
+        if ((options.tokens || options.offsets) && !options.json) {
+            throw new UsageError('--tokens and --offsets need --json');
+        }
+        const api = openAPI(vocabOption(options), options);
+        try {
+            for await (const text of inputTexts(args, options, io)) {
+                if (!options.json) {
+                    const ids = text.trim() ? api.tokenizer.encode(text, { expandVocab: options.expand === true }) : [];
+                    io.stdout.write(ids.join(' ') + '\n');
+                    continue;
+                }
+                const encoding = text.trim()
+                    ? api.tokenizer.encodeWithOffsets(text, { expandVocab: options.expand === true })
+                    : { ids: [], tokens: [], offsets: [] };
+                const record = { ids: encoding.ids };
+                if (options.tokens) {
+                    record.tokens = encoding.tokens;
+                }
+                if (options.offsets) {
+                    record.offsets = encoding.offsets;
+                }
+                io.stdout.write(JSON.stringify(record) + '\n');
+            }
+        } finally {
+            api.close();
+        }
+        return EXIT_OK;
+    },
+
+    async decode(args, options, io) {
+        checkOptions(options, ['vocab', 'input', 'skip-special', 'json'], 'decode');
+        const api = openAPI(vocabOption(options), options);
+        try {
+            let lineNumber = 0;
+            for await (const line of inputTexts(args, options, io)) {
+                lineNumber++;
+                const ids = parseIds(line, args.length > 0 ? 'arguments' : `line ${lineNumber}`);
+                const { text } = ids.length > 0
+                    ? api.decode(ids, { skipSpecialTokens: options['skip-special'] === true })
+                    : { text: '' };
+                io.stdout.write((options.json ? JSON.stringify(text) : text) + '\n');
+            }
+        } finally {
+            api.close();
+        }
+        return EXIT_OK;
+    },
+
+    async stats(args, options, io) {
+        checkOptions(options, ['vocab', 'json'], 'stats');
+        if (args.length > 0) {
+            throw new UsageError('stats takes no arguments');
+        }
+        const vocabFile = vocabOption(options);
+        const api = openAPI(vocabFile, options);
+        try {
+            printObject({
+                vocab: vocabFile,
+                model: api.tokenizer.model,
+                bytes: fs.statSync(vocabFile).size,
+                ...api.getVocabStats()
+            }, options, io);
+        } finally {
+            api.close();
+        }
+        return EXIT_OK;
+    },
+
+    async export(args, options, io) {
+        checkOptions(options, ['vocab', 'format', 'output'], 'export');
+        const format = options.format || 'json';
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new UsageError(`--format must be one of ${EXPORT_FORMATS.join(', ')}, not ${format}`);
+        }
+        const api = openAPI(vocabOption(options), options);
+        let contents;
+        try {
+            contents = api.exportVocab({ format });
+        } finally {
+            api.close();
+        }
+
+        if (!options.output) {
+            io.stdout.write((typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2)) + '\n');
+        } else if (format === 'gpt2') {
+            // GPT-2 vocabularies are two files, written into the output directory
+            fs.mkdirSync(options.output, { recursive: true });
+            fs.writeFileSync(path.join(options.output, 'vocab.json'), contents.vocab);
+            fs.writeFileSync(path.join(options.output, 'merges.txt'), contents.merges);
+        } else {
+            fs.writeFileSync(options.output, contents);
+        }
+        return EXIT_OK;
+    },
+
+    async validate(args, options, io) {
+        checkOptions(options, ['vocab', 'repair', 'json'], 'validate');
+        const vocabFile = vocabOption(options);
+        // Validation and repair read the stored data, whatever its model
+        const api = new TokenizerAPI(vocabFile);
+        const result = api.tokenizer.validateVocab(vocabFile);
+        if (options.repair && !result.valid) {
+            const repair = api.tokenizer.repairVocab(vocabFile);
+            Object.assign(result, { valid: repair.valid, errors: repair.errors, changes: repair.changes });
+        }
+
+        if (options.json) {
+            io.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        } else {
+            io.stdout.write(`${vocabFile}: ${result.valid ? 'valid' : 'invalid'} (version ${result.version})\n`);
+            (result.changes || []).forEach(change => io.stdout.write(`repaired: ${change}\n`));
+            result.errors.forEach(issue => io.stdout.write(`error [${issue.code}] ${issue.message}\n`));
+            result.warnings.forEach(issue => io.stdout.write(`warning [${issue.code}] ${issue.message}\n`));
+        }
+        return result.valid ? EXIT_OK : EXIT_FAILURE;
+    },
+
+    async analyze(args, options, io) {
+        checkOptions(options, ['vocab', 'input', 'top', 'frequencies', 'json'], 'analyze');
+        if (options.frequencies && (args.length > 0 || options.input !== undefined)) {
+            throw new UsageError('--frequencies takes no input');
+        }
+        const top = integerOption(options, 'top');
+        const api = openAPI(vocabOption(options), options);
+        let report;
+        try {
+            report = options.frequencies
+                ? await api.analyze(null, { top })
+                : await api.analyze(inputTexts(args, options, io), { top });
+        } finally {
+            api.close();
+        }
+
+        if (options.json) {
+            io.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        } else {
+            printReport(report, io);
+        }
+        return EXIT_OK;
+    },
+
+    async benchmark(args, options, io) {
+        checkOptions(options, ['train', 'input', 'model', 'vocab-size', 'normalizer', 'config', 'iterations',
+            'lossless', 'byte-fallback', 'format', 'text-field', 'json'], 'benchmark');
+        if (args.length > 0) {
+            throw new UsageError('benchmark reads its held-out corpus from --input files or stdin');
+        }
+        if (options.format !== undefined && options.format !== 'text' && options.format !== 'jsonl') {
+            throw new UsageError(`--format must be text or jsonl, not ${options.format}`);
+        }
+        const configs = benchmarkConfigs(options);
+        const trainFiles = options.train === undefined ? undefined : [].concat(options.train);
+        const missing = (trainFiles || []).find(file => !fs.existsSync(file));
+        if (missing) {
+            throw new Error(`Training file not found: ${missing}`);
+        }
+
+        const report = await benchmark(configs, {
+            trainFiles,
+            corpus: readLines(inputFiles(options), io),
+            format: options.format,
+            textField: options['text-field'],
+            iterations: integerOption(options, 'iterations')
+        });
+
+        if (options.json) {
+            io.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        } else {
+            io.stdout.write(`Held-out corpus: ${report.corpus.texts} texts, ${report.corpus.characters} characters, ` +
+                `${report.iterations} timed ${report.iterations === 1 ? 'pass' : 'passes'}\n\n`);
+            io.stdout.write(formatTable(report.results) + '\n');
+        }
+        return EXIT_OK;
+    }
+};
+
+/**
+ * Split a comma-separated option into its values
+ * @param {string} value - Option value
+ * @returns {string[]} Values
+ */
+function listOption(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read benchmark configurations from a JSON file: a list of configurations,
+ * { configs: [...] }, or a grid of option lists (see expandConfigs).
+ * Vocabulary files are relative to the configuration file.
+ * @param {string} file - Configuration file
+ * @returns {Object[]} Configurations
+ */
+function readConfigs(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Configuration file not found: ${file}`);
+    }
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+    }
+    if (contents === null || typeof contents !== 'object') {
+        throw new Error(`${file} must hold a list of configurations or an object of option lists`);
+    }
+
+    let configs;
+    if (Array.isArray(contents)) {
+        configs = contents;
+    } else {
+        configs = Array.isArray(contents.configs) ? contents.configs : expandConfigs(contents);
+    }
+    return configs.map(config => config.vocabFile
+        ? { ...config, vocabFile: path.resolve(path.dirname(file), config.vocabFile) }
+        : config);
+}
+
+/**
+ * Build benchmark configurations from the command line
+ * @param {Object} options - Parsed options
+ * @returns {Object[]} Configurations
+ */
+function benchmarkConfigs(options) {
+    const shared = {};
+    if (options.lossless) {
+        shared.lossless = true;
+    }
+    if (options['byte-fallback']) {
+        shared.byteFallback = true;
+    }
+
+    if (options.config !== undefined) {
+        if (options.model !== undefined || options['vocab-size'] !== undefined || options.normalizer !== undefined) {
+            throw new UsageError('Pass --config or --model, --vocab-size and --normalizer, not both');
+        }
+        return readConfigs(options.config).map(config => ({ ...config, ...shared }));
+    }
+
+    const grid = { model: options.model === undefined ? Object.keys(MODELS) : listOption(options.model) };
+    const unknown = grid.model.find(model => !MODELS[model]);
+    if (unknown) {
+        throw new UsageError(`Unknown model: ${unknown}. Use ${Object.keys(MODELS).join(', ')}`);
+    }
+    if (options['vocab-size'] !== undefined) {
+        grid.vocabSize = listOption(options['vocab-size']).map(size => integerOption({ 'vocab-size': size }, 'vocab-size'));
+    }
+    if (options.normalizer !== undefined) {
+        grid.normalizer = [].concat(options.normalizer).map(steps => steps === 'none' ? [] : listOption(steps));
+    }
+    return expandConfigs({ ...grid, ...shared });
+}
+
+/**
+ * Print an analytics report as plain text
+ * @param {Object} report - Report from TokenizerAPI.analyze
+ * @param {Object} io - { stdout }
+ */
+function printReport(report, io) {
+    const percent = value => `${(value * 100).toFixed(2)}%`;
+    const lines = [`vocab: ${report.vocabulary.file} (${report.vocabulary.model}, ${report.vocabulary.size} tokens)`];
+    if (report.corpus) {
+        const { corpus, unknowns, fertility } = report;
+        lines.push(
+            `corpus: ${corpus.texts} texts, ${corpus.words} words, ${corpus.characters} characters, ${corpus.tokens} tokens`,
+            `unknown rate: ${percent(unknowns.unknownRate)} of tokens, byte fallback: ${percent(unknowns.byteFallbackRate)}`,
+            `oov rate: ${percent(unknowns.oovRate)} of words (${unknowns.distinctUnknowns} distinct)`,
+            `tokens per word: ${fertility.tokensPerWord}, characters per token: ${fertility.charactersPerToken}`
+        );
+        if (unknowns.topUnknowns.length > 0) {
+            lines.push(`top unknowns: ${unknowns.topUnknowns.map(({ text, count }) => `${JSON.stringify(text)} ${count}`).join(', ')}`);
+        }
+    }
+    const { distribution, zipf, coverage } = report;
+    lines.push(`distinct tokens: ${distribution.distinctTokens} (${percent(distribution.vocabularyUsed)} of the vocabulary)`);
+    lines.push(zipf ? `zipf exponent: ${zipf.exponent} (r2 ${zipf.r2})` : 'zipf exponent: not enough tokens');
+    lines.push(`coverage: ${Object.entries(coverage.tokensFor).map(([share, tokens]) => `${percent(share)} by ${tokens} tokens`).join(', ')}`);
+    if (distribution.topTokens.length > 0) {
+        lines.push(`top tokens: ${distribution.topTokens.map(({ token, count }) => `${JSON.stringify(token)} ${count}`).join(', ')}`);
+    }
+    io.stdout.write(lines.join('\n') + '\n');
+}
+
+
+/**
+ * Parse a line of token IDs: a JSON array, or numbers separated by spaces or commas
+ * @param {string} line - Input line
+ * @param {string} where - Location for error messages
+ * @returns {number[]} Token IDs
+ */
+function parseIds(line, where) {
+    const trimmed = line.trim();
+    let ids;
+    if (trimmed.startsWith('[')) {
+        try {
+            ids = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${where}: ${error.message}`);
+        }
+    } else {
+        ids = trimmed === '' ? [] : trimmed.split(/[\s,]+/).map(Number);
+    }
+    if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id >= 0)) {
+        throw new Error(`Token IDs in ${where} must be non-negative integers`);
+    }
+    return ids;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io - { stdin, stdout, stderr } (default: the process streams)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = process) {
+    try {
+        const { command, args, options } = parseArgs(argv);
+        if (!command) {
+            (options.help ? io.stdout : io.stderr).write(USAGE + '\n');
+            return options.help ? EXIT_OK : EXIT_USAGE;
+        }
+        if (command !== 'help' && !Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (command === 'help' || options.help) {
+            io.stdout.write(USAGE + '\n');
+            return EXIT_OK;
+        }
+        return await COMMANDS[command](args, options, io);
+    } catch (error) {
+        io.stderr.write(`tokenizer: ${error.message}\n`);
+        if (error instanceof UsageError) {
+            io.stderr.write('Run "tokenizer --help" for usage.\n');
+            return EXIT_USAGE;
+        }
+        return EXIT_FAILURE;
+    }
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    UsageError,
+    EXIT_OK,
+    EXIT_FAILURE,
+    EXIT_USAGE
+};
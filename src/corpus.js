@@ -0,0 +1,241 @@
+/**
+ * Streaming corpus readers
+ * Turn files, readable streams and async iterables into training texts one
+ * record at a time, so large corpora never have to fit in memory
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const TokenizerUtils = require('./utils');
+
+// Constants
+const DEFAULT_PROGRESS_INTERVAL = 10000;
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+/**
+ * Check whether a source is a readable byte or character stream
+ * @param {any} source - Source to check
+ * @returns {boolean} True for Node.js readable streams
+ */
+function isReadableStream(source) {
+    return source !== null && typeof source === 'object' && typeof source.pipe === 'function'
+        && typeof source.read === 'function';
+}
+
+/**
+ * Pick the record format of a file from its name
+ * @param {string} filePath - File path, optionally ending in .gz
+ * @returns {string} 'jsonl' or 'text'
+ */
+function detectFormat(filePath) {
+    const name = TokenizerUtils.getFileExtension(filePath) === '.gz' ? filePath.slice(0, -3) : filePath;
+    return JSONL_EXTENSIONS.includes(TokenizerUtils.getFileExtension(name)) ? 'jsonl' : 'text';
+}
+
+/**
+ * Split a stream into lines without buffering more than one partial line
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<string>} Lines without their line terminators
+ */
+async function* splitLines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+
+    for await (const chunk of stream) {
+        pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            yield line.endsWith('\r') ? line.slice(0, -1) : line;
+        }
+    }
+
+    pending += decoder.end();
+    if (pending) {
+        yield pending.endsWith('\r') ? pending.slice(0, -1) : pending;
+    }
+}
+
+/**
+ * Extract the training text from one record
+ * @param {string|Object} record - Line of text, JSONL line or already parsed object
+ * @param {Object} options - Reader options
+ * @param {string} options.format - 'text' or 'jsonl'
+ * @param {string} options.textField - Field holding the text in JSONL records
+ * @param {number} lineNumber - Line number for error messages
+ * @param {string|null} file - File being read, for error messages
+ * @returns {string|null} Text, or null when the record has none
+ */
+function recordText(record, { format, textField }, lineNumber, file) {
+    if (typeof record === 'string' && format !== 'jsonl') {
+        return record;
+    }
+
+    let data = record;
+    if (typeof record === 'string') {
+        if (record.trim().length === 0) {
+            return null;
+        }
+        try {
+            data = JSON.parse(record);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${lineNumber}${file ? ` of ${file}` : ''}: ${error.message}`);
+        }
+    }
+
+    const text = data !== null && typeof data === 'object' ? data[textField] : undefined;
+    return typeof text === 'string' ? text : null;
+}
+
+/**
+ * Tracks bytes and lines read and reports them to a progress callback
+ */
+class Progress {
+    /**
+     * @param {Function} onProgress - Called with { bytes, totalBytes, lines, file }
+     * @param {number} interval - Lines between reports
+     */
+    constructor(onProgress, interval = DEFAULT_PROGRESS_INTERVAL) {
+        this.onProgress = onProgress;
+        this.interval = interval;
+        this.bytes = 0;
+        this.totalBytes = null;
+        this.lines = 0;
+        this.file = null;
+        this.reported = null;
+    }
+
+    /**
+     * Count one line, reporting every `interval` lines
+     */
+    line() {
+        this.lines++;
+        if (this.lines % this.interval === 0) {
+            this.report();
+        }
+    }
+
+    /**
+     * Report the current counts, unless nothing changed since the last report
+     */
+    report() {
+        const key = `${this.file}:${this.lines}:${this.bytes}`;
+        if (this.onProgress && key !== this.reported) {
+            this.reported = key;
+            this.onProgress({ bytes: this.bytes, totalBytes: this.totalBytes, lines: this.lines, file: this.file });
+        }
+    }
+
+    /**
+     * Create a pass-through stream that counts the bytes flowing through it
+     * @returns {Transform} Counting stream
+     */
+    byteCounter() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.bytes += chunk.length;
+                callback(null, chunk);
+            }
+        });
+    }
+}
+
+/**
+ * Read training texts from a stream or an iterable. Readable streams are read
+ * as line-delimited text or JSONL; any other (async) iterable yields one
+ * record per item, either a text or an object holding the text field. The
+ * streams created to read a source are destroyed when reading stops, also
+ * early or on an error; the source itself stays open.
+ * @param {Readable|AsyncIterable|Iterable} source - Corpus source
+ * @param {Object} options - Reader options
+ * @param {string} options.format - 'text' or 'jsonl' (default: 'text')
+ * @param {string} options.textField - Field holding the text in JSONL records (default: 'text')
+ * @param {boolean} options.gzip - Decompress a gzip-compressed stream (default: false)
+ * @param {Progress} progress - Progress tracker
+ * @returns {AsyncGenerator<string>} Training texts
+ */
+async function* readStream(source, options = {}, progress = new Progress()) {
+    const { format = 'text', textField = 'text', gzip = false } = options;
+
+    let records = source;
+    const streams = [];
+    if (isReadableStream(source)) {
+        let stream = source.pipe(progress.byteCounter());
+        source.on('error', error => stream.destroy(error));
+        streams.push(stream);
+        if (gzip) {
+            const compressed = stream;
+            stream = compressed.pipe(zlib.createGunzip());
+            compressed.on('error', error => stream.destroy(error));
+            streams.push(stream);
+        }
+        records = splitLines(stream);
+    } else if (!source || (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function')) {
+        throw new Error('Corpus source must be a readable stream or an iterable');
+    }
+
+    let lineNumber = 0;
+    try {
+        for await (const record of records) {
+            if (records === source && typeof record === 'string') {
+                progress.bytes += Buffer.byteLength(record);
+            }
+            lineNumber++;
+            progress.line();
+            const text = recordText(record, { format, textField }, lineNumber, progress.file);
+            if (text) {
+                yield text;
+            }
+        }
+    } finally {
+        if (streams.length > 0) {
+            source.unpipe(streams[0]);
+        }
+        streams.forEach(stream => stream.destroy());
+    }
+}
+
+/**
+ * Read training texts from files one after another. Gzip files are detected
+ * by their .gz extension and .jsonl/.ndjson files are read as JSONL unless a
+ * format is given.
+ * @param {string|string[]} paths - File paths
+ * @param {Object} options - Reader options (see readStream); `format` overrides detection
+ * @param {Progress} progress - Progress tracker
+ * @returns {AsyncGenerator<string>} Training texts
+ */
+async function* readFiles(paths, options = {}, progress = new Progress()) {
+    const files = Array.isArray(paths) ? paths : [paths];
+    const missing = files.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+        throw new Error(`Corpus file not found: ${missing.join(', ')}`);
+    }
+
+    progress.totalBytes = files.reduce((total, file) => total + fs.statSync(file).size, 0);
+
+    for (const file of files) {
+        progress.file = file;
+        const stream = fs.createReadStream(file);
+        try {
+            yield* readStream(stream, {
+                ...options,
+                format: options.format || detectFormat(file),
+                gzip: TokenizerUtils.getFileExtension(file) === '.gz'
+            }, progress);
+        } finally {
+            // Closes the file when the consumer stops early or reading fails
+            stream.destroy();
+        }
+        progress.report();
+    }
+}
+
+module.exports = {
+    Progress,
+    splitLines,
+    readStream,
+    readFiles,
+    detectFormat
+};
@@ -0,0 +1,156 @@
+/**
+ * Encoding result with alignment information
+ * Pairs every token ID with the characters of the original text it came from
+ */
+
+/**
+ * Encoding Class
+ */
+class Encoding {
+    /**
+     * @param {Object} data - Encoding data
+     * @param {number[]} data.ids - Token IDs
+     * @param {string[]} data.tokens - Token strings
+     * @param {number[][]} data.offsets - [start, end] character range in the original text per token
+     * @param {Array<number|null>} data.wordIds - Index of the pre-tokenized word each token belongs to
+     * @param {number[]} data.typeIds - Sequence index per token (0 for the first text, 1 for the second of a pair)
+     * @param {number[]} data.attentionMask - 1 for real tokens, 0 for padding
+     */
+    constructor({ ids = [], tokens = [], offsets = [], wordIds = [], typeIds, attentionMask } = {}) {
+        this.ids = ids;
+        this.tokens = tokens;
+        this.offsets = offsets;
+        this.wordIds = wordIds;
+        this.typeIds = typeIds || ids.map(() => 0);
+        this.attentionMask = attentionMask || ids.map(() => 1);
+    }
+
+    /**
+     * Number of tokens
+     * @returns {number} Token count
+     */
+    get length() {
+        return this.ids.length;
+    }
+
+    /**
+     * Find the token covering a character of the original text
+     * @param {number} charIndex - Character index in the original text
+     * @returns {number|null} Token index, or null if no token covers it
+     */
+    charToToken(charIndex) {
+        const index = this.offsets.findIndex(([start, end]) => start <= charIndex && charIndex < end);
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Get the original character range of a token
+     * @param {number} tokenIndex - Token index
+     * @returns {number[]|null} [start, end] range, or null if out of bounds
+     */
+    tokenToChars(tokenIndex) {
+        const span = this.offsets[tokenIndex];
+        return span ? [...span] : null;
+    }
+
+    /**
+     * Get the word a token belongs to
+     * @param {number} tokenIndex - Token index
+     * @returns {number|null} Word index, or null for tokens outside any word
+     */
+    tokenToWord(tokenIndex) {
+        const wordId = this.wordIds[tokenIndex];
+        return wordId === undefined ? null : wordId;
+    }
+
+    /**
+     * Get the range of tokens that make up a word
+     * @param {number} wordIndex - Word index
+     * @returns {number[]|null} [start, end) token range, or null if the word has no tokens
+     */
+    wordToTokens(wordIndex) {
+        const start = this.wordIds.indexOf(wordIndex);
+        if (start === -1) {
+            return null;
+        }
+        return [start, this.wordIds.lastIndexOf(wordIndex) + 1];
+    }
+
+    /**
+     * Append a token
+     * @param {number} id - Token ID
+     * @param {string} token - Token string
+     * @param {number[]} offsets - [start, end] character range
+     * @param {number|null} wordId - Word index
+     * @param {number} typeId - Sequence index (default: 0)
+     * @param {number} attention - Attention mask value (default: 1)
+     */
+    push(id, token, offsets, wordId, typeId = 0, attention = 1) {
+        this.ids.push(id);
+        this.tokens.push(token);
+        this.offsets.push(offsets);
+        this.wordIds.push(wordId);
+        this.typeIds.push(typeId);
+        this.attentionMask.push(attention);
+    }
+
+    /**
+     * Copy a range of tokens into a new encoding
+     * @param {number} start - First token index
+     * @param {number} end - Token index to stop before
+     * @returns {Encoding} Encoding with the selected tokens
+     */
+    slice(start, end) {
+        return new Encoding({
+            ids: this.ids.slice(start, end),
+            tokens: this.tokens.slice(start, end),
+            offsets: this.offsets.slice(start, end),
+            wordIds: this.wordIds.slice(start, end),
+            typeIds: this.typeIds.slice(start, end),
+            attentionMask: this.attentionMask.slice(start, end)
+        });
+    }
+
+    /**
+     * Drop tokens beyond a length
+     * @param {number} length - Maximum number of tokens to keep
+     * @returns {Encoding} This encoding
+     */
+    truncate(length) {
+        for (const key of ['ids', 'tokens', 'offsets', 'wordIds', 'typeIds', 'attentionMask']) {
+            this[key] = this[key].slice(0, Math.max(length, 0));
+        }
+        return this;
+    }
+
+    /**
+     * Append padding tokens up to a length. Padding is masked out and has no offsets or word.
+     * @param {number} length - Target number of tokens
+     * @param {number} padId - Padding token ID
+     * @param {string} padToken - Padding token string
+     * @returns {Encoding} This encoding
+     */
+    pad(length, padId, padToken) {
+        while (this.length < length) {
+            this.push(padId, padToken, [0, 0], null, 0, 0);
+        }
+        return this;
+    }
+
+    /**
+     * Plain object representation
+     * @returns {Object} Encoding data
+     */
+    toJSON() {
+        return {
+            ids: this.ids,
+            tokens: this.tokens,
+            offsets: this.offsets,
+            wordIds: this.wordIds,
+            typeIds: this.typeIds,
+            attentionMask: this.attentionMask
+        };
+    }
+}
+
+module.exports = Encoding;
@@ -0,0 +1,227 @@
+/**
+ * Vocabulary file formats
+ * Vocabularies are stored as JSON or in a compact binary layout, chosen by
+ * file extension. The binary layout keeps one length-prefixed UTF-8 string
+ * per ID instead of both lookup tables, so it is smaller and faster to load.
+ *
+ * Binary layout (integers little-endian, varints are unsigned LEB128):
+ *   "TKVB"           magic
+ *   uint16           format version
+ *   uint32 + bytes   header: UTF-8 JSON with every field except the token tables
+ *   varint           slot count (one slot per ID from 0)
+ *   per slot         varint length + 1, then the token's UTF-8 bytes (0 marks an unused ID)
+ *   per slot         varint training frequency (0 when none is recorded)
+ */
+
+const fs = require('fs');
+const TokenizerUtils = require('./utils');
+const { writeFileAtomic } = require('./storage');
+
+// Constants
+const MAGIC = Buffer.from('TKVB', 'ascii');
+const FORMAT_VERSION = 1;
+const BINARY_EXTENSIONS = ['.bin'];
+// Fields rebuilt from the token slots instead of stored in the header
+const TOKEN_FIELDS = ['vocab', 'reverseVocab', 'frequencies'];
+
+/**
+ * Pick the storage format of a vocabulary file from its name
+ * @param {string} filename - Vocabulary file path
+ * @returns {string} 'binary' or 'json'
+ */
+function detectFormat(filename) {
+    return BINARY_EXTENSIONS.includes(TokenizerUtils.getFileExtension(filename)) ? 'binary' : 'json';
+}
+
+/**
+ * Count the bytes of a varint
+ * @param {number} value - Non-negative integer
+ * @returns {number} Encoded length
+ */
+function varintLength(value) {
+    let length = 1;
+    while (value >= 128) {
+        value = Math.floor(value / 128);
+        length++;
+    }
+    return length;
+}
+
+/**
+ * Write a varint. Uses arithmetic rather than bit operations so counts above
+ * 2^31 survive.
+ * @param {Buffer} buffer - Target buffer
+ * @param {number} value - Non-negative integer
+ * @param {number} offset - Write position
+ * @returns {number} Position after the varint
+ */
+function writeVarint(buffer, value, offset) {
+    while (value >= 128) {
+        buffer[offset++] = (value % 128) + 128;
+        value = Math.floor(value / 128);
+    }
+    buffer[offset++] = value;
+    return offset;
+}
+
+/**
+ * Read a varint
+ * @param {Buffer} buffer - Source buffer
+ * @param {Object} cursor - { offset }, advanced past the varint
+ * @returns {number} Decoded integer
+ */
+function readVarint(buffer, cursor) {
+    let value = 0;
+    let scale = 1;
+    while (true) {
+        if (cursor.offset >= buffer.length) {
+            throw new Error('Unexpected end of binary vocabulary');
+        }
+        const byte = buffer[cursor.offset++];
+        value += (byte % 128) * scale;
+        if (byte < 128) {
+            return value;
+        }
+        scale *= 128;
+    }
+}
+
+/**
+ * Serialize stored vocabulary contents to the binary layout
+ * @param {Object} data - Vocabulary contents as stored in JSON
+ * @returns {Buffer} Binary vocabulary
+ */
+function toBinary(data) {
+    const reverseVocab = data.reverseVocab || {};
+    const frequencies = data.frequencies || {};
+    const ids = Object.keys(reverseVocab).map(Number);
+    const slots = ids.reduce((max, id) => Math.max(max, id + 1), data.nextTokenId || 0);
+
+    const headerFields = Object.fromEntries(Object.entries(data).filter(([field]) => !TOKEN_FIELDS.includes(field)));
+    const header = Buffer.from(JSON.stringify(headerFields), 'utf8');
+
+    // Size everything first so the buffer is allocated once
+    let size = MAGIC.length + 2 + 4 + header.length + varintLength(slots);
+    const lengths = new Array(slots);
+    for (let id = 0; id < slots; id++) {
+        const token = reverseVocab[id];
+        lengths[id] = token === undefined ? -1 : Buffer.byteLength(token, 'utf8');
+        size += varintLength(lengths[id] + 1) + Math.max(lengths[id], 0);
+        size += varintLength(token === undefined ? 0 : frequencies[token] || 0);
+    }
+
+    const buffer = Buffer.alloc(size);
+    let offset = MAGIC.copy(buffer, 0);
+    offset = buffer.writeUInt16LE(FORMAT_VERSION, offset);
+    offset = buffer.writeUInt32LE(header.length, offset);
+    offset += header.copy(buffer, offset);
+    offset = writeVarint(buffer, slots, offset);
+
+    for (let id = 0; id < slots; id++) {
+        offset = writeVarint(buffer, lengths[id] + 1, offset);
+        if (lengths[id] > 0) {
+            offset += buffer.write(reverseVocab[id], offset, 'utf8');
+        }
+    }
+    for (let id = 0; id < slots; id++) {
+        const token = reverseVocab[id];
+        offset = writeVarint(buffer, token === undefined ? 0 : frequencies[token] || 0, offset);
+    }
+
+    return buffer;
+}
+
+/**
+ * Parse the binary layout back into stored vocabulary contents
+ * @param {Buffer} buffer - Binary vocabulary
+ * @returns {Object} Vocabulary contents as stored in JSON
+ */
+function fromBinary(buffer) {
+    if (buffer.length < MAGIC.length + 6 || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a binary vocabulary file');
+    }
+
+    const version = buffer.readUInt16LE(MAGIC.length);
+    if (version > FORMAT_VERSION) {
+        throw new Error(`Unsupported binary vocabulary version: ${version}`);
+    }
+
+    const headerLength = buffer.readUInt32LE(MAGIC.length + 2);
+    const cursor = { offset: MAGIC.length + 6 + headerLength };
+    if (cursor.offset > buffer.length) {
+        throw new Error('Unexpected end of binary vocabulary');
+    }
+    const header = JSON.parse(buffer.toString('utf8', MAGIC.length + 6, cursor.offset));
+
+    const slots = readVarint(buffer, cursor);
+    const vocab = {};
+    const reverseVocab = {};
+    const tokens = new Array(slots);
+    for (let id = 0; id < slots; id++) {
+        const length = readVarint(buffer, cursor) - 1;
+        if (length < 0) {
+            continue;
+        }
+        if (cursor.offset + length > buffer.length) {
+            throw new Error('Unexpected end of binary vocabulary');
+        }
+        const token = buffer.toString('utf8', cursor.offset, cursor.offset + length);
+        cursor.offset += length;
+        tokens[id] = token;
+        vocab[token] = id;
+        reverseVocab[id] = token;
+    }
+
+    const frequencies = {};
+    for (let id = 0; id < slots; id++) {
+        const count = readVarint(buffer, cursor);
+        if (count > 0 && tokens[id] !== undefined) {
+            frequencies[tokens[id]] = count;
+        }
+    }
+
+    return { ...header, vocab, reverseVocab, frequencies };
+}
+
+/**
+ * Serialize stored vocabulary contents in the format of a file
+ * @param {Object} data - Vocabulary contents
+ * @param {string} filename - Target file path
+ * @returns {string|Buffer} File contents
+ */
+function serializeVocab(data, filename) {
+    return detectFormat(filename) === 'binary' ? toBinary(data) : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Parse vocabulary file contents in the format of a file
+ * @param {Buffer} contents - File contents
+ * @param {string} filename - Source file path
+ * @returns {Object} Vocabulary contents
+ */
+function parseVocab(contents, filename) {
+    return detectFormat(filename) === 'binary' ? fromBinary(contents) : JSON.parse(contents.toString('utf8'));
+}
+
+/**
+ * Convert a vocabulary file between JSON and binary. Each format is picked
+ * from the file's extension (.bin for binary).
+ * @param {string} source - Existing vocabulary file
+ * @param {string} target - File to write
+ * @returns {Object} { source, target, tokens } with the formats used
+ */
+function convertVocabFile(source, target) {
+    const data = parseVocab(fs.readFileSync(source), source);
+    TokenizerUtils.ensureFilePath(target);
+    writeFileAtomic(target, serializeVocab(data, target));
+    return { source: detectFormat(source), target: detectFormat(target), tokens: Object.keys(data.vocab || {}).length };
+}
+
+module.exports = {
+    detectFormat,
+    toBinary,
+    fromBinary,
+    serializeVocab,
+    parseVocab,
+    convertVocabFile
+};
@@ -0,0 +1,839 @@
+/**
+ * Interoperability with other tokenizer libraries
+ * Converts between stored vocabulary contents and HuggingFace `tokenizers`
+ * tokenizer.json, BERT-style vocab.txt and GPT-2 vocab.json + merges.txt.
+ * Importers return { data, warnings }: `data` holds the stored fields the
+ * source defines and `warnings` lists what could not be carried over.
+ * Exporters throw when the vocabulary uses something the target format
+ * cannot express, so an exported file always behaves like the original.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Normalizer = require('./normalizer');
+const PreTokenizer = require('./pretokenizer');
+const { SPLIT_PATTERNS } = require('./pretokenizer');
+
+// Constants
+// Same as Tokenizer.UNK_TOKEN; the tokenizer module requires this one, so it is not imported
+const UNK_TOKEN = '[UNK]';
+const DEFAULT_TEMPLATE = { single: ['$A'], pair: ['$A', '$B'] };
+// Roles given to special tokens from other libraries, by their usual spellings
+const ROLE_NAMES = {
+    pad: ['[PAD]', '<pad>', '<|pad|>'],
+    bos: ['[BOS]', '<s>', '<|startoftext|>'],
+    eos: ['[EOS]', '</s>', '<|endoftext|>'],
+    sep: ['[SEP]'],
+    cls: ['[CLS]'],
+    mask: ['[MASK]', '<mask>']
+};
+const HF_MODELS = {
+    WordLevel: 'word',
+    WordPiece: 'wordpiece',
+    BPE: 'bpe'
+};
+// CJK ideographs, padded with spaces by BERT so each becomes its own word
+const CJK_PATTERN = '[\\u{4E00}-\\u{9FFF}\\u{3400}-\\u{4DBF}\\u{20000}-\\u{2A6DF}\\u{2A700}-\\u{2B73F}'
+    + '\\u{2B740}-\\u{2B81F}\\u{2B820}-\\u{2CEAF}\\u{F900}-\\u{FAFF}\\u{2F800}-\\u{2FA1F}]';
+// Words or single punctuation characters, counting ASCII symbols as punctuation like BERT does
+const BERT_PATTERN = '[^\\s\\p{P}!-\\/:-@\\[-`{-~]+|[\\p{P}!-\\/:-@\\[-`{-~]';
+const GPT2_MERGES_HEADER = '#version: 0.2';
+const END_OF_WORD = '</w>';
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern matching the text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+}
+
+/**
+ * Check that a pattern compiles as a Unicode regular expression
+ * @param {string} pattern - Pattern source
+ * @returns {boolean} True if JavaScript accepts the pattern
+ */
+function isValidPattern(pattern) {
+    try {
+        new RegExp(pattern, 'u');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Build the token tables from [token, id] pairs
+ * @param {Array<Array>} entries - Tokens with their IDs
+ * @param {string[]} warnings - Collects duplicate tokens
+ * @returns {Object} { vocab, reverseVocab, nextTokenId }
+ */
+function tokenTables(entries, warnings) {
+    const vocab = {};
+    const reverseVocab = {};
+    let nextTokenId = 0;
+
+    for (const [token, id] of entries) {
+        if (!Number.isInteger(id) || id < 0) {
+            throw new Error(`Invalid ID for token ${JSON.stringify(token)}: ${id}`);
+        }
+        if (Object.prototype.hasOwnProperty.call(vocab, token)) {
+            warnings.push(`Token ${JSON.stringify(token)} appears more than once; kept ID ${vocab[token]}`);
+            continue;
+        }
+        if (reverseVocab[id] !== undefined) {
+            throw new Error(`ID ${id} is assigned to both ${JSON.stringify(reverseVocab[id])} and ${JSON.stringify(token)}`);
+        }
+        vocab[token] = id;
+        reverseVocab[id] = token;
+        nextTokenId = Math.max(nextTokenId, id + 1);
+    }
+
+    return { vocab, reverseVocab, nextTokenId };
+}
+
+/**
+ * Add a token after the highest ID unless it is already present
+ * @param {Object} data - Vocabulary contents
+ * @param {string} token - Token to add
+ * @returns {number} Token ID
+ */
+function addToken(data, token) {
+    if (!Object.prototype.hasOwnProperty.call(data.vocab, token)) {
+        data.vocab[token] = data.nextTokenId;
+        data.reverseVocab[data.nextTokenId] = token;
+        data.nextTokenId++;
+    }
+    return data.vocab[token];
+}
+
+/**
+ * Make the source's unknown token our [UNK], renaming it in place so its ID
+ * is kept, or add [UNK] when the source has none
+ * @param {Object} data - Vocabulary contents
+ * @param {string|null} unkToken - The source's unknown token
+ * @param {string[]} warnings - Collects what was changed
+ */
+function useUnknownToken(data, unkToken, warnings) {
+    const { vocab, reverseVocab } = data;
+
+    if (unkToken && unkToken !== UNK_TOKEN && Object.prototype.hasOwnProperty.call(vocab, unkToken)) {
+        if (Object.prototype.hasOwnProperty.call(vocab, UNK_TOKEN)) {
+            warnings.push(`Unknown token ${JSON.stringify(unkToken)} was kept as a plain token because "${UNK_TOKEN}" is already in the vocabulary`);
+        } else {
+            const id = vocab[unkToken];
+            delete vocab[unkToken];
+            vocab[UNK_TOKEN] = id;
+            reverseVocab[id] = UNK_TOKEN;
+            warnings.push(`Unknown token ${JSON.stringify(unkToken)} was renamed to "${UNK_TOKEN}"`);
+        }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(vocab, UNK_TOKEN)) {
+        warnings.push(`Added "${UNK_TOKEN}" with ID ${addToken(data, UNK_TOKEN)}`);
+    }
+}
+
+/**
+ * Give roles to special tokens. Tokens with a usual spelling get that role,
+ * the rest use their own text as the role name.
+ * @param {Object} specialTokens - Special tokens keyed by role, extended in place
+ * @param {string[]} tokens - Special token strings
+ */
+function assignRoles(specialTokens, tokens) {
+    const assigned = new Set(Object.values(specialTokens));
+
+    for (const token of tokens) {
+        if (assigned.has(token)) {
+            continue;
+        }
+        const role = Object.keys(ROLE_NAMES).find(name => ROLE_NAMES[name].includes(token) && !specialTokens[name]);
+        specialTokens[role || token] = token;
+        assigned.add(token);
+    }
+}
+
+/**
+ * Find the role of a special token, giving it one if it has none yet
+ * @param {Object} specialTokens - Special tokens keyed by role, extended in place
+ * @param {string} token - Special token string
+ * @param {string} preferredRole - Role to use for a token without one, if still free
+ * @returns {string} Role name
+ */
+function roleOf(specialTokens, token, preferredRole) {
+    const existing = Object.keys(specialTokens).find(role => specialTokens[role] === token);
+    if (existing) {
+        return existing;
+    }
+    if (preferredRole && !specialTokens[preferredRole]) {
+        specialTokens[preferredRole] = token;
+        return preferredRole;
+    }
+    assignRoles(specialTokens, [token]);
+    return roleOf(specialTokens, token);
+}
+
+/**
+ * Convert a HuggingFace normalizer to normalizer steps
+ * @param {Object|null} config - HuggingFace normalizer
+ * @param {string[]} warnings - Collects unsupported normalizers
+ * @returns {Array<string|Object>} Normalizer steps
+ */
+function normalizerFromHf(config, warnings) {
+    if (!config) {
+        return [];
+    }
+
+    switch (config.type) {
+        case 'Sequence':
+            return config.normalizers.flatMap(normalizer => normalizerFromHf(normalizer, warnings));
+        case 'Lowercase':
+            return ['lowercase'];
+        case 'NFC':
+        case 'NFD':
+        case 'NFKC':
+        case 'NFKD':
+            return [config.type];
+        case 'StripAccents':
+            return ['stripAccents'];
+        case 'Strip':
+            if (config.strip_left === false || config.strip_right === false) {
+                warnings.push('One-sided Strip normalizer was imported as stripping both sides');
+            }
+            return ['trim'];
+        case 'Replace': {
+            const pattern = config.pattern.String !== undefined ? escapeRegex(config.pattern.String) : config.pattern.Regex;
+            if (!isValidPattern(pattern)) {
+                warnings.push(`Replace normalizer pattern ${JSON.stringify(pattern)} is not a valid JavaScript regex and was skipped`);
+                return [];
+            }
+            return [{ type: 'replace', pattern, flags: 'gu', replacement: config.content.replace(/\$/g, '$$$$') }];
+        }
+        case 'BertNormalizer': {
+            const lowercase = config.lowercase !== false;
+            const steps = [];
+            if (config.clean_text !== false) {
+                steps.push('removeControl', { type: 'replace', pattern: '\\s', flags: 'gu', replacement: ' ' });
+            }
+            if (config.handle_chinese_chars !== false) {
+                steps.push({ type: 'replace', pattern: CJK_PATTERN, flags: 'gu', replacement: ' $& ' });
+            }
+            // BERT strips accents whenever it lowercases, unless told otherwise
+            if (config.strip_accents === true || (config.strip_accents == null && lowercase)) {
+                steps.push('stripAccents');
+            }
+            if (lowercase) {
+                steps.push('lowercase');
+            }
+            return steps;
+        }
+        default:
+            warnings.push(`Normalizer "${config.type}" is not supported and was skipped`);
+            return [];
+    }
+}
+
+/**
+ * Build a regex step that keeps the pieces a HuggingFace Split would produce
+ * @param {string} pattern - Split pattern source
+ * @param {string} behavior - HuggingFace split behavior
+ * @param {boolean} invert - Whether the pattern matches the pieces instead of the delimiters
+ * @param {string[]} warnings - Collects unsupported behaviors
+ * @returns {Object[]} Pre-tokenizer steps
+ */
+function splitFromHf(pattern, behavior, invert, warnings) {
+    if (!isValidPattern(pattern)) {
+        warnings.push(`Split pattern ${JSON.stringify(pattern)} is not a valid JavaScript regex; splitting on whitespace instead`);
+        return ['whitespace'];
+    }
+    if (invert) {
+        return [{ type: 'regex', pattern }];
+    }
+
+    const rest = `(?:(?!${pattern})[\\s\\S])+`;
+    if (behavior === 'Removed') {
+        return [{ type: 'regex', pattern: rest }];
+    }
+    if (behavior !== 'Isolated') {
+        warnings.push(`Split behavior "${behavior}" is not supported; delimiters are kept as separate pieces`);
+    }
+    return [{ type: 'regex', pattern: `${pattern}|${rest}` }];
+}
+
+/**
+ * Convert a HuggingFace pre-tokenizer to pre-tokenizer steps
+ * @param {Object|null} config - HuggingFace pre-tokenizer
+ * @param {string[]} warnings - Collects unsupported pre-tokenizers
+ * @returns {Object} { steps, byteLevel }
+ */
+function preTokenizerFromHf(config, warnings) {
+    if (!config) {
+        warnings.push('The source has no pre-tokenizer; text is split on whitespace');
+        return { steps: ['whitespace'], byteLevel: false };
+    }
+
+    switch (config.type) {
+        case 'Sequence': {
+            const parts = config.pretokenizers.map(part => preTokenizerFromHf(part, warnings));
+            return { steps: parts.flatMap(part => part.steps), byteLevel: parts.some(part => part.byteLevel) };
+        }
+        case 'Whitespace':
+            return { steps: [{ type: 'regex', pattern: '\\w+|[^\\w\\s]+' }], byteLevel: false };
+        case 'WhitespaceSplit':
+            return { steps: ['whitespace'], byteLevel: false };
+        case 'BertPreTokenizer':
+            return { steps: [{ type: 'regex', pattern: BERT_PATTERN }], byteLevel: false };
+        case 'Punctuation':
+            return { steps: splitFromHf('[\\p{P}!-\\/:-@\\[-`{-~]', config.behavior || 'Isolated', false, warnings), byteLevel: false };
+        case 'Digits':
+            return {
+                steps: [config.individual_digits ? 'digits' : { type: 'regex', pattern: '\\p{N}+|[^\\p{N}]+' }],
+                byteLevel: false
+            };
+        case 'CharDelimiterSplit':
+            return { steps: [{ type: 'regex', pattern: `[^${escapeRegex(config.delimiter)}]+` }], byteLevel: false };
+        case 'Split': {
+            const pattern = config.pattern.String !== undefined ? escapeRegex(config.pattern.String) : config.pattern.Regex;
+            return { steps: splitFromHf(pattern, config.behavior, config.invert, warnings), byteLevel: false };
+        }
+        case 'ByteLevel':
+            if (config.add_prefix_space) {
+                warnings.push('ByteLevel add_prefix_space is not supported; the first word is encoded without a leading space');
+            }
+            return { steps: config.use_regex === false ? [] : ['gpt2'], byteLevel: true };
+        default:
+            warnings.push(`Pre-tokenizer "${config.type}" is not supported; splitting on whitespace instead`);
+            return { steps: ['whitespace'], byteLevel: false };
+    }
+}
+
+/**
+ * Convert a HuggingFace post-processor to a template, giving roles to the
+ * special tokens it uses
+ * @param {Object|null} config - HuggingFace post-processor
+ * @param {Object} specialTokens - Special tokens keyed by role, extended in place
+ * @param {string[]} warnings - Collects unsupported post-processors
+ * @returns {Object} Template with `single` and `pair` role lists
+ */
+function templateFromHf(config, specialTokens, warnings) {
+    if (!config) {
+        return DEFAULT_TEMPLATE;
+    }
+
+    switch (config.type) {
+        case 'TemplateProcessing': {
+            const tokenOf = id => config.special_tokens && config.special_tokens[id]
+                ? config.special_tokens[id].tokens[0]
+                : id;
+            const convert = items => items.map(item => item.Sequence
+                ? `$${item.Sequence.id}`
+                : roleOf(specialTokens, tokenOf(item.SpecialToken.id)));
+            return { single: convert(config.single), pair: convert(config.pair) };
+        }
+        case 'BertProcessing':
+        case 'RobertaProcessing': {
+            const cls = roleOf(specialTokens, config.cls[0], 'cls');
+            const sep = roleOf(specialTokens, config.sep[0], 'sep');
+            return {
+                single: [cls, '$A', sep],
+                pair: config.type === 'BertProcessing' ? [cls, '$A', sep, '$B', sep] : [cls, '$A', sep, sep, '$B', sep]
+            };
+        }
+        case 'ByteLevel':
+            return DEFAULT_TEMPLATE;
+        case 'Sequence': {
+            const templates = config.processors.map(processor => templateFromHf(processor, specialTokens, warnings));
+            return templates.reverse().find(template => template !== DEFAULT_TEMPLATE) || DEFAULT_TEMPLATE;
+        }
+        default:
+            warnings.push(`Post-processor "${config.type}" is not supported; sequences are not wrapped`);
+            return DEFAULT_TEMPLATE;
+    }
+}
+
+/**
+ * Get the type of a HuggingFace model section. Old files leave it out, so it
+ * is inferred from the fields present.
+ * @param {Object} model - HuggingFace model section
+ * @returns {string} Model type, e.g. 'BPE'
+ */
+function hfModelType(model) {
+    return model.type || (model.merges ? 'BPE' : (model.continuing_subword_prefix ? 'WordPiece' : 'WordLevel'));
+}
+
+/**
+ * Read a HuggingFace tokenizer.json
+ * @param {string|Object} config - tokenizer.json contents or parsed object
+ * @returns {Object} { data, warnings }
+ */
+function fromHuggingFace(config) {
+    if (typeof config === 'string') {
+        config = JSON.parse(config);
+    }
+    if (!config || typeof config.model !== 'object' || config.model === null) {
+        throw new Error('Not a HuggingFace tokenizer.json: missing "model"');
+    }
+
+    const warnings = [];
+    const { model: source } = config;
+    const type = hfModelType(source);
+    const model = HF_MODELS[type];
+    if (!model) {
+        throw new Error(`Unsupported HuggingFace model type: ${type}. Supported types: ${Object.keys(HF_MODELS).join(', ')}`);
+    }
+    if (Array.isArray(source.vocab) || typeof source.vocab !== 'object') {
+        throw new Error('HuggingFace model vocabulary must map tokens to IDs');
+    }
+
+    const data = { model, ...tokenTables(Object.entries(source.vocab), warnings) };
+    const preTokenizer = preTokenizerFromHf(config.pre_tokenizer, warnings);
+
+    if (model === 'wordpiece') {
+        data.continuationPrefix = source.continuing_subword_prefix || '##';
+        data.maxInputCharsPerWord = source.max_input_chars_per_word || 100;
+    } else if (model === 'bpe') {
+        data.merges = (source.merges || []).map(pair => Array.isArray(pair) ? pair.join(' ') : pair);
+        data.endOfWordSuffix = source.end_of_word_suffix || '';
+        data.byteLevel = preTokenizer.byteLevel;
+        if (source.continuing_subword_prefix) {
+            warnings.push('BPE continuing_subword_prefix is not supported and was ignored');
+        }
+        if (source.dropout) {
+            warnings.push('BPE dropout is not supported and was ignored');
+        }
+    }
+    if (preTokenizer.byteLevel && model !== 'bpe') {
+        warnings.push('The ByteLevel pre-tokenizer is only supported for BPE; its byte mapping was ignored');
+    }
+
+    // Added tokens keep their IDs; special ones get roles
+    const specials = [];
+    for (const added of config.added_tokens || []) {
+        const taken = data.reverseVocab[added.id];
+        if (taken === undefined && !Object.prototype.hasOwnProperty.call(data.vocab, added.content)) {
+            data.vocab[added.content] = added.id;
+            data.reverseVocab[added.id] = added.content;
+            data.nextTokenId = Math.max(data.nextTokenId, added.id + 1);
+        } else if (taken !== added.content) {
+            warnings.push(`Added token ${JSON.stringify(added.content)} could not keep ID ${added.id}`);
+            addToken(data, added.content);
+        }
+        if (added.special && added.content !== source.unk_token) {
+            specials.push(added.content);
+        }
+    }
+
+    useUnknownToken(data, source.unk_token, warnings);
+    if (model === 'bpe' && source.byte_fallback) {
+        const missing = Array.from({ length: 256 }, (_, byte) => `<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`)
+            .filter(token => !Object.prototype.hasOwnProperty.call(data.vocab, token));
+        data.byteFallback = missing.length === 0;
+        if (missing.length > 0) {
+            warnings.push(`Byte fallback was disabled because ${missing.length} byte tokens are missing`);
+        }
+    }
+
+    data.specialTokens = { unk: UNK_TOKEN };
+    data.template = templateFromHf(config.post_processor, data.specialTokens, warnings);
+    assignRoles(data.specialTokens, specials);
+    data.normalizer = normalizerFromHf(config.normalizer, warnings);
+    data.preTokenizer = preTokenizer.steps.length > 0 ? preTokenizer.steps : [{ type: 'regex', pattern: '[\\s\\S]+' }];
+
+    return { data, warnings };
+}
+
+/**
+ * Convert normalizer steps to a HuggingFace normalizer
+ * @param {Array<string|Object>} steps - Normalizer steps
+ * @returns {Object|null} HuggingFace normalizer
+ */
+function normalizerToHf(steps) {
+    const normalizers = steps.map(step => Normalizer.normalizeStep(step)).flatMap(step => {
+        switch (step.type) {
+            case 'unicode':
+                return [{ type: step.form || 'NFC' }];
+            case 'lowercase':
+                return [{ type: 'Lowercase' }];
+            case 'stripAccents':
+                return [{ type: 'NFD' }, { type: 'StripAccents' }, { type: 'NFC' }];
+            case 'removeControl':
+                return [{ type: 'Replace', pattern: { Regex: '(?![\\t\\n\\r])[\\p{Cc}\\p{Cf}]' }, content: '' }];
+            case 'replace': {
+                const replacement = step.replacement || '';
+                // BERT's CJK padding is the one replacement that refers to its match
+                if (step.pattern === CJK_PATTERN && replacement === ' $& ') {
+                    return [{ type: 'BertNormalizer', clean_text: false, handle_chinese_chars: true, strip_accents: false, lowercase: false }];
+                }
+                if (/\$[&`'\d<]/.test(replacement)) {
+                    throw new Error(`Replace step ${JSON.stringify(step.pattern)} refers to its match, which HuggingFace Replace cannot do`);
+                }
+                return [{ type: 'Replace', pattern: { Regex: step.pattern }, content: replacement.replace(/\$\$/g, '$') }];
+            }
+            case 'collapseWhitespace':
+                return [{ type: 'Replace', pattern: { Regex: '\\s+' }, content: ' ' }];
+            case 'trim':
+                return [{ type: 'Strip', strip_left: true, strip_right: true }];
+            default:
+                throw new Error(`Normalizer step "${step.type}" has no HuggingFace equivalent`);
+        }
+    });
+
+    if (normalizers.length === 0) {
+        return null;
+    }
+    return normalizers.length === 1 ? normalizers[0] : { type: 'Sequence', normalizers };
+}
+
+/**
+ * Convert pre-tokenizer steps to a HuggingFace pre-tokenizer
+ * @param {Array<string|Object>} steps - Pre-tokenizer steps
+ * @param {boolean} byteLevel - Whether the vocabulary is byte-level
+ * @returns {Object} HuggingFace pre-tokenizer
+ */
+function preTokenizerToHf(steps, byteLevel) {
+    // Our regex steps keep matches and drop the rest, which is an inverted Removed split
+    const keepMatches = pattern => ({ type: 'Split', pattern: { Regex: pattern }, behavior: 'Removed', invert: true });
+
+    const pretokenizers = steps.map(step => PreTokenizer.normalizeStep(step)).map(step => {
+        switch (step.type) {
+            case 'whitespace':
+                return { type: 'WhitespaceSplit' };
+            case 'digits':
+                return { type: 'Digits', individual_digits: true };
+            case 'gpt2':
+                return byteLevel
+                    ? { type: 'ByteLevel', add_prefix_space: false, trim_offsets: true, use_regex: true }
+                    : keepMatches(SPLIT_PATTERNS.gpt2.source);
+            case 'wordPunct':
+            case 'unicode':
+                return keepMatches(SPLIT_PATTERNS[step.type].source);
+            case 'regex':
+                return keepMatches(step.pattern);
+            default:
+                throw new Error(`Pre-tokenizer "${step.type}" has no HuggingFace equivalent`);
+        }
+    });
+
+    if (byteLevel && !pretokenizers.some(pretokenizer => pretokenizer.type === 'ByteLevel')) {
+        pretokenizers.push({ type: 'ByteLevel', add_prefix_space: false, trim_offsets: true, use_regex: false });
+    }
+    return pretokenizers.length === 1 ? pretokenizers[0] : { type: 'Sequence', pretokenizers };
+}
+
+/**
+ * Convert a template to a HuggingFace TemplateProcessing post-processor
+ * @param {Object} data - Vocabulary contents
+ * @returns {Object|null} HuggingFace post-processor, or null if nothing is added
+ */
+function templateToHf(data) {
+    const specialTokens = {};
+    const convert = items => {
+        let typeId = 0;
+        return items.flatMap(item => {
+            if (item === '$A' || item === '$B') {
+                typeId = item === '$B' ? 1 : typeId;
+                return [{ Sequence: { id: item.slice(1), type_id: typeId } }];
+            }
+            const token = data.specialTokens[item];
+            if (!token || data.vocab[token] === undefined) {
+                return [];
+            }
+            specialTokens[token] = { id: token, ids: [data.vocab[token]], tokens: [token] };
+            return [{ SpecialToken: { id: token, type_id: typeId } }];
+        });
+    };
+
+    const single = convert(data.template.single);
+    const pair = convert(data.template.pair);
+    if (Object.keys(specialTokens).length === 0) {
+        return null;
+    }
+    return { type: 'TemplateProcessing', single, pair, special_tokens: specialTokens };
+}
+
+/**
+ * List the vocabulary's tokens in ID order
+ * @param {Object} data - Vocabulary contents
+ * @returns {Array<Array>} [token, id] pairs
+ */
+function tokensById(data) {
+    return Object.keys(data.reverseVocab).map(Number).sort((a, b) => a - b).map(id => [data.reverseVocab[id], id]);
+}
+
+/**
+ * Write stored vocabulary contents as a HuggingFace tokenizer.json
+ * @param {Object} data - Vocabulary contents
+ * @returns {Object} tokenizer.json contents
+ */
+function toHuggingFace(data) {
+    if (data.lossless) {
+        throw new Error('Lossless vocabularies record case with marker tokens, which HuggingFace tokenizers cannot reproduce');
+    }
+
+    const vocab = Object.fromEntries(tokensById(data));
+    let model;
+    let decoder = null;
+    switch (data.model) {
+        case 'word':
+            model = { type: 'WordLevel', vocab, unk_token: UNK_TOKEN };
+            break;
+        case 'wordpiece':
+            model = {
+                type: 'WordPiece',
+                unk_token: UNK_TOKEN,
+                continuing_subword_prefix: data.continuationPrefix,
+                max_input_chars_per_word: data.maxInputCharsPerWord,
+                vocab
+            };
+            decoder = { type: 'WordPiece', prefix: data.continuationPrefix, cleanup: true };
+            break;
+        case 'bpe':
+            model = {
+                type: 'BPE',
+                dropout: null,
+                unk_token: UNK_TOKEN,
+                continuing_subword_prefix: null,
+                end_of_word_suffix: data.endOfWordSuffix || null,
+                fuse_unk: false,
+                byte_fallback: Boolean(data.byteFallback),
+                vocab,
+                merges: data.merges
+            };
+            if (data.byteLevel) {
+                decoder = { type: 'ByteLevel', add_prefix_space: false, trim_offsets: true, use_regex: true };
+            } else if (data.endOfWordSuffix) {
+                decoder = { type: 'BPEDecoder', suffix: data.endOfWordSuffix };
+            }
+            break;
+        default:
+            throw new Error(`The ${data.model} model cannot be exported as a HuggingFace tokenizer.json`);
+    }
+
+    const specials = new Set(Object.values(data.specialTokens).filter(token => data.vocab[token] !== undefined));
+    const addedTokens = [...specials]
+        .map(content => ({
+            id: data.vocab[content],
+            content,
+            single_word: false,
+            lstrip: false,
+            rstrip: false,
+            normalized: false,
+            special: true
+        }))
+        .sort((a, b) => a.id - b.id);
+
+    return {
+        version: '1.0',
+        truncation: null,
+        padding: null,
+        added_tokens: addedTokens,
+        normalizer: normalizerToHf(data.normalizer),
+        pre_tokenizer: preTokenizerToHf(data.preTokenizer, data.byteLevel),
+        post_processor: templateToHf(data),
+        decoder,
+        model
+    };
+}
+
+/**
+ * Read a BERT-style vocab.txt: one token per line, the line number being its ID.
+ * The file carries no model, so `data.model` is left unset.
+ * @param {string} text - vocab.txt contents
+ * @returns {Object} { data, warnings }
+ */
+function fromVocabTxt(text) {
+    const warnings = [];
+    const lines = text.split('\n').map(line => line.endsWith('\r') ? line.slice(0, -1) : line);
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const entries = [];
+    lines.forEach((line, id) => {
+        if (line === '') {
+            warnings.push(`Line ${id + 1} is empty; ID ${id} is left unused`);
+        } else {
+            entries.push([line, id]);
+        }
+    });
+
+    const data = tokenTables(entries, warnings);
+    useUnknownToken(data, null, warnings);
+    data.specialTokens = { unk: UNK_TOKEN };
+    assignRoles(data.specialTokens, Object.values(ROLE_NAMES).flat()
+        .filter(token => /^\[[A-Z]+\]$/.test(token) && data.vocab[token] !== undefined));
+
+    return { data, warnings };
+}
+
+/**
+ * Write stored vocabulary contents as a BERT-style vocab.txt. Unused IDs
+ * are filled with [unusedN] placeholders so line numbers stay IDs.
+ * @param {Object} data - Vocabulary contents
+ * @returns {string} vocab.txt contents
+ */
+function toVocabTxt(data) {
+    if (data.model !== 'word' && data.model !== 'wordpiece') {
+        throw new Error(`vocab.txt only holds word and WordPiece vocabularies, not ${data.model}`);
+    }
+
+    const lines = [];
+    for (let id = 0; id < data.nextTokenId; id++) {
+        const token = data.reverseVocab[id];
+        if (token !== undefined && /[\r\n]/.test(token)) {
+            throw new Error(`Token ${JSON.stringify(token)} contains a line break and cannot be written to vocab.txt`);
+        }
+        lines.push(token === undefined ? `[unused${id}]` : token);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Read a GPT-2 style vocab.json and merges.txt as a BPE vocabulary. It is
+ * byte-level unless its tokens mark word ends with </w>.
+ * @param {string|Object} vocab - vocab.json contents or parsed object
+ * @param {string} merges - merges.txt contents
+ * @returns {Object} { data, warnings }
+ */
+function fromGpt2(vocab, merges) {
+    if (typeof vocab === 'string') {
+        vocab = JSON.parse(vocab);
+    }
+    if (!vocab || typeof vocab !== 'object' || Array.isArray(vocab)) {
+        throw new Error('GPT-2 vocab.json must map tokens to IDs');
+    }
+    if (typeof merges !== 'string') {
+        throw new Error('GPT-2 import requires the merges.txt contents');
+    }
+
+    const warnings = [];
+    const data = {
+        model: 'bpe',
+        ...tokenTables(Object.entries(vocab), warnings),
+        merges: merges.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0 && !line.startsWith('#version'))
+    };
+
+    // The same pair of files also holds classic BPE vocabularies that mark word ends
+    if (Object.keys(data.vocab).some(token => token.endsWith(END_OF_WORD))) {
+        data.endOfWordSuffix = END_OF_WORD;
+        data.byteLevel = false;
+    } else {
+        Object.assign(data, { endOfWordSuffix: '', byteLevel: true, normalizer: [], preTokenizer: ['gpt2'], template: DEFAULT_TEMPLATE });
+    }
+
+    useUnknownToken(data, null, warnings);
+    data.specialTokens = { unk: UNK_TOKEN };
+    assignRoles(data.specialTokens, Object.keys(data.vocab).filter(token => /^<\|[^|]+\|>$/.test(token)));
+
+    return { data, warnings };
+}
+
+/**
+ * Write stored vocabulary contents as GPT-2 style vocab.json and merges.txt
+ * @param {Object} data - Vocabulary contents
+ * @returns {Object} { vocab, merges } with the contents of both files
+ */
+function toGpt2(data) {
+    if (data.model !== 'bpe') {
+        throw new Error(`Only BPE vocabularies can be exported as vocab.json and merges.txt, not ${data.model}`);
+    }
+
+    return {
+        vocab: JSON.stringify(Object.fromEntries(tokensById(data)), null, 2),
+        merges: [GPT2_MERGES_HEADER, ...data.merges].join('\n') + '\n'
+    };
+}
+
+const IMPORTERS = {
+    hf: input => fromHuggingFace(input),
+    bert: input => fromVocabTxt(input),
+    gpt2: input => fromGpt2(input.vocab, input.merges)
+};
+
+const EXPORTERS = {
+    hf: data => JSON.stringify(toHuggingFace(data), null, 2),
+    bert: data => toVocabTxt(data),
+    gpt2: data => toGpt2(data)
+};
+
+/**
+ * Convert vocabulary contents from another library's format
+ * @param {string} format - 'hf', 'bert' or 'gpt2'
+ * @param {string|Object} input - Source contents ({ vocab, merges } for gpt2)
+ * @returns {Object} { data, warnings }
+ */
+function importVocabData(format, input) {
+    if (!IMPORTERS[format]) {
+        throw new Error(`Unknown vocabulary format: ${format}. Available formats: json, ${Object.keys(IMPORTERS).join(', ')}`);
+    }
+    return IMPORTERS[format](input);
+}
+
+/**
+ * Convert stored vocabulary contents to another library's format
+ * @param {string} format - 'hf', 'bert' or 'gpt2'
+ * @param {Object} data - Vocabulary contents
+ * @returns {string|Object} File contents ({ vocab, merges } for gpt2)
+ */
+function exportVocabData(format, data) {
+    if (!EXPORTERS[format]) {
+        throw new Error(`Unknown vocabulary format: ${format}. Available formats: json, ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+    return EXPORTERS[format](data);
+}
+
+/**
+ * Read another library's vocabulary files from disk. A directory is searched
+ * for tokenizer.json, then vocab.json with merges.txt, then vocab.txt.
+ * @param {string} source - File or directory path
+ * @param {Object} options - Read options
+ * @param {string} options.merges - merges.txt path for a GPT-2 vocab.json (default: next to it)
+ * @param {string} options.model - Model for a vocab.txt, which does not record one (default: 'wordpiece')
+ * @returns {Object} { format, model, input } ready for importVocab
+ */
+function readVocabSource(source, options = {}) {
+    let file = source;
+    if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+        file = ['tokenizer.json', 'vocab.json', 'vocab.txt']
+            .map(name => path.join(source, name))
+            .find(candidate => fs.existsSync(candidate));
+        if (!file) {
+            throw new Error(`No tokenizer.json, vocab.json or vocab.txt found in ${source}`);
+        }
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error(`Vocabulary source not found: ${file}`);
+    }
+
+    const contents = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() !== '.json') {
+        return { format: 'bert', model: options.model || 'wordpiece', input: contents };
+    }
+
+    const parsed = JSON.parse(contents);
+    if (parsed && typeof parsed.model === 'object' && parsed.model !== null) {
+        const type = hfModelType(parsed.model);
+        return { format: 'hf', model: HF_MODELS[type] || type, input: parsed };
+    }
+
+    const mergesFile = options.merges || path.join(path.dirname(file), 'merges.txt');
+    if (!fs.existsSync(mergesFile)) {
+        throw new Error(`${file} is not a tokenizer.json and no merges.txt was found at ${mergesFile}`);
+    }
+    return { format: 'gpt2', model: 'bpe', input: { vocab: parsed, merges: fs.readFileSync(mergesFile, 'utf8') } };
+}
+
+module.exports = {
+    fromHuggingFace,
+    toHuggingFace,
+    fromVocabTxt,
+    toVocabTxt,
+    fromGpt2,
+    toGpt2,
+    importVocabData,
+    exportVocabData,
+    readVocabSource
+};
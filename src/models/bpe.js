@@ -0,0 +1,415 @@
+/**
+ * Byte-Pair Encoding (BPE) subword tokenizer
+ * Learns merge rules from training texts and segments words into subwords
+ */
+
+const Tokenizer = require('../tokenizer');
+const { UNK_TOKEN, SPACE_MARKER } = require('../tokenizer');
+const Normalizer = require('../normalizer');
+const PreTokenizer = require('../pretokenizer');
+
+// Constants
+const END_OF_WORD = '</w>';
+const DEFAULT_VOCAB_SIZE = 1000;
+
+// GPT-2 byte-level alphabet: every byte is spelled as one printable character,
+// so any text can be written without unknown symbols. Space becomes "Ġ".
+const BYTE_TO_CHAR = [];
+for (let byte = 0, unprintable = 0; byte < 256; byte++) {
+    const printable = (byte >= 33 && byte <= 126) || (byte >= 161 && byte <= 172) || byte >= 174;
+    BYTE_TO_CHAR.push(String.fromCharCode(printable ? byte : 256 + unprintable++));
+}
+const CHAR_TO_BYTE = new Map(BYTE_TO_CHAR.map((char, byte) => [char, byte]));
+
+// Merge ranks keyed by the merge list they were built from. Training appends
+// to the list, so ranks are rebuilt when its length changes.
+const mergeRanks = new WeakMap();
+
+/**
+ * BPE Tokenizer Class
+ */
+class BpeTokenizer extends Tokenizer {
+    /**
+     * @param {string} vocabFile - Vocabulary file path
+     * @param {Object} options - Model options
+     * @param {number} options.vocabSize - Target vocabulary size (default: 1000)
+     * @param {number} options.minFrequency - Minimum pair count required to merge (default: 2)
+     * @param {boolean} options.byteLevel - Spell words in GPT-2 style byte-level characters,
+     *   keeping case and whitespace (default: false)
+     * @param {string} options.endOfWordSuffix - Marker on the last symbol of each word
+     *   (default: '</w>', or none for byte-level models)
+     */
+    constructor(vocabFile, options = {}) {
+        super(vocabFile, options);
+        this.model = 'bpe';
+        this.vocabSize = options.vocabSize || DEFAULT_VOCAB_SIZE;
+        this.minFrequency = options.minFrequency || 2;
+        this.byteLevel = options.byteLevel || false;
+        this.endOfWordSuffix = options.endOfWordSuffix !== undefined
+            ? options.endOfWordSuffix
+            : (this.byteLevel ? '' : END_OF_WORD);
+
+        // Byte-level models keep case and split GPT-2 style unless configured otherwise
+        if (this.byteLevel) {
+            this.normalizer = new Normalizer(options.normalizer || []);
+            this.preTokenizer = new PreTokenizer(options.preTokenizer || ['gpt2']);
+        }
+    }
+
+    /**
+     * Read merge rules from stored vocabulary data
+     * @param {Object} data - Raw vocabulary file contents
+     * @returns {Object} Merge rules
+     * @protected
+     */
+    _deserializeModel(data) {
+        return {
+            merges: Array.isArray(data.merges) ? data.merges : [],
+            endOfWordSuffix: typeof data.endOfWordSuffix === 'string' ? data.endOfWordSuffix : this.endOfWordSuffix,
+            byteLevel: typeof data.byteLevel === 'boolean' ? data.byteLevel : this.byteLevel
+        };
+    }
+
+    /**
+     * Persist merge rules alongside the vocabulary
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {Object} Merge rules
+     * @protected
+     */
+    _serializeModel(vocabData) {
+        return {
+            merges: vocabData.merges,
+            endOfWordSuffix: vocabData.endOfWordSuffix,
+            byteLevel: vocabData.byteLevel
+        };
+    }
+
+    /**
+     * Byte-level models keep whitespace so that spaces become part of the next word
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {boolean} True for byte-level vocabularies
+     * @protected
+     */
+    _keepsWhitespace(vocabData) {
+        return vocabData ? vocabData.byteLevel : this.byteLevel;
+    }
+
+    /**
+     * Keep the symbols every kept merge is built from and drop merges whose
+     * result was pruned
+     * @param {Object} vocabData - Vocabulary data
+     * @param {Set<string>} kept - Tokens that remain in the vocabulary
+     * @protected
+     */
+    _pruneModel(vocabData, kept) {
+        for (let i = vocabData.merges.length - 1; i >= 0; i--) {
+            const [left, right] = vocabData.merges[i].split(' ');
+            if (kept.has(left + right)) {
+                kept.add(left);
+                kept.add(right);
+            }
+        }
+        vocabData.merges = vocabData.merges.filter(pair => kept.has(pair.replace(' ', '')));
+    }
+
+    /**
+     * Append merge rules the stored vocabulary does not have yet
+     * @param {Object} vocabData - Vocabulary data being merged into
+     * @param {Object} other - Vocabulary data the tokens came from
+     * @protected
+     */
+    _mergeModel(vocabData, other) {
+        const known = new Set(vocabData.merges);
+        vocabData.merges = [...vocabData.merges, ...other.merges.filter(pair => !known.has(pair))];
+    }
+
+    /**
+     * Split a word into its initial symbols, marking the end of the word.
+     * Byte-level vocabularies spell the word's UTF-8 bytes, with a leading
+     * space marker standing for the space itself.
+     * @param {string} word - Word to split
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {string[]} Array of symbols
+     * @private
+     */
+    _wordToSymbols(word, vocabData) {
+        let symbols;
+        if (vocabData.byteLevel) {
+            const text = word.length > 1 && word.startsWith(SPACE_MARKER) ? ' ' + word.slice(1) : word;
+            symbols = Array.from(Buffer.from(text, 'utf8'), byte => BYTE_TO_CHAR[byte]);
+        } else {
+            symbols = Array.from(word);
+        }
+        symbols[symbols.length - 1] += vocabData.endOfWordSuffix;
+        return symbols;
+    }
+
+    /**
+     * Check whether a token is spelled in the byte-level alphabet
+     * @param {string} token - Token to check
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {boolean} True for byte-level subwords
+     * @private
+     */
+    _isByteLevelToken(token, vocabData) {
+        if (!vocabData.byteLevel || token === UNK_TOKEN || this._isAtomicToken(token, vocabData)) {
+            return false;
+        }
+        return Array.from(token).every(char => CHAR_TO_BYTE.has(char));
+    }
+
+    /**
+     * Count adjacent symbol pairs across all words
+     * @param {Map<string, Object>} words - Word entries with symbols and counts
+     * @returns {Map<string, number>} Pair counts keyed by "left right"
+     * @private
+     */
+    _countPairs(words) {
+        const pairs = new Map();
+        for (const { symbols, count } of words.values()) {
+            for (let i = 0; i < symbols.length - 1; i++) {
+                const key = symbols[i] + ' ' + symbols[i + 1];
+                pairs.set(key, (pairs.get(key) || 0) + count);
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Merge every occurrence of a symbol pair
+     * @param {string[]} symbols - Symbols of a word
+     * @param {string} left - Left symbol
+     * @param {string} right - Right symbol
+     * @returns {string[]} Merged symbols
+     * @private
+     */
+    _mergePair(symbols, left, right) {
+        const merged = [];
+        let i = 0;
+        while (i < symbols.length) {
+            if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+                merged.push(left + right);
+                i += 2;
+            } else {
+                merged.push(symbols[i]);
+                i++;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Learn merge rules from training texts. Merges and tokens that are
+     * already known are kept, so training can continue on new texts.
+     * @param {Object} vocabData - Vocabulary data to add to
+     * @param {Map<string, number>} wordCounts - Pre-tokenized word counts
+     * @param {Object} options - Build options
+     * @param {number} options.minFrequency - Overrides the minimum pair count for this build
+     * @param {number} options.maxVocabSize - Overrides the target vocabulary size for this build
+     * @protected
+     */
+    _train(vocabData, wordCounts, options = {}) {
+        const { minFrequency = this.minFrequency, maxVocabSize = this.vocabSize } = options;
+
+        const words = new Map();
+        for (const [word, count] of wordCounts) {
+            if (!this._isAtomicToken(word, vocabData)) {
+                words.set(word, { symbols: this._wordToSymbols(word, vocabData), count });
+            }
+        }
+
+        // Byte-level vocabularies start from the whole byte alphabet so no text is unknown
+        if (vocabData.byteLevel) {
+            BYTE_TO_CHAR.forEach(char => this._addTokenToVocabData(vocabData, char));
+        }
+
+        // Seed the vocabulary with the initial alphabet
+        for (const { symbols } of words.values()) {
+            symbols.forEach(symbol => this._addTokenToVocabData(vocabData, symbol));
+        }
+
+        // Learn merges until the target size is reached
+        const knownMerges = new Set(vocabData.merges);
+        while (vocabData.nextTokenId < maxVocabSize) {
+            const pairs = this._countPairs(words);
+            let bestPair = null;
+            let bestCount = 0;
+            for (const [pair, count] of pairs) {
+                if (count > bestCount) {
+                    bestPair = pair;
+                    bestCount = count;
+                }
+            }
+
+            if (!bestPair || bestCount < minFrequency) {
+                break;
+            }
+
+            const [left, right] = bestPair.split(' ');
+            for (const entry of words.values()) {
+                entry.symbols = this._mergePair(entry.symbols, left, right);
+            }
+            if (!knownMerges.has(bestPair)) {
+                vocabData.merges.push(bestPair);
+                knownMerges.add(bestPair);
+            }
+            this._addTokenToVocabData(vocabData, left + right);
+        }
+    }
+
+    /**
+     * Merge the symbols of a single word by applying merge rules in learned order
+     * @param {string[]} symbols - Initial symbols of the word
+     * @param {Map<string, number>} ranks - Merge ranks keyed by "left right"
+     * @returns {string[]} Subword tokens
+     * @private
+     */
+    _applyMerges(symbols, ranks) {
+        while (symbols.length > 1) {
+            let bestRank = Infinity;
+            let bestIndex = -1;
+            for (let i = 0; i < symbols.length - 1; i++) {
+                const rank = ranks.get(symbols[i] + ' ' + symbols[i + 1]);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                    bestIndex = i;
+                }
+            }
+
+            if (bestIndex === -1) {
+                break;
+            }
+
+            symbols = this._mergePair(symbols, symbols[bestIndex], symbols[bestIndex + 1]);
+        }
+
+        return symbols;
+    }
+
+    /**
+     * Segment a word using merge rules from loaded vocabulary data
+     * @param {string} word - Word to segment
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string[]} Subword tokens
+     * @protected
+     */
+    _segment(word, vocabData) {
+        const { merges } = vocabData;
+        if (!mergeRanks.has(merges) || mergeRanks.get(merges).size !== merges.length) {
+            mergeRanks.set(merges, new Map(merges.map((pair, rank) => [pair, rank])));
+        }
+        return this._applyMerges(this._wordToSymbols(word, vocabData), mergeRanks.get(merges));
+    }
+
+    /**
+     * Subword text without the end-of-word marker. Byte-level tokens cover
+     * the characters their bytes belong to; a character split across tokens
+     * is covered by the token holding its first byte.
+     * @param {string} token - Subword token
+     * @param {string} remaining - Part of the word not yet covered
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Covered text
+     * @protected
+     */
+    _tokenSurface(token, remaining, vocabData) {
+        if (this._isByteLevelToken(token, vocabData)) {
+            const bytes = Array.from(token, char => CHAR_TO_BYTE.get(char));
+            // Continuation bytes of a character begun by the previous token are already covered
+            let needed = bytes.length;
+            for (const byte of bytes) {
+                if (byte < 0x80 || byte >= 0xC0) break;
+                needed--;
+            }
+
+            let surface = '';
+            for (const char of remaining) {
+                if (needed <= 0) break;
+                const marker = surface === '' && char === SPACE_MARKER && bytes[0] === 0x20;
+                needed -= marker ? 1 : Buffer.byteLength(char, 'utf8');
+                surface += char;
+            }
+            return surface;
+        }
+
+        const suffix = vocabData.endOfWordSuffix;
+        const surface = suffix && token.endsWith(suffix) ? token.slice(0, -suffix.length) : token;
+        return super._tokenSurface(surface, remaining, vocabData);
+    }
+
+    /**
+     * Unknown symbols already carry their word boundaries, so encode them as-is
+     * @param {string} token - Token missing from the vocabulary
+     * @returns {string} Text to encode as bytes
+     * @protected
+     */
+    _fallbackText(token) {
+        return token;
+    }
+
+    /**
+     * Join subword tokens back into words before reconstructing text
+     * @param {string[]} tokens - Array of subword tokens
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Reconstructed text
+     * @private
+     */
+    _reconstructText(tokens, vocabData) {
+        const { byteLevel, endOfWordSuffix } = vocabData || this;
+        if (byteLevel) {
+            return this._reconstructBytes(tokens, vocabData);
+        }
+        if (!endOfWordSuffix) {
+            // Without a marker every token is written as its own word
+            return super._reconstructText(tokens, vocabData);
+        }
+
+        const words = [];
+        let current = '';
+
+        for (const token of tokens) {
+            if (this._isAtomicToken(token, vocabData)) {
+                if (current) words.push(current);
+                words.push(token);
+                current = '';
+                continue;
+            }
+
+            // Byte-fallback runs can span several words, so split on every marker
+            const parts = (current + token).split(endOfWordSuffix);
+            current = parts.pop();
+            words.push(...parts);
+        }
+        if (current) words.push(current);
+
+        return super._reconstructText(words, vocabData);
+    }
+
+    /**
+     * Turn byte-level tokens back into the UTF-8 text they spell
+     * @param {string[]} tokens - Array of tokens
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Reconstructed text
+     * @private
+     */
+    _reconstructBytes(tokens, vocabData) {
+        let result = '';
+        let bytes = [];
+
+        for (const token of tokens) {
+            if (this._isByteLevelToken(token, vocabData)) {
+                for (const char of token) {
+                    bytes.push(CHAR_TO_BYTE.get(char));
+                }
+                continue;
+            }
+            result += Buffer.from(bytes).toString('utf8') + token;
+            bytes = [];
+        }
+
+        return result + Buffer.from(bytes).toString('utf8');
+    }
+}
+
+module.exports = BpeTokenizer;
+module.exports.END_OF_WORD = END_OF_WORD;
+module.exports.BYTE_TO_CHAR = BYTE_TO_CHAR;
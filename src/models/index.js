@@ -0,0 +1,83 @@
+/**
+ * Registry of available tokenizer models
+ */
+
+const fs = require('fs');
+const Tokenizer = require('../tokenizer');
+const BpeTokenizer = require('./bpe');
+const WordPieceTokenizer = require('./wordpiece');
+const UnigramTokenizer = require('./unigram');
+const { readVocabSource } = require('../interop');
+const { parseVocab } = require('../format');
+const { migrateVocab } = require('../schema');
+
+const MODELS = {
+    word: Tokenizer,
+    bpe: BpeTokenizer,
+    wordpiece: WordPieceTokenizer,
+    unigram: UnigramTokenizer
+};
+
+/**
+ * Get the model a vocabulary file was built with
+ * @param {string} vocabFile - Vocabulary file path
+ * @returns {string|null} Model name, or null when the file is missing or unreadable
+ */
+function storedModel(vocabFile) {
+    if (!vocabFile || !fs.existsSync(vocabFile)) {
+        return null;
+    }
+    try {
+        return migrateVocab(parseVocab(fs.readFileSync(vocabFile), vocabFile)).data.model || null;
+    } catch (error) {
+        // Loading reports what is wrong with the file
+        return null;
+    }
+}
+
+/**
+ * Create a tokenizer for the given model type
+ * @param {string} vocabFile - Vocabulary file path
+ * @param {Object} options - Tokenizer options
+ * @param {string} options.model - Model type (default: the model stored in the vocabulary
+ *   file, or 'word' for a new one)
+ * @returns {Tokenizer} Tokenizer instance
+ */
+function createTokenizer(vocabFile, options = {}) {
+    const { model = storedModel(vocabFile) || 'word' } = options;
+    const TokenizerClass = MODELS[model];
+
+    if (!TokenizerClass) {
+        throw new Error(`Unknown tokenizer model: ${model}. Available models: ${Object.keys(MODELS).join(', ')}`);
+    }
+
+    return new TokenizerClass(vocabFile, options);
+}
+
+/**
+ * Create a tokenizer from another library's vocabulary files. The model is
+ * taken from the files: tokenizer.json records it, vocab.json with merges.txt
+ * is BPE, and vocab.txt is WordPiece unless `options.model` says otherwise.
+ * @param {string} source - tokenizer.json, vocab.txt or GPT-2 vocab.json file, or a directory holding one
+ * @param {string} vocabFile - Vocabulary file to write
+ * @param {Object} options - Tokenizer options
+ * @param {string} options.merges - merges.txt path for a GPT-2 vocab.json (default: next to it)
+ * @returns {Object} { tokenizer, model, size, warnings }
+ */
+function importTokenizer(source, vocabFile, options = {}) {
+    const { format, model, input } = readVocabSource(source, options);
+    const tokenizer = createTokenizer(vocabFile, { ...options, model });
+    const { size, warnings } = tokenizer.importVocab(input, vocabFile, { format });
+    return { tokenizer, model, size, warnings };
+}
+
+module.exports = {
+    MODELS,
+    createTokenizer,
+    importTokenizer,
+    storedModel,
+    Tokenizer,
+    BpeTokenizer,
+    WordPieceTokenizer,
+    UnigramTokenizer
+};
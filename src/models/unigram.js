@@ -0,0 +1,541 @@
+/**
+ * Unigram language-model subword tokenizer (SentencePiece-style)
+ * Trains piece probabilities with EM, encodes with Viterbi and supports
+ * sampled segmentations for subword regularization
+ */
+
+const Tokenizer = require('../tokenizer');
+const { UNK_TOKEN } = require('../tokenizer');
+
+// Constants
+const WORD_BOUNDARY = '▁';
+const DEFAULT_VOCAB_SIZE = 1000;
+const DEFAULT_MAX_PIECE_LENGTH = 16;
+const DEFAULT_SEED_SIZE = 10000;
+const DEFAULT_SHRINKING_FACTOR = 0.75;
+const DEFAULT_EM_ITERATIONS = 2;
+const UNK_PENALTY = 10;
+
+// Piece scores keyed by the stored scores object they were built from
+const pieceScores = new WeakMap();
+
+/**
+ * Numerically stable log(exp(a) + exp(b))
+ * @param {number} a - Log value
+ * @param {number} b - Log value
+ * @returns {number} Log of the summed probabilities
+ */
+function logAdd(a, b) {
+    if (a === -Infinity) return b;
+    if (b === -Infinity) return a;
+    const max = Math.max(a, b);
+    return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+}
+
+/**
+ * Unigram Tokenizer Class
+ */
+class UnigramTokenizer extends Tokenizer {
+    /**
+     * @param {string} vocabFile - Vocabulary file path
+     * @param {Object} options - Model options
+     * @param {number} options.vocabSize - Target vocabulary size (default: 1000)
+     * @param {number} options.maxPieceLength - Longest seed piece in characters (default: 16)
+     * @param {number} options.seedSize - Number of seed pieces before pruning (default: 10000)
+     * @param {number} options.shrinkingFactor - Fraction of pieces kept per pruning round (default: 0.75)
+     * @param {number} options.emIterations - EM iterations per pruning round (default: 2)
+     */
+    constructor(vocabFile, options = {}) {
+        super(vocabFile, options);
+        this.model = 'unigram';
+        this.vocabSize = options.vocabSize || DEFAULT_VOCAB_SIZE;
+        this.maxPieceLength = options.maxPieceLength || DEFAULT_MAX_PIECE_LENGTH;
+        this.seedSize = options.seedSize || DEFAULT_SEED_SIZE;
+        this.shrinkingFactor = options.shrinkingFactor || DEFAULT_SHRINKING_FACTOR;
+        this.emIterations = options.emIterations || DEFAULT_EM_ITERATIONS;
+    }
+
+    /**
+     * Read piece scores from stored vocabulary data
+     * @param {Object} data - Raw vocabulary file contents
+     * @returns {Object} Piece scores (token → log probability)
+     * @protected
+     */
+    _deserializeModel(data) {
+        return {
+            scores: data.scores || {}
+        };
+    }
+
+    /**
+     * Persist piece scores alongside the vocabulary
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {Object} Piece scores
+     * @protected
+     */
+    _serializeModel(vocabData) {
+        return {
+            scores: vocabData.scores
+        };
+    }
+
+    /**
+     * Collect seed pieces: every character plus frequent substrings
+     * @param {Map<string, number>} words - Word counts keyed by boundary-prefixed word
+     * @returns {Map<string, number>} Seed piece counts
+     * @private
+     */
+    _seedPieces(words) {
+        const chars = new Map();
+        const substrings = new Map();
+
+        for (const [word, count] of words) {
+            const symbols = Array.from(word);
+            for (let start = 0; start < symbols.length; start++) {
+                chars.set(symbols[start], (chars.get(symbols[start]) || 0) + count);
+                const limit = Math.min(symbols.length, start + this.maxPieceLength);
+                for (let end = start + 2; end <= limit; end++) {
+                    const piece = symbols.slice(start, end).join('');
+                    substrings.set(piece, (substrings.get(piece) || 0) + count);
+                }
+            }
+        }
+
+        const seeds = new Map(chars);
+        const ranked = [...substrings]
+            .filter(([, count]) => count > 1)
+            .sort((a, b) => b[1] * Array.from(b[0]).length - a[1] * Array.from(a[0]).length)
+            .slice(0, Math.max(0, this.seedSize - chars.size));
+        ranked.forEach(([piece, count]) => seeds.set(piece, count));
+
+        return seeds;
+    }
+
+    /**
+     * Convert piece counts into log probabilities
+     * @param {Map<string, number>} counts - Piece counts
+     * @returns {Map<string, number>} Piece scores
+     * @private
+     */
+    _countsToScores(counts) {
+        let total = 0;
+        for (const count of counts.values()) total += count;
+
+        const scores = new Map();
+        for (const [piece, count] of counts) {
+            scores.set(piece, Math.log(count / total));
+        }
+        return scores;
+    }
+
+    /**
+     * Enumerate the lattice edges ending at each position of a word
+     * @param {string[]} symbols - Characters of the word
+     * @param {Map<string, number>} scores - Piece scores
+     * @param {number} unkScore - Score for characters missing from the vocabulary
+     * @returns {Object[][]} Edges ({ start, piece, score, unknown }) indexed by end position
+     * @private
+     */
+    _buildLattice(symbols, scores, unkScore) {
+        const edges = [[]];
+
+        for (let end = 1; end <= symbols.length; end++) {
+            edges[end] = [];
+            const first = Math.max(0, end - this.maxPieceLength);
+            for (let start = first; start < end; start++) {
+                const piece = symbols.slice(start, end).join('');
+                if (scores.has(piece)) {
+                    edges[end].push({ start, piece, score: scores.get(piece) });
+                } else if (end - start === 1) {
+                    edges[end].push({ start, piece, score: unkScore, unknown: true });
+                }
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Find the most probable segmentation of a word
+     * @param {string[]} symbols - Characters of the word
+     * @param {Map<string, number>} scores - Piece scores
+     * @param {number} unkScore - Score for unknown characters
+     * @param {string} excluded - Piece to ignore (used when estimating pruning loss)
+     * @returns {Object} Best pieces and total score
+     * @private
+     */
+    _viterbi(symbols, scores, unkScore, excluded = null) {
+        const edges = this._buildLattice(symbols, scores, unkScore);
+        const best = [{ score: 0, edge: null }];
+
+        for (let end = 1; end <= symbols.length; end++) {
+            best[end] = { score: -Infinity, edge: null };
+            for (const edge of edges[end]) {
+                if (edge.piece === excluded) continue;
+                const score = best[edge.start].score + edge.score;
+                if (score > best[end].score) {
+                    best[end] = { score, edge };
+                }
+            }
+        }
+
+        const pieces = [];
+        for (let end = symbols.length; end > 0 && best[end].edge; end = best[end].edge.start) {
+            pieces.unshift(best[end].edge.piece);
+        }
+
+        return { pieces, score: best[symbols.length].score };
+    }
+
+    /**
+     * Compute forward log marginals over the lattice
+     * @param {Object[][]} edges - Lattice edges by end position
+     * @param {number} length - Number of characters
+     * @param {number} alpha - Score scaling factor
+     * @returns {number[]} Forward log probabilities
+     * @private
+     */
+    _forward(edges, length, alpha = 1) {
+        const forward = [0];
+        for (let end = 1; end <= length; end++) {
+            forward[end] = -Infinity;
+            for (const edge of edges[end]) {
+                forward[end] = logAdd(forward[end], forward[edge.start] + alpha * edge.score);
+            }
+        }
+        return forward;
+    }
+
+    /**
+     * Run one EM step and return expected piece counts
+     * @param {Map<string, number>} words - Word counts
+     * @param {Map<string, number>} scores - Current piece scores
+     * @returns {Map<string, number>} Expected counts per piece
+     * @private
+     */
+    _expectedCounts(words, scores) {
+        const counts = new Map();
+        for (const piece of scores.keys()) counts.set(piece, 0);
+
+        for (const [word, count] of words) {
+            const symbols = Array.from(word);
+            const edges = this._buildLattice(symbols, scores, -Infinity);
+            const forward = this._forward(edges, symbols.length);
+
+            const backward = [];
+            backward[symbols.length] = 0;
+            for (let pos = symbols.length - 1; pos >= 0; pos--) backward[pos] = -Infinity;
+            for (let end = symbols.length; end > 0; end--) {
+                for (const edge of edges[end]) {
+                    backward[edge.start] = logAdd(backward[edge.start], edge.score + backward[end]);
+                }
+            }
+
+            const total = forward[symbols.length];
+            for (let end = 1; end <= symbols.length; end++) {
+                for (const edge of edges[end]) {
+                    if (edge.unknown) continue;
+                    const posterior = Math.exp(forward[edge.start] + edge.score + backward[end] - total);
+                    counts.set(edge.piece, counts.get(edge.piece) + count * posterior);
+                }
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Learn pieces by pruning a seed vocabulary with EM. When extending, known
+     * pieces keep their IDs and scores and only new pieces are added.
+     * @param {Object} vocabData - Vocabulary data to add to
+     * @param {Map<string, number>} wordCounts - Pre-tokenized word counts
+     * @param {Object} options - Build options
+     * @param {number} options.minFrequency - Ignore words seen fewer times (default: 1)
+     * @param {number} options.maxVocabSize - Overrides the target vocabulary size for this build
+     * @protected
+     */
+    _train(vocabData, wordCounts, options = {}) {
+        const { minFrequency = 1, maxVocabSize = this.vocabSize } = options;
+
+        // Boundary-prefixed word frequencies
+        const words = new Map();
+        for (const [word, count] of wordCounts) {
+            if (count >= minFrequency && !this._isAtomicToken(word, vocabData)) {
+                words.set(WORD_BOUNDARY + word, count);
+            }
+        }
+
+        const seeds = this._seedPieces(words);
+        const required = new Set([...seeds.keys()].filter(piece => Array.from(piece).length === 1));
+        const targetSize = Math.max(required.size, maxVocabSize - 1);
+        let scores = this._countsToScores(seeds);
+
+        while (true) {
+            for (let i = 0; i < this.emIterations; i++) {
+                const counts = this._expectedCounts(words, scores);
+                for (const [piece, count] of counts) {
+                    if (count <= 0 && !required.has(piece)) {
+                        counts.delete(piece);
+                    } else if (count <= 0) {
+                        counts.set(piece, 1e-6);
+                    }
+                }
+                scores = this._countsToScores(counts);
+            }
+
+            if (scores.size <= targetSize) {
+                break;
+            }
+
+            // Estimate how much likelihood is lost when each piece is removed
+            const counts = this._expectedCounts(words, scores);
+            const losses = [];
+            for (const [piece, score] of scores) {
+                if (required.has(piece)) continue;
+                const alternative = this._viterbi(Array.from(piece), scores, -Infinity, piece);
+                losses.push([piece, counts.get(piece) * (score - alternative.score)]);
+            }
+            losses.sort((a, b) => a[1] - b[1]);
+
+            const keepSize = Math.max(targetSize, Math.floor(scores.size * this.shrinkingFactor));
+            const removeCount = Math.min(losses.length, scores.size - keepSize);
+            if (removeCount <= 0) {
+                break;
+            }
+            for (let i = 0; i < removeCount; i++) {
+                scores.delete(losses[i][0]);
+            }
+        }
+
+        // Assign IDs in order of decreasing probability. The scores object is
+        // replaced rather than changed so cached lattices are rebuilt.
+        const ranked = [...scores].sort((a, b) => b[1] - a[1]);
+        vocabData.scores = { ...vocabData.scores };
+        if (!(UNK_TOKEN in vocabData.scores)) {
+            // An empty corpus, or one minFrequency filtered out, leaves no pieces to rank
+            const lowest = ranked.length > 0 ? ranked[ranked.length - 1][1] : 0;
+            vocabData.scores[UNK_TOKEN] = lowest - UNK_PENALTY;
+        }
+        for (const [piece, score] of ranked) {
+            this._addTokenToVocabData(vocabData, piece);
+            if (!(piece in vocabData.scores)) {
+                vocabData.scores[piece] = score;
+            }
+        }
+    }
+
+    /**
+     * Forget the scores of pruned pieces so they drop out of the lattice
+     * @param {Object} vocabData - Vocabulary data
+     * @param {Set<string>} kept - Tokens that remain in the vocabulary
+     * @protected
+     */
+    _pruneModel(vocabData, kept) {
+        vocabData.scores = Object.fromEntries(Object.entries(vocabData.scores).filter(([piece]) => {
+            return piece === UNK_TOKEN || kept.has(piece);
+        }));
+    }
+
+    /**
+     * Take over the scores of pieces the stored vocabulary does not have yet
+     * @param {Object} vocabData - Vocabulary data being merged into
+     * @param {Object} other - Vocabulary data the pieces came from
+     * @protected
+     */
+    _mergeModel(vocabData, other) {
+        vocabData.scores = { ...other.scores, ...vocabData.scores };
+    }
+
+    /**
+     * Get piece scores from loaded vocabulary data
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {Object} Scores map and score for unknown characters
+     * @private
+     */
+    _getScores(vocabData) {
+        const scores = new Map(Object.entries(vocabData.scores));
+        const unkScore = scores.has(UNK_TOKEN)
+            ? scores.get(UNK_TOKEN)
+            : [...scores.values()].reduce((min, score) => Math.min(min, score), 0) - UNK_PENALTY;
+        scores.delete(UNK_TOKEN);
+        return { scores, unkScore };
+    }
+
+    /**
+     * Sample a segmentation from the full lattice (forward-filtering backward-sampling)
+     * @param {string[]} symbols - Characters of the word
+     * @param {Map<string, number>} scores - Piece scores
+     * @param {number} unkScore - Score for unknown characters
+     * @param {number} alpha - Smoothing parameter; lower values give more varied samples
+     * @returns {string[]} Sampled pieces
+     * @private
+     */
+    _sampleLattice(symbols, scores, unkScore, alpha) {
+        const edges = this._buildLattice(symbols, scores, unkScore);
+        const forward = this._forward(edges, symbols.length, alpha);
+        const pieces = [];
+
+        let end = symbols.length;
+        while (end > 0) {
+            const weights = edges[end].map(edge => forward[edge.start] + alpha * edge.score);
+            const edge = edges[end][this._sampleIndex(weights)];
+            pieces.unshift(edge.piece);
+            end = edge.start;
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Sample among the n best segmentations of a word
+     * @param {string[]} symbols - Characters of the word
+     * @param {Map<string, number>} scores - Piece scores
+     * @param {number} unkScore - Score for unknown characters
+     * @param {number} alpha - Smoothing parameter
+     * @param {number} nbest - Number of candidate segmentations
+     * @returns {string[]} Sampled pieces
+     * @private
+     */
+    _sampleNBest(symbols, scores, unkScore, alpha, nbest) {
+        const edges = this._buildLattice(symbols, scores, unkScore);
+        const best = [[{ score: 0, pieces: [] }]];
+
+        for (let end = 1; end <= symbols.length; end++) {
+            const candidates = [];
+            for (const edge of edges[end]) {
+                for (const path of best[edge.start]) {
+                    candidates.push({ score: path.score + edge.score, pieces: [...path.pieces, edge.piece] });
+                }
+            }
+            best[end] = candidates.sort((a, b) => b.score - a.score).slice(0, nbest);
+        }
+
+        const paths = best[symbols.length];
+        return paths[this._sampleIndex(paths.map(path => alpha * path.score))].pieces;
+    }
+
+    /**
+     * Draw an index with probability proportional to exp(weight)
+     * @param {number[]} logWeights - Log weights
+     * @returns {number} Sampled index
+     * @private
+     */
+    _sampleIndex(logWeights) {
+        const max = Math.max(...logWeights);
+        const weights = logWeights.map(weight => Math.exp(weight - max));
+        let threshold = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < weights.length; i++) {
+            threshold -= weights[i];
+            if (threshold <= 0) return i;
+        }
+        return weights.length - 1;
+    }
+
+    /**
+     * Segment a word into Unigram pieces
+     * @param {string} word - Word to segment
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @param {Object} options - Encoding options
+     * @param {boolean} options.sample - Sample a segmentation instead of the best one (default: false)
+     * @param {number} options.alpha - Sampling smoothing parameter (default: 0.1)
+     * @param {number} options.nbest - Sample among the n best paths; 0 or less samples the full lattice (default: -1)
+     * @returns {string[]} Array of pieces
+     * @protected
+     */
+    _segment(word, vocabData, options = {}) {
+        const { sample = false, alpha = 0.1, nbest = -1 } = options;
+        if (!pieceScores.has(vocabData.scores)) {
+            pieceScores.set(vocabData.scores, this._getScores(vocabData));
+        }
+        const { scores, unkScore } = pieceScores.get(vocabData.scores);
+
+        const symbols = Array.from(WORD_BOUNDARY + word);
+        let pieces;
+        if (!sample) {
+            pieces = this._viterbi(symbols, scores, unkScore).pieces;
+        } else if (nbest > 1) {
+            pieces = this._sampleNBest(symbols, scores, unkScore, alpha, nbest);
+        } else {
+            pieces = this._sampleLattice(symbols, scores, unkScore, alpha);
+        }
+
+        // Unknown characters stay raw so byte fallback can encode them
+        if (vocabData.byteFallback) {
+            return pieces;
+        }
+        return pieces.map(piece => scores.has(piece) ? piece : UNK_TOKEN);
+    }
+
+    /**
+     * Piece text without the word boundary marker; [UNK] covers one character
+     * @param {string} token - Piece
+     * @param {string} remaining - Part of the word not yet covered
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Covered text
+     * @protected
+     */
+    _tokenSurface(token, remaining, vocabData) {
+        if (token === UNK_TOKEN) {
+            const [first = ''] = remaining;
+            return first;
+        }
+        return token.startsWith(WORD_BOUNDARY) ? token.slice(WORD_BOUNDARY.length) : token;
+    }
+
+    /**
+     * Unknown symbols already carry their word boundaries, so encode them as-is
+     * @param {string} token - Token missing from the vocabulary
+     * @returns {string} Text to encode as bytes
+     * @protected
+     */
+    _fallbackText(token) {
+        return token;
+    }
+
+    /**
+     * Encode text to an Encoding with offsets
+     * @param {string} text - Text to encode
+     * @param {Object} options - Encoding options
+     * @param {string} options.vocabFile - Vocabulary file path
+     * @param {boolean} options.sample - Return a sampled segmentation (default: false)
+     * @param {number} options.alpha - Sampling smoothing parameter (default: 0.1)
+     * @param {number} options.nbest - Number of best paths to sample from (default: -1, full lattice)
+     * @returns {Encoding} Token IDs with offsets
+     */
+    encodeWithOffsets(text, options = {}) {
+        // Pieces outside the trained vocabulary already map to [UNK]
+        return super.encodeWithOffsets(text, { ...options, expandVocab: false });
+    }
+
+    /**
+     * Split pieces on word boundaries before reconstructing text
+     * @param {string[]} tokens - Array of pieces
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Reconstructed text
+     * @private
+     */
+    _reconstructText(tokens, vocabData) {
+        const words = [];
+        let current = '';
+
+        for (const token of tokens) {
+            // [UNK] stands in for a single character, so only markers break words
+            if (token !== UNK_TOKEN && this._isAtomicToken(token, vocabData)) {
+                if (current) words.push(current);
+                words.push(token);
+                current = '';
+                continue;
+            }
+
+            const parts = (current + token).split(WORD_BOUNDARY);
+            current = parts.pop();
+            words.push(...parts.filter(part => part.length > 0));
+        }
+        if (current) words.push(current);
+
+        return super._reconstructText(words, vocabData);
+    }
+}
+
+module.exports = UnigramTokenizer;
+module.exports.WORD_BOUNDARY = WORD_BOUNDARY;
@@ -0,0 +1,251 @@
+/**
+ * WordPiece subword tokenizer
+ * BERT-style subwords with continuation prefixes and greedy longest-match encoding
+ */
+
+const Tokenizer = require('../tokenizer');
+const { UNK_TOKEN } = require('../tokenizer');
+
+// Constants
+const DEFAULT_CONTINUATION_PREFIX = '##';
+const DEFAULT_MAX_CHARS_PER_WORD = 100;
+const DEFAULT_VOCAB_SIZE = 1000;
+const BERT_TEMPLATE = {
+    single: ['cls', '$A', 'sep'],
+    pair: ['cls', '$A', 'sep', '$B', 'sep']
+};
+
+/**
+ * WordPiece Tokenizer Class
+ */
+class WordPieceTokenizer extends Tokenizer {
+    /**
+     * @param {string} vocabFile - Vocabulary file path
+     * @param {Object} options - Model options
+     * @param {number} options.vocabSize - Target vocabulary size (default: 1000)
+     * @param {number} options.minFrequency - Minimum pair count required to merge (default: 2)
+     * @param {string} options.continuationPrefix - Prefix for word-internal pieces (default: '##')
+     * @param {number} options.maxInputCharsPerWord - Longer words become [UNK] (default: 100)
+     */
+    constructor(vocabFile, options = {}) {
+        super(vocabFile, options);
+        this.model = 'wordpiece';
+        this.vocabSize = options.vocabSize || DEFAULT_VOCAB_SIZE;
+        this.minFrequency = options.minFrequency || 2;
+        this.continuationPrefix = options.continuationPrefix || DEFAULT_CONTINUATION_PREFIX;
+        this.maxInputCharsPerWord = options.maxInputCharsPerWord || DEFAULT_MAX_CHARS_PER_WORD;
+    }
+
+    /**
+     * Wrap sequences BERT-style: [CLS] A [SEP] B [SEP]
+     * @returns {Object} Template with `single` and `pair` role lists
+     * @protected
+     */
+    _defaultTemplate() {
+        return BERT_TEMPLATE;
+    }
+
+    /**
+     * Read WordPiece settings from stored vocabulary data
+     * @param {Object} data - Raw vocabulary file contents
+     * @returns {Object} WordPiece settings
+     * @protected
+     */
+    _deserializeModel(data) {
+        return {
+            continuationPrefix: data.continuationPrefix || this.continuationPrefix,
+            maxInputCharsPerWord: data.maxInputCharsPerWord || this.maxInputCharsPerWord
+        };
+    }
+
+    /**
+     * Persist WordPiece settings alongside the vocabulary
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {Object} WordPiece settings
+     * @protected
+     */
+    _serializeModel(vocabData) {
+        return {
+            continuationPrefix: vocabData.continuationPrefix,
+            maxInputCharsPerWord: vocabData.maxInputCharsPerWord
+        };
+    }
+
+    /**
+     * Split a word into characters, prefixing all but the first
+     * @param {string} word - Word to split
+     * @returns {string[]} Array of symbols
+     * @private
+     */
+    _wordToSymbols(word) {
+        return Array.from(word).map((char, i) => i === 0 ? char : this.continuationPrefix + char);
+    }
+
+    /**
+     * Join two symbols, dropping the continuation prefix of the right one
+     * @param {string} left - Left symbol
+     * @param {string} right - Right symbol
+     * @returns {string} Merged symbol
+     * @private
+     */
+    _joinSymbols(left, right) {
+        return left + right.slice(this.continuationPrefix.length);
+    }
+
+    /**
+     * Learn WordPiece merges from training texts; known pieces keep their IDs.
+     * Pairs are scored by count(ab) / (count(a) * count(b)) so merges favour
+     * pieces that rarely appear apart.
+     * @param {Object} vocabData - Vocabulary data to add to
+     * @param {Map<string, number>} wordCounts - Pre-tokenized word counts
+     * @param {Object} options - Build options
+     * @param {number} options.minFrequency - Overrides the minimum pair count for this build
+     * @param {number} options.maxVocabSize - Overrides the target vocabulary size for this build
+     * @protected
+     */
+    _train(vocabData, wordCounts, options = {}) {
+        const { minFrequency = this.minFrequency, maxVocabSize = this.vocabSize } = options;
+
+        const words = new Map();
+        for (const [word, count] of wordCounts) {
+            if (!this._isAtomicToken(word, vocabData)) {
+                words.set(word, { symbols: this._wordToSymbols(word), count });
+            }
+        }
+
+        // Seed the vocabulary with the initial alphabet
+        for (const { symbols } of words.values()) {
+            symbols.forEach(symbol => this._addTokenToVocabData(vocabData, symbol));
+        }
+
+        // Learn merges until the target size is reached
+        while (vocabData.nextTokenId < maxVocabSize) {
+            const symbolCounts = new Map();
+            const pairCounts = new Map();
+            for (const { symbols, count } of words.values()) {
+                for (let i = 0; i < symbols.length; i++) {
+                    symbolCounts.set(symbols[i], (symbolCounts.get(symbols[i]) || 0) + count);
+                    if (i < symbols.length - 1) {
+                        const key = symbols[i] + ' ' + symbols[i + 1];
+                        pairCounts.set(key, (pairCounts.get(key) || 0) + count);
+                    }
+                }
+            }
+
+            let bestPair = null;
+            let bestScore = 0;
+            for (const [pair, count] of pairCounts) {
+                if (count < minFrequency) continue;
+                const [left, right] = pair.split(' ');
+                const score = count / (symbolCounts.get(left) * symbolCounts.get(right));
+                if (score > bestScore) {
+                    bestPair = pair;
+                    bestScore = score;
+                }
+            }
+
+            if (!bestPair) {
+                break;
+            }
+
+            const [left, right] = bestPair.split(' ');
+            const merged = this._joinSymbols(left, right);
+            for (const entry of words.values()) {
+                const symbols = [];
+                let i = 0;
+                while (i < entry.symbols.length) {
+                    if (i < entry.symbols.length - 1 && entry.symbols[i] === left && entry.symbols[i + 1] === right) {
+                        symbols.push(merged);
+                        i += 2;
+                    } else {
+                        symbols.push(entry.symbols[i]);
+                        i++;
+                    }
+                }
+                entry.symbols = symbols;
+            }
+            this._addTokenToVocabData(vocabData, merged);
+        }
+    }
+
+    /**
+     * Segment a word with greedy longest-match-first lookup
+     * @param {string} word - Word to segment
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string[]} WordPiece tokens, or a single unknown token if the word cannot be covered
+     * @protected
+     */
+    _segment(word, vocabData) {
+        // With byte fallback the raw word is kept so it can be encoded as bytes
+        const unknown = vocabData.byteFallback ? word : UNK_TOKEN;
+        const chars = Array.from(word);
+        if (chars.length > vocabData.maxInputCharsPerWord) {
+            return [unknown];
+        }
+
+        const pieces = [];
+        let start = 0;
+        while (start < chars.length) {
+            let end = chars.length;
+            let match = null;
+            while (start < end) {
+                let piece = chars.slice(start, end).join('');
+                if (start > 0) {
+                    piece = vocabData.continuationPrefix + piece;
+                }
+                if (piece in vocabData.vocab) {
+                    match = piece;
+                    break;
+                }
+                end--;
+            }
+
+            if (match === null) {
+                return [unknown];
+            }
+
+            pieces.push(match);
+            start = end;
+        }
+
+        return pieces;
+    }
+
+    /**
+     * WordPiece text without the continuation prefix
+     * @param {string} token - WordPiece token
+     * @param {string} remaining - Part of the word not yet covered
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Covered text
+     * @protected
+     */
+    _tokenSurface(token, remaining, vocabData) {
+        const prefix = vocabData.continuationPrefix;
+        const continued = token.startsWith(prefix) && !remaining.startsWith(token);
+        return super._tokenSurface(continued ? token.slice(prefix.length) : token, remaining, vocabData);
+    }
+
+    /**
+     * Attach continuation pieces to their word before reconstructing text
+     * @param {string[]} tokens - Array of WordPiece tokens
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Reconstructed text
+     * @private
+     */
+    _reconstructText(tokens, vocabData) {
+        const prefix = vocabData ? vocabData.continuationPrefix : this.continuationPrefix;
+        const words = [];
+
+        for (const token of tokens) {
+            if (words.length > 0 && token.startsWith(prefix)) {
+                words[words.length - 1] += token.slice(prefix.length);
+            } else {
+                words.push(token);
+            }
+        }
+
+        return super._reconstructText(words, vocabData);
+    }
+}
+
+module.exports = WordPieceTokenizer;
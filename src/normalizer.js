@@ -0,0 +1,181 @@
+/**
+ * Composable text normalization pipeline
+ * Each step is a small transformation; the pipeline configuration is plain
+ * JSON so it can be stored in the vocabulary file. Normalization keeps an
+ * alignment from every output character back to the original text so token
+ * offsets can be reported against the input
+ */
+
+const UNICODE_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// A base character together with its combining marks
+const CHARACTER_CLUSTER = /\P{M}\p{M}*|\p{M}+/gu;
+
+/**
+ * Built-in normalization steps keyed by type.
+ * A step either rewrites regex matches (`pattern` + `replace`) or maps the
+ * whole text at once (`map`), falling back to per-character mapping when
+ * the length changes.
+ */
+const STEPS = {
+    unicode: ({ form = 'NFC' }) => {
+        if (!UNICODE_FORMS.includes(form)) {
+            throw new Error(`Unknown Unicode normalization form: ${form}`);
+        }
+        return { pattern: CHARACTER_CLUSTER, replace: match => match.normalize(form) };
+    },
+    stripAccents: () => ({
+        pattern: CHARACTER_CLUSTER,
+        replace: match => match.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC')
+    }),
+    lowercase: () => ({ map: text => text.toLowerCase() }),
+    removeControl: () => ({ pattern: /(?![\t\n\r])[\p{Cc}\p{Cf}]/gu, replace: () => '' }),
+    replace: ({ pattern, flags = 'g', replacement = '' }) => {
+        if (typeof pattern !== 'string') {
+            throw new Error('Replace step requires a string pattern');
+        }
+        const single = new RegExp(pattern, flags.replace('g', ''));
+        return {
+            pattern: new RegExp(pattern, flags.includes('g') ? flags : flags + 'g'),
+            replace: match => match.replace(single, replacement)
+        };
+    },
+    collapseWhitespace: () => ({ pattern: /\s+/g, replace: () => ' ' }),
+    trim: () => ({ pattern: /^\s+|\s+$/g, replace: () => '' })
+};
+
+/**
+ * Rewrite regex matches while carrying alignments along. Every character of a
+ * replacement aligns to the whole original span of the text it replaced.
+ * @param {Object} state - Current text and alignments
+ * @param {RegExp} pattern - Global pattern to rewrite
+ * @param {Function} replace - Maps matched text to its replacement
+ * @returns {Object} New text and alignments
+ */
+function rewrite(state, pattern, replace) {
+    let text = '';
+    const alignments = [];
+    let position = 0;
+
+    const copy = (start, end) => {
+        text += state.text.slice(start, end);
+        for (let i = start; i < end; i++) alignments.push(state.alignments[i]);
+    };
+
+    for (const match of state.text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (end === start) continue;
+
+        copy(position, start);
+        const replacement = replace(match[0]);
+        const span = [state.alignments[start][0], state.alignments[end - 1][1]];
+        text += replacement;
+        for (let i = 0; i < replacement.length; i++) alignments.push(span);
+        position = end;
+    }
+    copy(position, state.text.length);
+
+    return { text, alignments };
+}
+
+/**
+ * Normalizer Class
+ */
+class Normalizer {
+    /**
+     * @param {Array<string|Object>} steps - Pipeline steps. Strings are shorthand for
+     *   step types ('lowercase') or Unicode forms ('NFKC'); objects carry a `type`
+     *   plus options, e.g. { type: 'replace', pattern: '\\d', replacement: '0' }
+     */
+    constructor(steps = []) {
+        if (!Array.isArray(steps)) {
+            throw new Error('Normalizer steps must be an array');
+        }
+
+        this.steps = steps.map(step => Normalizer.normalizeStep(step));
+        this.pipeline = this.steps.map(step => STEPS[step.type](step));
+    }
+
+    /**
+     * Expand a step shorthand into its object form
+     * @param {string|Object} step - Step configuration
+     * @returns {Object} Step configuration with a `type`
+     */
+    static normalizeStep(step) {
+        if (typeof step === 'string') {
+            step = UNICODE_FORMS.includes(step) ? { type: 'unicode', form: step } : { type: step };
+        }
+
+        if (!step || !STEPS[step.type]) {
+            throw new Error(`Unknown normalizer step: ${step && step.type}. Available steps: ${Object.keys(STEPS).join(', ')}`);
+        }
+
+        return { ...step };
+    }
+
+    /**
+     * Map a span of normalized text back to the original text
+     * @param {Object} normalized - Result of normalizeWithAlignment
+     * @param {number} start - Start index in the normalized text
+     * @param {number} end - End index in the normalized text (exclusive)
+     * @returns {number[]} [start, end] in the original text
+     */
+    static originalSpan(normalized, start, end) {
+        const { alignments, originalLength } = normalized;
+
+        if (end > start) {
+            return [alignments[start][0], alignments[end - 1][1]];
+        }
+        const position = start < alignments.length
+            ? alignments[start][0]
+            : (alignments.length > 0 ? alignments[alignments.length - 1][1] : originalLength);
+        return [position, position];
+    }
+
+    /**
+     * Apply every step in order
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return this.normalizeWithAlignment(text).text;
+    }
+
+    /**
+     * Apply every step in order, tracking where each output character came from
+     * @param {string} text - Text to normalize
+     * @returns {Object} { text, alignments, originalLength } where alignments[i] is the
+     *   [start, end] range of the original text behind normalized character i
+     */
+    normalizeWithAlignment(text) {
+        let state = {
+            text,
+            alignments: Array.from({ length: text.length }, (_, i) => [i, i + 1])
+        };
+
+        for (const step of this.pipeline) {
+            if (step.map) {
+                const mapped = step.map(state.text);
+                state = mapped.length === state.text.length
+                    ? { text: mapped, alignments: state.alignments }
+                    : rewrite(state, /[\s\S]/gu, step.map);
+            } else {
+                state = rewrite(state, step.pattern, step.replace);
+            }
+        }
+
+        return { ...state, originalLength: text.length };
+    }
+
+    /**
+     * Get the storable pipeline configuration
+     * @returns {Object[]} Step configurations
+     */
+    toJSON() {
+        return this.steps.map(step => ({ ...step }));
+    }
+}
+
+module.exports = Normalizer;
+module.exports.STEPS = STEPS;
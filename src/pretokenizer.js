@@ -0,0 +1,197 @@
+/**
+ * Pre-tokenizer registry
+ * Pre-tokenizers split normalized text into word-like pieces before the
+ * model sees it. Steps can be chained, and the chain configuration is plain
+ * JSON so it can be stored in the vocabulary file
+ */
+
+// Patterns for text that should survive pre-tokenization as a single piece
+const PRESERVE_PATTERNS = {
+    url: /(?:https?:\/\/|www\.)[^\s]*[^\s.,!?;:)'"]/u,
+    email: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/u,
+    hashtag: /#[\p{L}\p{N}_]+/u,
+    mention: /@[\p{L}\p{N}_]+/u
+};
+
+// Patterns of the built-in pre-tokenizers; every match becomes a piece
+const SPLIT_PATTERNS = {
+    // Split on whitespace only
+    whitespace: /\S+/gu,
+
+    // ASCII words and single punctuation characters (the original behaviour)
+    wordPunct: /\w+|[^\w\s]/gu,
+
+    // Unicode letters (with combining marks), numbers with decimal separators, single symbols
+    unicode: /[\p{L}\p{M}]+|\p{N}+(?:[.,]\p{N}+)*|[^\p{L}\p{M}\p{N}\s]/gu,
+
+    // GPT-2 style: contractions, optional leading space before letters, numbers and symbols
+    gpt2: /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+/gu,
+
+    // Split every digit into its own piece
+    digits: /\p{N}|[^\p{N}]+/gu
+};
+
+/**
+ * Create a step that keeps every regex match as a piece
+ * @param {RegExp} regex - Global regular expression
+ * @returns {Function} Step splitting text into match spans
+ */
+function matchSpans(regex) {
+    return text => {
+        const spans = [];
+        for (const match of text.matchAll(regex)) {
+            if (match[0].length > 0) {
+                spans.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+        return spans;
+    };
+}
+
+/**
+ * Registered pre-tokenizer factories keyed by type.
+ * A factory takes the step options and returns a function that splits one
+ * piece of text into spans ({ start, end, protected }) relative to that piece.
+ */
+const REGISTRY = {
+    whitespace: () => matchSpans(SPLIT_PATTERNS.whitespace),
+    wordPunct: () => matchSpans(SPLIT_PATTERNS.wordPunct),
+    unicode: () => matchSpans(SPLIT_PATTERNS.unicode),
+    gpt2: () => matchSpans(SPLIT_PATTERNS.gpt2),
+    digits: () => matchSpans(SPLIT_PATTERNS.digits),
+
+    // Keep URLs, emails, hashtags and mentions whole and protect them from later steps
+    preserve: ({ patterns = ['url', 'email', 'hashtag'] }) => {
+        const unknown = patterns.filter(name => !PRESERVE_PATTERNS[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown preserve pattern: ${unknown.join(', ')}`);
+        }
+
+        const regex = new RegExp(patterns.map(name => PRESERVE_PATTERNS[name].source).join('|'), 'gu');
+        return text => {
+            const spans = [];
+            let position = 0;
+            for (const match of text.matchAll(regex)) {
+                if (match.index > position) {
+                    spans.push({ start: position, end: match.index });
+                }
+                spans.push({ start: match.index, end: match.index + match[0].length, protected: true });
+                position = match.index + match[0].length;
+            }
+            if (position < text.length) {
+                spans.push({ start: position, end: text.length });
+            }
+            return spans;
+        };
+    },
+
+    // Custom pattern whose matches become pieces
+    regex: ({ pattern, flags = 'gu' }) => {
+        if (typeof pattern !== 'string') {
+            throw new Error('Regex pre-tokenizer requires a string pattern');
+        }
+        return matchSpans(new RegExp(pattern, flags.includes('g') ? flags : flags + 'g'));
+    }
+};
+
+/**
+ * PreTokenizer Class
+ */
+class PreTokenizer {
+    /**
+     * @param {Array<string|Object>} steps - Chain of pre-tokenizers, as registered type
+     *   names or objects with a `type` plus options, e.g. { type: 'preserve', patterns: ['url'] }
+     */
+    constructor(steps = ['wordPunct']) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pre-tokenizer steps must be a non-empty array');
+        }
+
+        this.steps = steps.map(step => PreTokenizer.normalizeStep(step));
+        this.chain = this.steps.map(step => REGISTRY[step.type](step));
+    }
+
+    /**
+     * Register a custom pre-tokenizer
+     * @param {string} type - Name used in step configurations
+     * @param {Function} factory - Takes step options, returns a function mapping
+     *   text to spans ({ start, end, protected })
+     */
+    static register(type, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error('Pre-tokenizer factory must be a function');
+        }
+        REGISTRY[type] = factory;
+    }
+
+    /**
+     * List registered pre-tokenizer types
+     * @returns {string[]} Registered types
+     */
+    static getRegistered() {
+        return Object.keys(REGISTRY);
+    }
+
+    /**
+     * Expand a step shorthand into its object form
+     * @param {string|Object} step - Step configuration
+     * @returns {Object} Step configuration with a `type`
+     */
+    static normalizeStep(step) {
+        if (typeof step === 'string') {
+            step = { type: step };
+        }
+
+        if (!step || !REGISTRY[step.type]) {
+            throw new Error(`Unknown pre-tokenizer: ${step && step.type}. Available pre-tokenizers: ${Object.keys(REGISTRY).join(', ')}`);
+        }
+
+        return { ...step };
+    }
+
+    /**
+     * Split text into pieces with their offsets. Each step refines the pieces of
+     * the previous one; protected pieces are passed through untouched.
+     * Surrounding whitespace is trimmed and whitespace-only pieces are dropped.
+     * @param {string} text - Text to split
+     * @returns {Object[]} Pieces ({ text, start, end })
+     */
+    split(text) {
+        let spans = [{ start: 0, end: text.length }];
+
+        for (const step of this.chain) {
+            spans = spans.flatMap(span => {
+                if (span.protected) {
+                    return [span];
+                }
+                return step(text.slice(span.start, span.end)).map(piece => ({
+                    start: span.start + piece.start,
+                    end: span.start + piece.end,
+                    protected: piece.protected || false
+                }));
+            });
+        }
+
+        return spans
+            .map(({ start, end }) => {
+                const piece = text.slice(start, end);
+                const leading = piece.length - piece.trimStart().length;
+                const trailing = piece.length - piece.trimEnd().length;
+                return { start: start + leading, end: end - trailing };
+            })
+            .filter(({ start, end }) => end > start)
+            .map(({ start, end }) => ({ text: text.slice(start, end), start, end }));
+    }
+
+    /**
+     * Get the storable chain configuration
+     * @returns {Object[]} Step configurations
+     */
+    toJSON() {
+        return this.steps.map(step => ({ ...step }));
+    }
+}
+
+module.exports = PreTokenizer;
+module.exports.PRESERVE_PATTERNS = PRESERVE_PATTERNS;
+module.exports.SPLIT_PATTERNS = SPLIT_PATTERNS;
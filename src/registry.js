@@ -0,0 +1,373 @@
+/**
+ * Named vocabularies kept together in one directory
+ * Each vocabulary is a file named after it, and registry.json records the
+ * model and tokenizer options each one was created with, plus the current
+ * vocabulary. Tokenizers are created when a vocabulary is first used and the
+ * least recently used ones are closed once more than maxLoaded are open.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTokenizer } = require('./models');
+const { withLock, writeFileAtomic, fileSignature } = require('./storage');
+
+// Constants
+const MANIFEST_FILE = 'registry.json';
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+// Names that would collide with the manifest file
+const RESERVED_NAMES = ['registry'];
+const DEFAULT_MAX_LOADED = 8;
+const EXTENSIONS = { json: '.json', binary: '.bin' };
+// Options a vocabulary keeps for its lifetime; cache and locking settings come from the registry
+const VOCAB_OPTIONS = ['byteFallback', 'lossless', 'normalizer', 'preTokenizer', 'specialTokens', 'template',
+    'vocabSize', 'minFrequency', 'byteLevel', 'endOfWordSuffix', 'continuationPrefix', 'maxInputCharsPerWord',
+    'maxPieceLength', 'seedSize', 'shrinkingFactor', 'emIterations'];
+
+/**
+ * Manages named vocabularies in a directory
+ */
+class VocabularyRegistry {
+    /**
+     * @param {string} directory - Directory holding the vocabulary files
+     * @param {Object} options - Registry options
+     * @param {number} options.maxLoaded - Most tokenizers kept open at once (default: 8)
+     * @param {Object} options.tokenizerOptions - Options given to every tokenizer, such as
+     *   saveDelay or lockTimeout; a vocabulary's own options take precedence
+     */
+    constructor(directory, options = {}) {
+        this.directory = path.resolve(directory);
+        this.manifestFile = path.join(this.directory, MANIFEST_FILE);
+        this.maxLoaded = options.maxLoaded || DEFAULT_MAX_LOADED;
+        this.tokenizerOptions = options.tokenizerOptions || {};
+        this.lockOptions = { timeout: this.tokenizerOptions.lockTimeout, stale: this.tokenizerOptions.lockStale };
+        // Open tokenizers by name, least recently used first
+        this.loaded = new Map();
+        // Last manifest read or written, with the file's signature at that time
+        this.manifestCache = null;
+
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+    }
+
+    /**
+     * Check a vocabulary name. Names become file names, so only letters,
+     * digits, '-' and '_' are allowed.
+     * @param {string} name - Vocabulary name
+     * @private
+     */
+    _assertName(name) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid vocabulary name: ${JSON.stringify(name)}. Use up to 64 letters, digits, '-' or '_'`);
+        }
+        if (RESERVED_NAMES.includes(name.toLowerCase())) {
+            throw new Error(`Vocabulary name is reserved: ${name}`);
+        }
+    }
+
+    /**
+     * Read the manifest. The parsed manifest is kept until the file changes,
+     * so lookups only stat the file; callers must not change it.
+     * @param {boolean} cached - Reuse the last parsed manifest if the file is unchanged (default: true)
+     * @returns {Object} { current, vocabularies } where vocabularies maps names to entries
+     * @private
+     */
+    _readManifest(cached = true) {
+        // No prototype, so names like "constructor" are looked up safely
+        const vocabularies = Object.create(null);
+        const signature = fileSignature(this.manifestFile);
+        if (signature === null) {
+            return { current: null, vocabularies };
+        }
+        if (cached && this.manifestCache && this.manifestCache.signature === signature) {
+            return this.manifestCache.manifest;
+        }
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+            const manifest = { current: stored.current || null, vocabularies: Object.assign(vocabularies, stored.vocabularies) };
+            if (cached) {
+                this.manifestCache = { signature, manifest };
+            }
+            return manifest;
+        } catch (error) {
+            throw new Error(`Failed to read vocabulary registry ${this.manifestFile}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change the manifest under its lock, so registries in other processes
+     * sharing the directory do not lose each other's changes
+     * @param {Function} fn - Receives the current manifest and changes it in place
+     * @returns {*} Return value of fn
+     * @private
+     */
+    _updateManifest(fn) {
+        return withLock(this.manifestFile, () => {
+            // A copy of its own, so a failing change leaves the cached manifest intact
+            const manifest = this._readManifest(false);
+            const result = fn(manifest);
+            writeFileAtomic(this.manifestFile, JSON.stringify(manifest, null, 2));
+            this.manifestCache = { signature: fileSignature(this.manifestFile), manifest };
+            return result;
+        }, this.lockOptions);
+    }
+
+    /**
+     * Get a vocabulary's manifest entry
+     * @param {string} name - Vocabulary name
+     * @returns {Object} Entry with model, file, options and createdAt
+     * @private
+     */
+    _entry(name) {
+        this._assertName(name);
+        const entry = this._readManifest().vocabularies[name];
+        if (!entry) {
+            throw new Error(`Vocabulary not found: ${name}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Check whether a vocabulary exists
+     * @param {string} name - Vocabulary name
+     * @returns {boolean} True if the registry has it
+     */
+    has(name) {
+        return typeof name === 'string' && name in this._readManifest().vocabularies;
+    }
+
+    /**
+     * Get the path of a vocabulary's file
+     * @param {string} name - Vocabulary name
+     * @returns {string} Absolute file path
+     */
+    pathOf(name) {
+        return path.join(this.directory, this._entry(name).file);
+    }
+
+    /**
+     * Create an empty vocabulary holding only its special tokens
+     * @param {string} name - Vocabulary name
+     * @param {Object} options - Tokenizer options kept with the vocabulary
+     * @param {string} options.model - 'word', 'bpe', 'wordpiece' or 'unigram' (default: 'word')
+     * @param {string} options.format - 'json' or 'binary' file (default: 'json')
+     * @returns {Object} Description of the new vocabulary (see list)
+     */
+    create(name, options = {}) {
+        this._assertName(name);
+        const { model = 'word', format = 'json' } = options;
+        if (!EXTENSIONS[format]) {
+            throw new Error(`Unknown vocabulary format: ${format}. Use 'json' or 'binary'`);
+        }
+
+        const vocabOptions = Object.fromEntries(VOCAB_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+        const entry = { model, file: name + EXTENSIONS[format], options: vocabOptions, createdAt: new Date().toISOString() };
+        // Fails on an unknown model before anything is written
+        const tokenizer = createTokenizer(path.join(this.directory, entry.file), this._tokenizerOptions(entry));
+
+        this._updateManifest(manifest => {
+            if (manifest.vocabularies[name]) {
+                throw new Error(`Vocabulary already exists: ${name}`);
+            }
+            tokenizer.initializeVocab();
+            tokenizer.close();
+            manifest.vocabularies[name] = entry;
+        });
+        return this.describe(name);
+    }
+
+    /**
+     * Copy a vocabulary under a new name, with its model and options
+     * @param {string} source - Existing vocabulary name
+     * @param {string} target - New vocabulary name
+     * @returns {Object} Description of the copy (see list)
+     */
+    clone(source, target) {
+        this._assertName(target);
+        const entry = this._entry(source);
+        // Tokens added in memory but not written yet belong in the copy
+        if (this.loaded.has(source)) {
+            this.loaded.get(source).save();
+        }
+
+        this._updateManifest(manifest => {
+            if (manifest.vocabularies[target]) {
+                throw new Error(`Vocabulary already exists: ${target}`);
+            }
+            const file = target + path.extname(entry.file);
+            const contents = withLock(path.join(this.directory, entry.file), () => {
+                return fs.readFileSync(path.join(this.directory, entry.file));
+            }, this.lockOptions);
+            writeFileAtomic(path.join(this.directory, file), contents);
+            manifest.vocabularies[target] = { ...entry, file, createdAt: new Date().toISOString() };
+        });
+        return this.describe(target);
+    }
+
+    /**
+     * Delete a vocabulary and its file. Deleting the current vocabulary leaves
+     * none selected.
+     * @param {string} name - Vocabulary name
+     * @returns {boolean} True if it existed
+     */
+    delete(name) {
+        this._assertName(name);
+        this.evict(name);
+
+        return this._updateManifest(manifest => {
+            const entry = manifest.vocabularies[name];
+            if (!entry) {
+                return false;
+            }
+            const file = path.join(this.directory, entry.file);
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+            delete manifest.vocabularies[name];
+            if (manifest.current === name) {
+                manifest.current = null;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Make a vocabulary the current one, used when no name is given
+     * @param {string} name - Vocabulary name
+     */
+    switchTo(name) {
+        this._entry(name);
+        this._updateManifest(manifest => {
+            if (!manifest.vocabularies[name]) {
+                throw new Error(`Vocabulary not found: ${name}`);
+            }
+            manifest.current = name;
+        });
+    }
+
+    /**
+     * Get the name of the current vocabulary
+     * @returns {string|null} Current vocabulary name, or null if none is selected
+     */
+    current() {
+        return this._readManifest().current;
+    }
+
+    /**
+     * Describe a vocabulary without loading it
+     * @param {string} name - Vocabulary name
+     * @returns {Object} { name, model, file, options, createdAt, bytes, loaded, current }
+     */
+    describe(name) {
+        const manifest = this._readManifest();
+        this._assertName(name);
+        if (!manifest.vocabularies[name]) {
+            throw new Error(`Vocabulary not found: ${name}`);
+        }
+        return this._description(name, manifest);
+    }
+
+    /**
+     * Build a vocabulary's description from the manifest
+     * @param {string} name - Vocabulary name
+     * @param {Object} manifest - Manifest contents
+     * @returns {Object} Description
+     * @private
+     */
+    _description(name, manifest) {
+        const entry = manifest.vocabularies[name];
+        const file = path.join(this.directory, entry.file);
+        return {
+            name,
+            model: entry.model,
+            file,
+            options: { ...entry.options },
+            createdAt: entry.createdAt,
+            bytes: fs.existsSync(file) ? fs.statSync(file).size : 0,
+            loaded: this.loaded.has(name),
+            current: manifest.current === name
+        };
+    }
+
+    /**
+     * List the vocabularies in the registry
+     * @returns {Object[]} Descriptions sorted by name (see describe)
+     */
+    list() {
+        const manifest = this._readManifest();
+        return Object.keys(manifest.vocabularies).sort().map(name => this._description(name, manifest));
+    }
+
+    /**
+     * Get the tokenizer for a vocabulary, creating it if it is not open. Opening
+     * one more than maxLoaded closes the least recently used tokenizer, which
+     * writes its unsaved changes first.
+     * @param {string} name - Vocabulary name (default: the current vocabulary)
+     * @returns {Tokenizer} Tokenizer bound to the vocabulary's file
+     */
+    get(name) {
+        if (name === undefined || name === null) {
+            name = this.current();
+            if (!name) {
+                throw new Error('No vocabulary selected. Pass a vocabulary name or call switchTo() first');
+            }
+        }
+
+        let tokenizer = this.loaded.get(name);
+        if (tokenizer) {
+            // Move to the most recently used end
+            this.loaded.delete(name);
+        } else {
+            const entry = this._entry(name);
+            tokenizer = createTokenizer(path.join(this.directory, entry.file), this._tokenizerOptions(entry));
+        }
+        this.loaded.set(name, tokenizer);
+
+        while (this.loaded.size > this.maxLoaded) {
+            this.evict(this.loaded.keys().next().value);
+        }
+        return tokenizer;
+    }
+
+    /**
+     * Combine the registry's tokenizer options with a vocabulary's own
+     * @param {Object} entry - Manifest entry
+     * @returns {Object} Tokenizer options
+     * @private
+     */
+    _tokenizerOptions(entry) {
+        return { ...this.tokenizerOptions, ...entry.options, model: entry.model };
+    }
+
+    /**
+     * Close a vocabulary's tokenizer, writing its unsaved changes, and drop it from memory
+     * @param {string} name - Vocabulary name
+     * @returns {boolean} True if it was open
+     */
+    evict(name) {
+        const tokenizer = this.loaded.get(name);
+        if (!tokenizer) {
+            return false;
+        }
+
+        this.loaded.delete(name);
+        tokenizer.close();
+        return true;
+    }
+
+    /**
+     * Write unsaved changes of every open vocabulary
+     */
+    save() {
+        this.loaded.forEach(tokenizer => tokenizer.save());
+    }
+
+    /**
+     * Close every open tokenizer, writing unsaved changes
+     */
+    close() {
+        [...this.loaded.keys()].forEach(name => this.evict(name));
+    }
+}
+
+module.exports = VocabularyRegistry;
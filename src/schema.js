@@ -0,0 +1,364 @@
+/**
+ * Vocabulary schema checks and versioned migrations
+ * Stored vocabularies carry the version of the layout they were written in.
+ * Older files are brought up to date by running every migration newer than
+ * their version, in order. The validator reports every integrity problem at
+ * once instead of stopping at the first, and the repair routine rebuilds the
+ * lookup tables from `vocab`, which is treated as the source of truth.
+ */
+
+// Constants
+// Same as Tokenizer.UNK_TOKEN; the tokenizer module requires this one, so it is not imported
+const UNK_TOKEN = '[UNK]';
+const VOCAB_VERSION = '1.1.0';
+// Files without a version were written before migrations existed
+const LEGACY_VERSION = '1.0.0';
+// Issues of one kind listed individually before the rest are summarized
+const MAX_ISSUES_PER_CODE = 10;
+
+/**
+ * Layout changes, oldest first. Each migration turns data written in the
+ * previous version into data of its own version.
+ */
+const MIGRATIONS = [
+    {
+        version: '1.1.0',
+        description: 'Store the settings 1.0.0 files left to defaults',
+        // 1.0.0 files without a model were written by the word-level tokenizer,
+        // which lowercased, split words from punctuation and only reserved [UNK]
+        migrate: data => ({
+            model: 'word',
+            byteFallback: false,
+            lossless: false,
+            normalizer: data.lossless ? [] : ['lowercase'],
+            preTokenizer: ['wordPunct'],
+            specialTokens: { unk: UNK_TOKEN },
+            frequencies: {},
+            ...data
+        })
+    }
+];
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Bring stored vocabulary contents up to the current layout
+ * @param {Object} data - Vocabulary contents as read from a file
+ * @returns {Object} { data, from, applied } with the migrated contents, the stored
+ *   version and the versions of the migrations that ran
+ */
+function migrateVocab(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Vocabulary must be a JSON object');
+    }
+
+    const from = typeof data.version === 'string' ? data.version : LEGACY_VERSION;
+    if (!/^\d+(\.\d+)*$/.test(from)) {
+        throw new Error(`Invalid vocabulary version: ${from}`);
+    }
+    if (compareVersions(from, VOCAB_VERSION) > 0) {
+        throw new Error(`Vocabulary version ${from} is newer than the supported version ${VOCAB_VERSION}; upgrade the tokenizer to read it`);
+    }
+
+    const applied = [];
+    let migrated = data;
+    for (const migration of MIGRATIONS) {
+        if (compareVersions(migration.version, from) > 0) {
+            migrated = { ...migration.migrate(migrated), version: migration.version };
+            applied.push(migration.version);
+        }
+    }
+
+    return { data: { ...migrated, version: VOCAB_VERSION }, from, applied };
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collects issues, keeping the first few of each kind
+ */
+class IssueList {
+    constructor() {
+        this.issues = [];
+        this.counts = new Map();
+    }
+
+    /**
+     * Record an issue
+     * @param {string} code - Kind of issue, e.g. 'duplicate-id'
+     * @param {string} message - Description
+     */
+    add(code, message) {
+        const count = (this.counts.get(code) || 0) + 1;
+        this.counts.set(code, count);
+        if (count <= MAX_ISSUES_PER_CODE) {
+            this.issues.push({ code, message });
+        }
+    }
+
+    /**
+     * Get the recorded issues with a summary line for each kind that was cut short
+     * @returns {Object[]} Issues ({ code, message })
+     */
+    toArray() {
+        const summaries = [...this.counts]
+            .filter(([, count]) => count > MAX_ISSUES_PER_CODE)
+            .map(([code, count]) => ({ code, message: `...and ${count - MAX_ISSUES_PER_CODE} more ${code} issues` }));
+        return [...this.issues, ...summaries];
+    }
+}
+
+/**
+ * Check the model-specific fields of stored vocabulary contents
+ * @param {Object} data - Vocabulary contents
+ * @param {IssueList} errors - Collects errors
+ */
+function validateModel(data, errors) {
+    if (data.model === 'bpe' && data.merges !== undefined) {
+        if (!Array.isArray(data.merges)) {
+            errors.add('invalid-field', '"merges" must be an array');
+        } else {
+            data.merges.forEach((pair, index) => {
+                if (typeof pair !== 'string' || pair.split(' ').length !== 2) {
+                    errors.add('invalid-merge', `Merge ${index} must be two symbols separated by one space: ${JSON.stringify(pair)}`);
+                }
+            });
+        }
+    }
+
+    if (data.model === 'unigram' && data.scores !== undefined) {
+        if (!isPlainObject(data.scores)) {
+            errors.add('invalid-field', '"scores" must be an object');
+        } else {
+            for (const [piece, score] of Object.entries(data.scores)) {
+                if (typeof score !== 'number' || !Number.isFinite(score)) {
+                    errors.add('invalid-score', `Score of ${JSON.stringify(piece)} must be a finite number: ${JSON.stringify(score)}`);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Check stored vocabulary contents for integrity problems. Errors make the
+ * vocabulary unusable or ambiguous; warnings are tolerated, e.g. unused IDs
+ * left behind by an imported vocabulary.
+ * @param {Object} data - Vocabulary contents in the current layout
+ * @returns {Object} { valid, errors, warnings } with issues as { code, message }
+ */
+function validateVocab(data) {
+    const errors = new IssueList();
+    const warnings = new IssueList();
+
+    if (!isPlainObject(data)) {
+        errors.add('invalid-field', 'Vocabulary must be an object');
+        return { valid: false, errors: errors.toArray(), warnings: [] };
+    }
+    for (const field of ['vocab', 'reverseVocab']) {
+        if (!isPlainObject(data[field])) {
+            errors.add('missing-field', `"${field}" must be an object mapping ${field === 'vocab' ? 'tokens to IDs' : 'IDs to tokens'}`);
+        }
+    }
+    const hasNextId = Number.isInteger(data.nextTokenId) && data.nextTokenId >= 0;
+    if (!hasNextId) {
+        errors.add('missing-field', `"nextTokenId" must be a non-negative integer, got ${JSON.stringify(data.nextTokenId)}`);
+    }
+    if (errors.counts.has('missing-field')) {
+        return { valid: false, errors: errors.toArray(), warnings: [] };
+    }
+
+    // Object.keys with lookups: Object.entries is several times slower on large vocabularies
+    const { vocab, reverseVocab, nextTokenId } = data;
+    const owners = [];
+    for (const token of Object.keys(vocab)) {
+        const id = vocab[token];
+        if (!Number.isInteger(id) || id < 0) {
+            errors.add('invalid-id', `Token ${JSON.stringify(token)} has ID ${JSON.stringify(id)}, which is not a non-negative integer`);
+            continue;
+        }
+        if (id >= nextTokenId) {
+            errors.add('id-out-of-range', `Token ${JSON.stringify(token)} has ID ${id}, which is not below nextTokenId ${nextTokenId}`);
+        }
+        if (owners[id] !== undefined) {
+            errors.add('duplicate-id', `ID ${id} is used by both ${JSON.stringify(owners[id])} and ${JSON.stringify(token)}`);
+            continue;
+        }
+        owners[id] = token;
+        if (reverseVocab[id] !== token) {
+            errors.add('reverse-mismatch', `reverseVocab[${id}] is ${JSON.stringify(reverseVocab[id])} but vocab maps ${JSON.stringify(token)} to ${id}`);
+        }
+    }
+    for (const key of Object.keys(reverseVocab)) {
+        const id = Number(key);
+        const token = reverseVocab[key];
+        if (!Number.isInteger(id) || id < 0 || String(id) !== key) {
+            errors.add('invalid-id', `reverseVocab key ${JSON.stringify(key)} is not a non-negative integer`);
+        } else if (typeof token !== 'string') {
+            errors.add('reverse-mismatch', `reverseVocab[${id}] must be a token string, got ${JSON.stringify(token)}`);
+        } else if (owners[id] === undefined) {
+            errors.add('reverse-mismatch', `reverseVocab maps ${id} to ${JSON.stringify(token)}, which vocab does not contain with that ID`);
+        }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(vocab, UNK_TOKEN)) {
+        errors.add('missing-unk', `The unknown token "${UNK_TOKEN}" is not in the vocabulary`);
+    }
+    if (data.specialTokens !== undefined) {
+        if (!isPlainObject(data.specialTokens)) {
+            errors.add('invalid-field', '"specialTokens" must be an object mapping roles to tokens');
+        } else {
+            for (const [role, token] of Object.entries(data.specialTokens)) {
+                if (token !== UNK_TOKEN && !Object.prototype.hasOwnProperty.call(vocab, token)) {
+                    warnings.add('missing-special', `Special token ${JSON.stringify(token)} (${role}) is not in the vocabulary`);
+                }
+            }
+        }
+    }
+
+    let unused = 0;
+    for (let id = 0; id < nextTokenId; id++) {
+        if (owners[id] === undefined) {
+            unused++;
+        }
+    }
+    if (unused > 0) {
+        warnings.add('gap', `${unused} of the IDs below nextTokenId ${nextTokenId} are unused`);
+    }
+
+    if (data.frequencies !== undefined) {
+        if (!isPlainObject(data.frequencies)) {
+            errors.add('invalid-field', '"frequencies" must be an object');
+        } else {
+            for (const token of Object.keys(data.frequencies)) {
+                const count = data.frequencies[token];
+                if (typeof count !== 'number' || !(count >= 0)) {
+                    errors.add('invalid-frequency', `Frequency of ${JSON.stringify(token)} must be a non-negative number: ${JSON.stringify(count)}`);
+                } else if (!Object.prototype.hasOwnProperty.call(vocab, token)) {
+                    warnings.add('orphan-frequency', `Frequency recorded for ${JSON.stringify(token)}, which is not in the vocabulary`);
+                }
+            }
+        }
+    }
+
+    validateModel(data, errors);
+
+    const errorList = errors.toArray();
+    return { valid: errorList.length === 0, errors: errorList, warnings: warnings.toArray() };
+}
+
+/**
+ * Repair the token tables of stored vocabulary contents. `vocab` is the
+ * source of truth: `reverseVocab` is rebuilt from it, tokens whose ID is
+ * invalid or already taken get new IDs after the highest one, tokens found
+ * only in `reverseVocab` are recovered when their ID is free, and missing
+ * [UNK] and special tokens are added.
+ * @param {Object} data - Vocabulary contents in the current layout
+ * @returns {Object} { data, changes } with repaired contents and a description of each change
+ */
+function repairVocab(data) {
+    const changes = [];
+    const source = isPlainObject(data.vocab) ? data.vocab : {};
+    const sourceReverse = isPlainObject(data.reverseVocab) ? data.reverseVocab : {};
+    const vocab = {};
+    const reverseVocab = {};
+    const reassign = [];
+
+    for (const [token, id] of Object.entries(source)) {
+        if (Number.isInteger(id) && id >= 0 && reverseVocab[id] === undefined) {
+            vocab[token] = id;
+            reverseVocab[id] = token;
+        } else {
+            reassign.push([token, id]);
+        }
+    }
+    for (const [key, token] of Object.entries(sourceReverse)) {
+        const id = Number(key);
+        if (typeof token === 'string' && Number.isInteger(id) && id >= 0 && String(id) === key
+            && reverseVocab[id] === undefined && !Object.prototype.hasOwnProperty.call(source, token)) {
+            vocab[token] = id;
+            reverseVocab[id] = token;
+            changes.push(`Recovered ${JSON.stringify(token)} with ID ${id} from reverseVocab`);
+        }
+    }
+
+    let nextTokenId = Object.keys(reverseVocab).reduce((max, id) => Math.max(max, Number(id) + 1), 0);
+    if (Number.isInteger(data.nextTokenId) && data.nextTokenId > nextTokenId) {
+        nextTokenId = data.nextTokenId;
+    } else if (data.nextTokenId !== nextTokenId) {
+        changes.push(`Set nextTokenId to ${nextTokenId} (was ${JSON.stringify(data.nextTokenId)})`);
+    }
+
+    const add = (token, reason) => {
+        vocab[token] = nextTokenId;
+        reverseVocab[nextTokenId] = token;
+        changes.push(`${reason}; gave ${JSON.stringify(token)} ID ${nextTokenId}`);
+        nextTokenId++;
+    };
+    for (const [token, id] of reassign) {
+        add(token, reverseVocab[id] !== undefined && Number.isInteger(id)
+            ? `ID ${id} was also used by ${JSON.stringify(reverseVocab[id])}`
+            : `ID ${JSON.stringify(id)} was invalid`);
+    }
+
+    const specialTokens = isPlainObject(data.specialTokens) ? data.specialTokens : { unk: UNK_TOKEN };
+    for (const token of new Set([UNK_TOKEN, ...Object.values(specialTokens)])) {
+        if (typeof token === 'string' && !Object.prototype.hasOwnProperty.call(vocab, token)) {
+            add(token, 'Special token was missing');
+        }
+    }
+
+    const mismatched = Object.keys(reverseVocab).filter(id => sourceReverse[id] !== reverseVocab[id]).length
+        + Object.keys(sourceReverse).filter(id => reverseVocab[id] === undefined).length;
+    if (mismatched > 0) {
+        changes.push(`Rebuilt reverseVocab (${mismatched} entries changed)`);
+    }
+
+    const frequencies = {};
+    const sourceFrequencies = isPlainObject(data.frequencies) ? data.frequencies : {};
+    for (const [token, count] of Object.entries(sourceFrequencies)) {
+        if (Object.prototype.hasOwnProperty.call(vocab, token) && typeof count === 'number' && count >= 0) {
+            frequencies[token] = count;
+        }
+    }
+    const dropped = Object.keys(sourceFrequencies).length - Object.keys(frequencies).length;
+    if (dropped > 0) {
+        changes.push(`Dropped ${dropped} frequencies of unknown tokens or with invalid counts`);
+    }
+
+    return {
+        data: { ...data, vocab, reverseVocab, nextTokenId, specialTokens: { ...specialTokens, unk: UNK_TOKEN }, frequencies },
+        changes
+    };
+}
+
+module.exports = {
+    VOCAB_VERSION,
+    MIGRATIONS,
+    compareVersions,
+    migrateVocab,
+    validateVocab,
+    repairVocab
+};
@@ -0,0 +1,455 @@
+/**
+ * HTTP API for the tokenizer
+ * Routes /api/* requests to a TokenizerAPI. Request and response bodies are
+ * JSON; failures are answered with { error: { status, message } }.
+ */
+
+const path = require('path');
+const { URL } = require('url');
+const TokenizerUtils = require('./utils');
+
+// Constants
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+const EXPORT_FORMATS = ['json', 'hf', 'bert', 'gpt2'];
+// Request options passed through to the tokenizer; anything else is ignored
+const BATCH_OPTIONS = ['padding', 'maxLength', 'truncation', 'padToMultipleOf', 'addSpecialTokens',
+    'returnAttentionMask', 'returnTokenTypeIds'];
+const TRAIN_OPTIONS = ['mode', 'minFrequency', 'maxVocabSize'];
+const CREATE_OPTIONS = ['model', 'format', 'byteFallback', 'lossless', 'normalizer', 'preTokenizer', 'vocabSize'];
+const EXPORT_FILES = {
+    json: { name: 'vocab.json', type: 'application/json' },
+    hf: { name: 'tokenizer.json', type: 'application/json' },
+    bert: { name: 'vocab.txt', type: 'text/plain; charset=utf-8' },
+    gpt2: { name: 'vocab-gpt2.json', type: 'application/json' }
+};
+
+/**
+ * Error answered with an HTTP status other than 500
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message sent to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Pick the allowed options out of a request body
+ * @param {Object} body - Parsed request body
+ * @param {string[]} names - Option names to keep
+ * @returns {Object} Options present in the body
+ */
+function pickOptions(body, names) {
+    return Object.fromEntries(names.filter(name => body[name] !== undefined).map(name => [name, body[name]]));
+}
+
+/**
+ * Run a tokenizer call whose failures are caused by the request, such as
+ * invalid text or an unreadable import, and answer them with 400
+ * @param {Function} fn - Call to run
+ * @returns {Promise<*>} Result of the call
+ */
+async function asBadRequest(fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        throw error instanceof HttpError ? error : new HttpError(400, error.message);
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Largest accepted body in bytes
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJsonBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const declared = Number(req.headers['content-length']);
+        if (declared > maxBodySize) {
+            reject(new HttpError(413, `Request body exceeds ${maxBodySize} bytes`));
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let rejected = false;
+        req.on('data', chunk => {
+            if (rejected) {
+                return;
+            }
+            size += chunk.length;
+            if (size > maxBodySize) {
+                rejected = true;
+                reject(new HttpError(413, `Request body exceeds ${maxBodySize} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (rejected) {
+                return;
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (text.trim() === '') {
+                resolve({});
+                return;
+            }
+            const body = TokenizerUtils.safeJsonParse(text);
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HttpError(400, 'Request body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} payload - Value to serialize
+ */
+function sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+/**
+ * Send an error response
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error to report; HttpErrors keep their status, others are 500
+ */
+function sendError(res, error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    sendJson(res, status, { error: { status, message: error.message } });
+}
+
+/**
+ * Check that a body field is a non-empty string
+ * @param {*} text - Field value
+ * @param {string} field - Field name for the error message
+ * @returns {string} The text
+ */
+function requireText(text, field = 'text') {
+    if (!TokenizerUtils.isValidText(text)) {
+        throw new HttpError(400, `"${field}" must be a non-empty string`);
+    }
+    return text;
+}
+
+/**
+ * Check that a body field is an array
+ * @param {*} value - Field value
+ * @param {string} field - Field name for the error message
+ * @returns {Array} The array
+ */
+function requireArray(value, field) {
+    if (!Array.isArray(value)) {
+        throw new HttpError(400, `"${field}" must be an array`);
+    }
+    return value;
+}
+
+/**
+ * Get the registry behind an API, for the /api/vocabularies routes
+ * @param {TokenizerAPI} api - API being served
+ * @returns {VocabularyRegistry} Registry
+ */
+function requireRegistry(api) {
+    if (!api.registry) {
+        throw new HttpError(404, 'This server serves a single vocabulary; start it with a vocabulary directory to manage named vocabularies');
+    }
+    return api.registry;
+}
+
+/**
+ * Describe a vocabulary for clients, without the server's directory layout
+ * @param {Object} description - Description from the registry
+ * @returns {Object} Description with the bare file name
+ */
+function describeVocabulary(description) {
+    return { ...description, file: path.basename(description.file) };
+}
+
+/**
+ * Route handlers keyed by path, then by method. Path segments starting with
+ * ':' match any segment. Each handler receives the API and the request as
+ * { body, query, params, vocab }, where vocab is the vocabulary name from the
+ * body or the query, and returns the payload to send (or { raw, type, filename }
+ * for a file download).
+ */
+const ROUTES = {
+    '/api/tokenize': {
+        POST: (api, { body, vocab }) => asBadRequest(async () => {
+            const result = await api.processText(requireText(body.text), {
+                vocab,
+                expandVocab: false,
+                includeStats: false,
+                includeOffsets: body.offsets === true
+            });
+            return {
+                original: result.original,
+                processed: result.processed,
+                tokens: result.tokens,
+                offsets: result.offsets
+            };
+        })
+    },
+    '/api/encode': {
+        POST: (api, { body, vocab }) => asBadRequest(() => api.processText(requireText(body.text), {
+            vocab,
+            expandVocab: body.expandVocab === true,
+            includeOffsets: body.offsets === true
+        }))
+    },
+    '/api/decode': {
+        POST: async (api, { body, vocab }) => {
+            if (!TokenizerUtils.isValidTokenIds(body.ids) || !body.ids.every(Number.isInteger)) {
+                throw new HttpError(400, '"ids" must be an array of non-negative integers');
+            }
+            return asBadRequest(() => api.decode(body.ids, { vocab, skipSpecialTokens: body.skipSpecialTokens === true }));
+        }
+    },
+    '/api/batch': {
+        POST: async (api, { body, vocab }) => {
+            const texts = requireArray(body.texts, 'texts');
+            return asBadRequest(() => body.padded
+                ? api.encodeBatch(texts, { ...pickOptions(body, BATCH_OPTIONS), vocab })
+                : api.batchProcess(texts, { vocab, expandVocab: false, includeOffsets: body.offsets === true }));
+        }
+    },
+    '/api/train': {
+        POST: async (api, { body, vocab }) => {
+            const texts = requireArray(body.texts, 'texts');
+            if (!texts.every(text => typeof text === 'string')) {
+                throw new HttpError(400, '"texts" must be an array of strings');
+            }
+            return asBadRequest(() => api.train(texts, { ...pickOptions(body, TRAIN_OPTIONS), vocab }));
+        }
+    },
+    // Without "texts", reports on the frequencies recorded during training
+    '/api/analyze': {
+        POST: async (api, { body, vocab }) => {
+            const texts = body.texts === undefined ? undefined : requireArray(body.texts, 'texts');
+            if (texts && !texts.every(text => typeof text === 'string')) {
+                throw new HttpError(400, '"texts" must be an array of strings');
+            }
+            if (body.top !== undefined && !(Number.isInteger(body.top) && body.top > 0)) {
+                throw new HttpError(400, '"top" must be a positive integer');
+            }
+            const report = await asBadRequest(() => api.analyze(texts, { vocab, top: body.top }));
+            return { ...report, vocabulary: { ...report.vocabulary, file: path.basename(report.vocabulary.file) } };
+        }
+    },
+    '/api/vocab': {
+        GET: (api, { vocab }) => api.getVocabularyInfo({ vocab })
+    },
+    '/api/vocab/stats': {
+        GET: (api, { vocab }) => api.getVocabStats({ vocab })
+    },
+    '/api/vocab/export': {
+        GET: async (api, { query, vocab }) => {
+            const format = query.get('format') || 'json';
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw new HttpError(400, `Unknown export format: ${format}. Use ${EXPORT_FORMATS.join(', ')}`);
+            }
+            // Formats the vocabulary cannot be expressed in are refused by the exporter
+            const contents = await asBadRequest(() => api.exportVocab({ vocab, format }));
+            return {
+                raw: typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2),
+                type: EXPORT_FILES[format].type,
+                filename: vocab && format !== 'hf' ? `${vocab}-${EXPORT_FILES[format].name}` : EXPORT_FILES[format].name
+            };
+        }
+    },
+    '/api/vocab/import': {
+        POST: async (api, { body, vocab }) => {
+            const format = body.format || 'json';
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw new HttpError(400, `Unknown import format: ${format}. Use ${EXPORT_FORMATS.join(', ')}`);
+            }
+            if (body.data === undefined || body.data === null) {
+                throw new HttpError(400, '"data" is required');
+            }
+            // JSON vocabularies may be sent as an object instead of text
+            const data = format === 'json' && typeof body.data === 'object' ? JSON.stringify(body.data) : body.data;
+            return asBadRequest(() => api.importVocab(data, { vocab, format }));
+        }
+    },
+    '/api/vocab/reset': {
+        POST: (api, { vocab }) => {
+            api.resetVocab({ vocab });
+            return api.getVocabStats({ vocab });
+        }
+    },
+    '/api/vocabularies': {
+        GET: api => {
+            const registry = requireRegistry(api);
+            return { current: registry.current(), vocabularies: registry.list().map(describeVocabulary) };
+        },
+        // Creates an empty vocabulary, or a copy of "from"
+        POST: async (api, { body }) => {
+            const registry = requireRegistry(api);
+            if (registry.has(body.name)) {
+                throw new HttpError(409, `Vocabulary already exists: ${body.name}`);
+            }
+            if (body.from !== undefined && !registry.has(body.from)) {
+                throw new HttpError(404, `Vocabulary not found: ${body.from}`);
+            }
+            const description = await asBadRequest(() => body.from !== undefined
+                ? registry.clone(body.from, body.name)
+                : registry.create(body.name, pickOptions(body, CREATE_OPTIONS)));
+            return describeVocabulary(description);
+        }
+    },
+    '/api/vocabularies/:name': {
+        GET: (api, { params }) => {
+            const registry = requireRegistry(api);
+            if (!registry.has(params.name)) {
+                throw new HttpError(404, `Vocabulary not found: ${params.name}`);
+            }
+            const statistics = api.getVocabStats({ vocab: params.name });
+            return { ...describeVocabulary(registry.describe(params.name)), statistics };
+        },
+        DELETE: (api, { params }) => {
+            const registry = requireRegistry(api);
+            if (!registry.has(params.name)) {
+                throw new HttpError(404, `Vocabulary not found: ${params.name}`);
+            }
+            return { deleted: registry.delete(params.name) };
+        }
+    },
+    '/api/vocabularies/:name/switch': {
+        POST: (api, { params }) => {
+            const registry = requireRegistry(api);
+            if (!registry.has(params.name)) {
+                throw new HttpError(404, `Vocabulary not found: ${params.name}`);
+            }
+            registry.switchTo(params.name);
+            return describeVocabulary(registry.describe(params.name));
+        }
+    }
+};
+
+/**
+ * Find the route for a request path
+ * @param {string} pathname - Request path
+ * @returns {Object|null} { route, params }, or null if no route matches
+ */
+function matchRoute(pathname) {
+    const segments = pathname.replace(/\/+$/, '').split('/');
+    for (const [pattern, route] of Object.entries(ROUTES)) {
+        const parts = pattern.split('/');
+        if (parts.length !== segments.length) {
+            continue;
+        }
+        const params = {};
+        const matches = parts.every((part, index) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(segments[index]);
+                return true;
+            }
+            return part === segments[index];
+        });
+        if (matches) {
+            return { route, params };
+        }
+    }
+    return null;
+}
+
+/**
+ * Create a request handler for the tokenizer HTTP API
+ * @param {TokenizerAPI} api - API to serve; one created over a VocabularyRegistry
+ *   also serves the /api/vocabularies routes and takes a vocab name on every route
+ * @param {Object} options - Handler options
+ * @param {number} options.maxBodySize - Largest accepted request body in bytes (default: 1 MB)
+ * @returns {Function} (req, res) => boolean, false when the URL is not an API route
+ */
+function createApiHandler(api, options = {}) {
+    const { maxBodySize = DEFAULT_MAX_BODY_SIZE } = options;
+
+    return (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api' && !url.pathname.startsWith('/api/')) {
+            return false;
+        }
+
+        const handle = async () => {
+            let match;
+            try {
+                match = matchRoute(url.pathname);
+            } catch (error) {
+                throw new HttpError(400, `Malformed path: ${url.pathname}`);
+            }
+            if (!match) {
+                throw new HttpError(404, `No API route for ${url.pathname}`);
+            }
+            const handler = match.route[req.method];
+            if (!handler) {
+                res.setHeader('Allow', Object.keys(match.route).join(', '));
+                throw new HttpError(405, `${req.method} is not allowed on ${url.pathname}`);
+            }
+
+            const body = req.method === 'POST' ? await readJsonBody(req, maxBodySize) : {};
+            const vocab = body.vocab !== undefined ? body.vocab : url.searchParams.get('vocab') || undefined;
+            if (vocab !== undefined) {
+                if (!api.registry) {
+                    throw new HttpError(400, 'This server serves a single vocabulary; "vocab" is not supported');
+                }
+                if (!api.registry.has(vocab)) {
+                    throw new HttpError(404, `Vocabulary not found: ${vocab}`);
+                }
+            } else if (api.registry && !url.pathname.startsWith('/api/vocabularies') && !api.registry.current()) {
+                throw new HttpError(400, 'No vocabulary selected; pass "vocab" or switch to a vocabulary first');
+            }
+
+            const result = await handler(api, { body, query: url.searchParams, params: match.params, vocab });
+            if (result && result.raw !== undefined) {
+                res.writeHead(200, {
+                    'Content-Type': result.type,
+                    'Content-Disposition': `attachment; filename="${result.filename}"`
+                });
+                res.end(result.raw);
+            } else {
+                sendJson(res, 200, result);
+            }
+        };
+
+        handle().catch(error => {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            if (!(error instanceof HttpError)) {
+                console.error(`API error on ${req.method} ${url.pathname}:`, error);
+            }
+            // Close the connection on oversized bodies rather than reading the rest
+            if (error instanceof HttpError && error.status === 413) {
+                res.setHeader('Connection', 'close');
+            }
+            sendError(res, error);
+        });
+        return true;
+    };
+}
+
+module.exports = {
+    HttpError,
+    createApiHandler,
+    readJsonBody,
+    DEFAULT_MAX_BODY_SIZE
+};
@@ -0,0 +1,268 @@
+/**
+ * Crash- and concurrency-safe file storage
+ * Files are replaced atomically by writing a temporary file and renaming it,
+ * and writers serialize through a lock file next to the target
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const DEFAULT_LOCK_TIMEOUT = 10000;
+const DEFAULT_LOCK_STALE = 30000;
+const LOCK_RETRY_INTERVAL = 20;
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+let tempFiles = 0;
+
+/**
+ * Block the thread for a while. Saves are synchronous, so waiting for a lock
+ * in withLock is too.
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+    Atomics.wait(sleeper, 0, 0, ms);
+}
+
+/**
+ * Summarize file stats into a signature. Atomic writes replace the file, so
+ * any write by any process changes the signature.
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} Signature
+ */
+function statsSignature(stats) {
+    return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+}
+
+/**
+ * Get the signature of the file currently at a path
+ * @param {string} filename - File path
+ * @returns {string|null} Signature, or null if the file does not exist
+ */
+function fileSignature(filename) {
+    try {
+        return statsSignature(fs.statSync(filename));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write a file so that readers see either the old or the new contents, never
+ * a partial write. The contents are flushed to disk before the rename, so a
+ * crash cannot leave the new name pointing at an empty file.
+ * @param {string} filename - Target file path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filename, contents) {
+    const tempFile = path.join(
+        path.dirname(filename),
+        `.${path.basename(filename)}.${process.pid}.${++tempFiles}.tmp`
+    );
+
+    try {
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeFileSync(fd, contents, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, filename);
+    } catch (error) {
+        if (fs.existsSync(tempFile)) {
+            fs.unlinkSync(tempFile);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check whether a lock was left behind by a process that no longer holds it
+ * @param {string} lockFile - Lock file path
+ * @param {number} staleAfter - Age in milliseconds after which any lock is stale
+ * @returns {Object|null} The stale lock's { mtimeMs, contents }, or null if it must be kept
+ */
+function readStaleLock(lockFile, staleAfter) {
+    let lock;
+    try {
+        lock = { mtimeMs: fs.statSync(lockFile).mtimeMs, contents: fs.readFileSync(lockFile, 'utf8') };
+    } catch (error) {
+        // Gone already: not stale, try again
+        return null;
+    }
+    if (Date.now() - lock.mtimeMs > staleAfter) {
+        return lock;
+    }
+
+    let owner;
+    try {
+        owner = JSON.parse(lock.contents);
+    } catch (error) {
+        // Caught half-written: not stale, try again
+        return null;
+    }
+    if (owner.hostname !== os.hostname()) {
+        return null;
+    }
+    try {
+        process.kill(owner.pid, 0);
+        return null;
+    } catch (error) {
+        return error.code === 'ESRCH' ? lock : null;
+    }
+}
+
+/**
+ * Remove a stale lock. It is first renamed to a name only this call uses, so
+ * of several waiters breaking it only one succeeds, and checked again there:
+ * if another waiter already broke it and a fresh lock took its place, the
+ * fresh lock is put back instead of removed.
+ * @param {string} lockFile - Lock file path
+ * @param {Object} stale - The lock as found stale, from readStaleLock
+ */
+function breakLock(lockFile, stale) {
+    const claimed = `${lockFile}.${process.pid}.${++tempFiles}.stale`;
+    try {
+        fs.renameSync(lockFile, claimed);
+    } catch (error) {
+        // Another waiter broke it first
+        return;
+    }
+
+    try {
+        const unchanged = fs.statSync(claimed).mtimeMs === stale.mtimeMs &&
+            fs.readFileSync(claimed, 'utf8') === stale.contents;
+        if (!unchanged) {
+            fs.linkSync(claimed, lockFile);
+        }
+    } catch (error) {
+        // A newer lock already took the name; it is the one waiters see
+    } finally {
+        fs.unlinkSync(claimed);
+    }
+}
+
+/**
+ * Try once to take the lock file of a target file, breaking it if it is stale
+ * @param {string} lockFile - Lock file path
+ * @param {string} owner - Contents identifying this holder
+ * @param {number} stale - Milliseconds after which a lock is considered abandoned
+ * @returns {boolean} True if the lock was taken, false if a live holder has it
+ */
+function tryLock(lockFile, owner, stale) {
+    while (true) {
+        try {
+            fs.writeFileSync(lockFile, owner, { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const staleLock = readStaleLock(lockFile, stale);
+        if (!staleLock) {
+            return false;
+        }
+        breakLock(lockFile, staleLock);
+    }
+}
+
+/**
+ * Give up a lock file, unless it was broken and taken by someone else meanwhile
+ * @param {string} lockFile - Lock file path
+ * @param {string} owner - Contents identifying this holder
+ */
+function unlock(lockFile, owner) {
+    try {
+        if (fs.readFileSync(lockFile, 'utf8') === owner) {
+            fs.unlinkSync(lockFile);
+        }
+    } catch (error) {
+        // The lock was broken as stale while we held it
+    }
+}
+
+/**
+ * Describe this process as the holder of a lock
+ * @returns {string} Lock file contents
+ */
+function lockOwner() {
+    return JSON.stringify({ pid: process.pid, hostname: os.hostname(), createdAt: new Date().toISOString() });
+}
+
+/**
+ * Run a function while holding the lock file of a target file. Locks whose
+ * owner died or that are older than `stale` are broken.
+ *
+ * Waiting blocks the thread, and with it the event loop: while another
+ * process holds the lock, a server answers no request for up to `timeout`.
+ * Servers should pass a short timeout, and use withLockAsync where the
+ * caller can wait.
+ * @param {string} filename - File to lock
+ * @param {Function} fn - Function to run while locked
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - Milliseconds to wait for the lock (default: 10000)
+ * @param {number} options.stale - Milliseconds after which a lock is considered abandoned (default: 30000)
+ * @returns {any} Result of fn
+ */
+function withLock(filename, fn, options = {}) {
+    const { timeout = DEFAULT_LOCK_TIMEOUT, stale = DEFAULT_LOCK_STALE } = options;
+    const lockFile = `${filename}.lock`;
+    const owner = lockOwner();
+    const deadline = Date.now() + timeout;
+
+    while (!tryLock(lockFile, owner, stale)) {
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for lock ${lockFile}`);
+        }
+        sleep(LOCK_RETRY_INTERVAL);
+    }
+
+    try {
+        return fn();
+    } finally {
+        unlock(lockFile, owner);
+    }
+}
+
+/**
+ * Like withLock, but waits for the lock with timers, so the event loop keeps
+ * running while another process holds it. fn itself runs synchronously.
+ * @param {string} filename - File to lock
+ * @param {Function} fn - Function to run while locked
+ * @param {Object} options - Lock options (see withLock)
+ * @returns {Promise<any>} Result of fn
+ */
+async function withLockAsync(filename, fn, options = {}) {
+    const { timeout = DEFAULT_LOCK_TIMEOUT, stale = DEFAULT_LOCK_STALE } = options;
+    const lockFile = `${filename}.lock`;
+    const owner = lockOwner();
+    const deadline = Date.now() + timeout;
+
+    while (!tryLock(lockFile, owner, stale)) {
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for lock ${lockFile}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+    }
+
+    try {
+        return fn();
+    } finally {
+        unlock(lockFile, owner);
+    }
+}
+
+module.exports = {
+    statsSignature,
+    fileSignature,
+    writeFileAtomic,
+    withLock,
+    withLockAsync
+};
@@ -7,210 +7,1878 @@
 
 const fs = require('fs');
 const path = require('path');
+const Normalizer = require('./normalizer');
+const PreTokenizer = require('./pretokenizer');
+const Encoding = require('./encoding');
+const { Progress, readStream, readFiles } = require('./corpus');
+const { statsSignature, fileSignature, writeFileAtomic, withLock, withLockAsync } = require('./storage');
+const { serializeVocab, parseVocab } = require('./format');
+const { importVocabData, exportVocabData } = require('./interop');
+const { VOCAB_VERSION, migrateVocab, validateVocab, repairVocab } = require('./schema');
 
 // Constants
 const UNK_TOKEN = '[UNK]';
+const BYTE_TOKEN_PATTERN = /^<0x([0-9A-F]{2})>$/;
+const SPACE_MARKER = 'Ġ';
+const CAP_TOKEN = '[CAP]';
+const UPPER_TOKEN = '[UPPER]';
+const NON_SPACE_RUN = /\S*/uy;
 const DEFAULT_VOCAB_FILE = path.join(__dirname, '..', 'data', 'vocab.json');
+const DEFAULT_PRE_TOKENIZER = ['wordPunct'];
+// Sentence-final punctuation, optional closing quotes or brackets, then whitespace
+const SENTENCE_END = /[.!?]+["')\]]*\s+/gu;
+const DEFAULT_SPECIAL_TOKENS = {
+    unk: UNK_TOKEN,
+    pad: '[PAD]',
+    bos: '[BOS]',
+    eos: '[EOS]',
+    sep: '[SEP]',
+    cls: '[CLS]',
+    mask: '[MASK]'
+};
+// Sequences are wrapped by role name; $A and $B stand for the encoded texts
+const DEFAULT_TEMPLATE = {
+    single: ['bos', '$A', 'eos'],
+    pair: ['bos', '$A', 'sep', '$B', 'eos']
+};
+// How mergeVocab orders the tokens it appends
+const MERGE_STRATEGIES = ['append', 'frequency'];
+// Stored settings that decide how text becomes tokens, compared by diffVocab
+const PIPELINE_FIELDS = ['lossless', 'byteFallback', 'normalizer', 'preTokenizer', 'specialTokens', 'template'];
+const DEFAULT_SAVE_DELAY = 1000;
+// Suffix of the file next to a vocabulary that records IDs claimed by encode but not saved yet
+const PENDING_SUFFIX = '.pending';
+const DEFAULT_WATCH_INTERVAL = 1000;
+
+// Pipelines built from stored configurations, keyed by the configuration array
+const normalizers = new WeakMap();
+const preTokenizers = new WeakMap();
+
+// File each vocabulary was last read from or written to, with the file's signature at that time
+// and the model of the tokenizer that read or wrote it
+const fileStates = new WeakMap();
+
+// Tokenizers holding vocabulary changes that have not been written yet
+const pendingSaves = new Set();
+let exitHandlerInstalled = false;
 
 /**
  * Core Tokenizer Class
  */
 class Tokenizer {
-    constructor(vocabFile = DEFAULT_VOCAB_FILE) {
+    constructor(vocabFile = DEFAULT_VOCAB_FILE, options = {}) {
         this.vocabFile = vocabFile;
+        this.options = options;
+        this.model = 'word';
+        this.byteFallback = options.byteFallback || false;
+        this.lossless = options.lossless || false;
+        // Lossless mode records case with markers, so it does not lowercase by default
+        this.normalizer = new Normalizer(options.normalizer || this._defaultNormalizer(this.lossless));
+        this.preTokenizer = new PreTokenizer(options.preTokenizer || DEFAULT_PRE_TOKENIZER);
+        this.specialTokens = this._resolveSpecialTokens(options.specialTokens);
+        this.template = options.template || this._defaultTemplate();
+        // Vocabularies are held in memory, keyed by resolved file path
+        this.cacheEnabled = options.cache !== false;
+        this.watch = options.watch || false;
+        this.watchInterval = options.watchInterval || DEFAULT_WATCH_INTERVAL;
+        this.saveDelay = options.saveDelay === undefined ? DEFAULT_SAVE_DELAY : options.saveDelay;
+        this.cache = new Map();
+        this.lockOptions = { timeout: options.lockTimeout, stale: options.lockStale };
         this.ensureDataDirectory();
     }
 
     /**
-     * Ensure data directory exists
-     * @private
+     * Ensure data directory exists
+     * @private
+     */
+    ensureDataDirectory() {
+        const dataDir = path.dirname(this.vocabFile);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Get the normalizer steps used when none are configured
+     * @param {boolean} lossless - Whether lossless mode is enabled
+     * @returns {string[]} Normalizer steps
+     * @private
+     */
+    _defaultNormalizer(lossless) {
+        return lossless ? [] : ['lowercase'];
+    }
+
+    /**
+     * Get the template used to wrap sequences when none is configured
+     * @returns {Object} Template with `single` and `pair` role lists
+     * @protected
+     */
+    _defaultTemplate() {
+        return DEFAULT_TEMPLATE;
+    }
+
+    /**
+     * Merge configured special tokens over the defaults. [UNK] is always
+     * registered; a role set to null is left out.
+     * @param {Object} overrides - Special tokens keyed by role, e.g. { bos: '<s>', mask: null }
+     * @returns {Object} Special tokens keyed by role
+     * @private
+     */
+    _resolveSpecialTokens(overrides = {}) {
+        const specialTokens = { ...DEFAULT_SPECIAL_TOKENS, ...overrides, unk: UNK_TOKEN };
+        for (const [role, token] of Object.entries(specialTokens)) {
+            if (token === null || token === undefined) {
+                delete specialTokens[role];
+            } else if (typeof token !== 'string' || token.length === 0) {
+                throw new Error(`Special token for "${role}" must be a non-empty string`);
+            }
+        }
+        return specialTokens;
+    }
+
+    /**
+     * Split raw text around special-token strings so they are never normalized
+     * or pre-tokenized. Longer tokens win when several match at one position.
+     * @param {string} text - Raw input text
+     * @param {Object} specialTokens - Special tokens keyed by role
+     * @returns {Object[]} Segments ({ text, start, end, special })
+     * @private
+     */
+    _splitOnSpecialTokens(text, specialTokens) {
+        const tokens = [...new Set(Object.values(specialTokens))].sort((a, b) => b.length - a.length);
+        if (tokens.length === 0) {
+            return [{ text, start: 0, end: text.length, special: false }];
+        }
+
+        const escaped = tokens.map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(escaped.join('|'), 'g');
+        const segments = [];
+        let position = 0;
+
+        for (const match of text.matchAll(pattern)) {
+            if (match.index > position) {
+                segments.push({ text: text.slice(position, match.index), start: position, end: match.index, special: false });
+            }
+            position = match.index + match[0].length;
+            segments.push({ text: match[0], start: match.index, end: position, special: true });
+        }
+        if (position < text.length) {
+            segments.push({ text: text.slice(position), start: position, end: text.length, special: false });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Normalize text with the configured pipeline
+     * @param {string} text - Input text
+     * @param {Object} vocabData - Loaded vocabulary data whose settings take precedence
+     * @returns {string} Normalized text
+     */
+    normalize(text, vocabData) {
+        return this._normalizerFor(vocabData).normalize(text);
+    }
+
+    /**
+     * Get the normalizer for vocabulary data, built once per stored configuration
+     * @param {Object} vocabData - Loaded vocabulary data, or nothing for the configured normalizer
+     * @returns {Normalizer} Normalizer
+     * @private
+     */
+    _normalizerFor(vocabData) {
+        if (!vocabData) {
+            return this.normalizer;
+        }
+        if (!normalizers.has(vocabData.normalizer)) {
+            normalizers.set(vocabData.normalizer, new Normalizer(vocabData.normalizer));
+        }
+        return normalizers.get(vocabData.normalizer);
+    }
+
+    /**
+     * Get the pre-tokenizer for vocabulary data, built once per stored configuration
+     * @param {Object} vocabData - Loaded vocabulary data, or nothing for the configured pre-tokenizer
+     * @returns {PreTokenizer} Pre-tokenizer
+     * @private
+     */
+    _preTokenizerFor(vocabData) {
+        if (!vocabData) {
+            return this.preTokenizer;
+        }
+        if (!preTokenizers.has(vocabData.preTokenizer)) {
+            preTokenizers.set(vocabData.preTokenizer, new PreTokenizer(vocabData.preTokenizer));
+        }
+        return preTokenizers.get(vocabData.preTokenizer);
+    }
+
+    /**
+     * Split text into normalized words and punctuation
+     * @param {string} text - Input text to split
+     * @param {Object} vocabData - Loaded vocabulary data whose settings take precedence
+     * @returns {string[]} Array of normalized words
+     */
+    preTokenize(text, vocabData) {
+        return this._preTokenizeWithOffsets(text, vocabData).words.map(word => word.token);
+    }
+
+    /**
+     * Normalize and split text, keeping track of where each word sits
+     * @param {string} text - Input text to split
+     * @param {Object} vocabData - Loaded vocabulary data whose settings take precedence
+     * @returns {Object} { words, normalized } where each word is { token, start, end, wordId }
+     *   with start/end in the normalized text
+     * @private
+     */
+    _preTokenizeWithOffsets(text, vocabData) {
+        if (!text || typeof text !== 'string') {
+            return { words: [], normalized: null };
+        }
+
+        const normalizer = this._normalizerFor(vocabData);
+        const preTokenizer = this._preTokenizerFor(vocabData);
+        const lossless = vocabData ? vocabData.lossless : this.lossless;
+        const specialTokens = vocabData ? vocabData.specialTokens : this.specialTokens;
+
+        // Segments are normalized separately and joined, keeping one alignment for the whole text
+        const normalized = { text: '', alignments: [], originalLength: text.length };
+        const words = [];
+        let wordCount = 0;
+
+        for (const segment of this._splitOnSpecialTokens(text, specialTokens)) {
+            const offset = normalized.text.length;
+
+            if (segment.special) {
+                words.push({ token: segment.text, start: offset, end: offset + segment.text.length, wordId: null });
+                normalized.text += segment.text;
+                for (let i = segment.start; i < segment.end; i++) {
+                    normalized.alignments.push([i, i + 1]);
+                }
+                continue;
+            }
+
+            const part = normalizer.normalizeWithAlignment(segment.text);
+            const pieces = preTokenizer.split(part.text);
+            const partWords = lossless || this._keepsWhitespace(vocabData)
+                ? this._preTokenizeLossless(part.text, pieces, lossless)
+                : pieces.map((piece, i) => ({ token: piece.text, start: piece.start, end: piece.end, wordId: i }));
+
+            for (const word of partWords) {
+                words.push({
+                    ...word,
+                    start: word.start + offset,
+                    end: word.end + offset,
+                    wordId: word.wordId === null ? null : word.wordId + wordCount
+                });
+            }
+            wordCount += pieces.length;
+
+            normalized.text += part.text;
+            for (const [start, end] of part.alignments) {
+                normalized.alignments.push([start + segment.start, end + segment.start]);
+            }
+        }
+
+        return { words, normalized };
+    }
+
+    /**
+     * Turn pre-tokenized pieces into tokens that restore the text exactly: a
+     * single space before a piece becomes a "Ġ" prefix, any other text between
+     * pieces is kept as its own token, and capitalized or upper-case words are
+     * lowercased behind a [CAP]/[UPPER] marker
+     * @param {string} text - Normalized text
+     * @param {Object[]} pieces - Pre-tokenized pieces with offsets
+     * @param {boolean} markCase - Add case markers (default: true)
+     * @returns {Object[]} Words and markers with offsets
+     * @private
+     */
+    _preTokenizeLossless(text, pieces, markCase = true) {
+        const words = [];
+        let position = 0;
+
+        pieces.forEach((piece, wordId) => {
+            const gap = text.slice(position, piece.start);
+            const leadingSpace = gap.endsWith(' ');
+            const rest = leadingSpace ? gap.slice(0, -1) : gap;
+            if (rest) {
+                words.push({ token: rest, start: position, end: position + rest.length, wordId: null });
+            }
+            position = piece.end;
+
+            // The space marker stands for the space before the piece
+            const prefix = leadingSpace ? SPACE_MARKER : '';
+            const start = piece.start - (leadingSpace ? 1 : 0);
+            const lower = piece.text.toLowerCase();
+            const word = { start, end: piece.end, wordId };
+            const marker = token => ({ token, start, end: start, wordId });
+
+            // [UPPER] is applied up to the next whitespace when decoding, so the
+            // text directly following the piece must not change when upper-cased
+            NON_SPACE_RUN.lastIndex = piece.end;
+            const following = NON_SPACE_RUN.exec(text)[0];
+
+            if (!markCase || !/\p{L}/u.test(piece.text) || piece.text === lower) {
+                words.push({ ...word, token: prefix + piece.text });
+            } else if (piece.text === this._capitalize(lower)) {
+                words.push(marker(CAP_TOKEN), { ...word, token: prefix + lower });
+            } else if (piece.text === lower.toUpperCase() && following === following.toUpperCase()) {
+                words.push(marker(UPPER_TOKEN), { ...word, token: prefix + lower });
+            } else {
+                // Mixed case such as "iPhone" is kept as-is
+                words.push({ ...word, token: prefix + piece.text });
+            }
+        });
+
+        const tail = text.slice(position);
+        if (tail) {
+            words.push({ token: tail, start: position, end: text.length, wordId: null });
+        }
+
+        return words;
+    }
+
+    /**
+     * Check whether pre-tokenization keeps all whitespace, as lossless mode
+     * does, without lossless mode's case markers. Byte-level models override this.
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {boolean} True to keep whitespace
+     * @protected
+     */
+    _keepsWhitespace(vocabData) {
+        return false;
+    }
+
+    /**
+     * Upper-case the first character of a string
+     * @param {string} text - Text to capitalize
+     * @returns {string} Capitalized text
+     * @private
+     */
+    _capitalize(text) {
+        const [first = ''] = text;
+        return first.toUpperCase() + text.slice(first.length);
+    }
+
+    /**
+     * Check whether a token must never be split by a subword model
+     * @param {string} token - Token to check
+     * @param {Object} vocabData - Loaded vocabulary data whose special tokens take precedence
+     * @returns {boolean} True for special tokens and case markers
+     * @protected
+     */
+    _isAtomicToken(token, vocabData) {
+        if (token === CAP_TOKEN || token === UPPER_TOKEN) {
+            return true;
+        }
+        const specialTokens = vocabData ? vocabData.specialTokens : this.specialTokens;
+        return Object.values(specialTokens).includes(token);
+    }
+
+    /**
+     * Tokenize text into model tokens.
+     * Uses the settings stored with the vocabulary when it exists.
+     * @param {string} text - Input text to tokenize
+     * @param {string} vocabFile - Vocabulary file path
+     * @param {Object} options - Model-specific tokenization options
+     * @returns {string[]} Array of normalized tokens
+     */
+    tokenize(text, vocabFile = this.vocabFile, options = {}) {
+        return this._tokenizeWithVocab(text, this._loadVocabData(vocabFile), options);
+    }
+
+    /**
+     * Tokenize text against already loaded vocabulary data
+     * @param {string} text - Input text to tokenize
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @param {Object} options - Encoding options
+     * @returns {string[]} Array of tokens
+     * @protected
+     */
+    _tokenizeWithVocab(text, vocabData, options = {}) {
+        return this.preTokenize(text, vocabData).flatMap(word => {
+            return this._isAtomicToken(word, vocabData) ? [word] : this._segment(word, vocabData, options);
+        });
+    }
+
+    /**
+     * Split one pre-tokenized word into model tokens.
+     * Subword models override this to segment words with their learned rules.
+     * @param {string} word - Word to segment
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @param {Object} options - Encoding options
+     * @returns {string[]} Tokens for the word
+     * @protected
+     */
+    _segment(word, vocabData, options = {}) {
+        return [word];
+    }
+
+    /**
+     * Get the part of a word a token stands for, without model markers
+     * @param {string} token - Token produced by _segment
+     * @param {string} remaining - Part of the word not yet covered by earlier tokens
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Covered text
+     * @protected
+     */
+    _tokenSurface(token, remaining, vocabData) {
+        return token === UNK_TOKEN ? remaining : token;
+    }
+
+    /**
+     * Read model-specific fields from stored vocabulary data
+     * @param {Object} data - Raw vocabulary file contents
+     * @returns {Object} Model fields to merge into the vocabulary data
+     * @protected
+     */
+    _deserializeModel(data) {
+        return {};
+    }
+
+    /**
+     * Collect model-specific fields to persist alongside the vocabulary
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {Object} Model fields to store
+     * @protected
+     */
+    _serializeModel(vocabData) {
+        return {};
+    }
+
+    /**
+     * Load vocabulary data, from memory when the file has been read before
+     * @param {string} filename - Vocabulary file path
+     * @returns {Object} Vocabulary data structure
+     * @private
+     */
+    _loadVocabData(filename = this.vocabFile) {
+        if (!this.cacheEnabled) {
+            return this._readVocabFile(filename);
+        }
+
+        const key = path.resolve(filename);
+        const entry = this.cache.get(key);
+        if (entry) {
+            return entry.vocabData;
+        }
+
+        const vocabData = this._readVocabFile(filename);
+        // A missing file is not cached, so a vocabulary built later is picked up
+        if (fs.existsSync(filename)) {
+            this._cacheVocabData(key, vocabData);
+        }
+        return vocabData;
+    }
+
+    /**
+     * Read vocabulary data from file
+     * @param {string} filename - Vocabulary file path
+     * @returns {Object} Vocabulary data structure
+     * @private
+     */
+    _readVocabFile(filename) {
+        try {
+            if (!fs.existsSync(filename)) {
+                return this._createEmptyVocab();
+            }
+            
+            const signature = fileSignature(filename);
+            const data = this._readStoredData(filename);
+            this._assertValid(data, filename, 'Run repairVocab() to fix it');
+            this._assertModel(data, filename);
+
+            const vocabData = this._toVocabData(data);
+            fileStates.set(vocabData, { key: path.resolve(filename), signature, model: this.model });
+            return vocabData;
+        } catch (error) {
+            throw new Error(`Failed to load vocabulary: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read stored vocabulary contents, migrated to the current layout
+     * @param {string} filename - Vocabulary file path
+     * @returns {Object} Vocabulary contents
+     * @private
+     */
+    _readStoredData(filename) {
+        return migrateVocab(parseVocab(fs.readFileSync(filename), filename)).data;
+    }
+
+    /**
+     * Throw if stored vocabulary contents have integrity errors
+     * @param {Object} data - Vocabulary contents in the current layout
+     * @param {string} source - Where the contents came from, for the error message
+     * @param {string} hint - How to fix the problems, appended to the error message
+     * @private
+     */
+    _assertValid(data, source, hint) {
+        const { errors } = validateVocab(data);
+        if (errors.length > 0) {
+            const message = `${source} is not a valid vocabulary: ${errors.map(error => error.message).join('; ')}`;
+            throw new Error(hint ? `${message}. ${hint}` : message);
+        }
+    }
+
+    /**
+     * Throw if stored vocabulary contents were built by another model. Its merge
+     * rules or scores would be lost the next time this tokenizer saved them.
+     * @param {Object} data - Vocabulary contents in the current layout
+     * @param {string} source - Where the contents came from, for the error message
+     * @private
+     */
+    _assertModel(data, source) {
+        if (data.model && data.model !== this.model) {
+            throw new Error(`${source} holds a ${data.model} vocabulary, not a ${this.model} one; open it with createTokenizer(vocabFile, { model: '${data.model}' })`);
+        }
+    }
+
+    /**
+     * Hold vocabulary data in memory, replacing any earlier copy of the file
+     * @param {string} key - Resolved vocabulary file path
+     * @param {Object} vocabData - Vocabulary data matching the file
+     * @private
+     */
+    _cacheVocabData(key, vocabData) {
+        let entry = this.cache.get(key);
+        if (!entry) {
+            entry = { vocabData, dirty: false, timer: null, listener: null };
+            this.cache.set(key, entry);
+        }
+
+        this._cancelSave(entry);
+        entry.vocabData = vocabData;
+        entry.dirty = false;
+
+        if (this.watch && !entry.listener) {
+            entry.listener = current => this._onVocabFileChange(key, current);
+            fs.watchFile(key, { persistent: false, interval: this.watchInterval }, entry.listener);
+        }
+    }
+
+    /**
+     * Drop the in-memory copy of a vocabulary when another writer changed its
+     * file. A copy with unsaved changes is kept; saving merges it with the file.
+     * @param {string} key - Resolved vocabulary file path
+     * @param {fs.Stats} current - Current file stats
+     * @private
+     */
+    _onVocabFileChange(key, current) {
+        const entry = this.cache.get(key);
+        if (!entry || entry.dirty) {
+            return;
+        }
+        const state = fileStates.get(entry.vocabData);
+        if (!state || state.signature !== statsSignature(current)) {
+            this._forget(key);
+        }
+    }
+
+    /**
+     * Remove a vocabulary from memory, dropping its unsaved changes, and stop watching its file
+     * @param {string} key - Resolved vocabulary file path
+     * @private
+     */
+    _forget(key) {
+        const entry = this.cache.get(key);
+        if (!entry) {
+            return;
+        }
+        this._cancelSave(entry);
+        if (entry.listener) {
+            fs.unwatchFile(key, entry.listener);
+        }
+        this.cache.delete(key);
+    }
+
+    /**
+     * Write vocabulary data now, or after the save delay so that tokens added
+     * by several encode calls are written together. Delayed tokens get their
+     * final IDs at once: they are claimed in the pending file under the lock.
+     * @param {Object} vocabData - Vocabulary data to save
+     * @param {string} filename - Target file path
+     * @param {number} firstNewId - First ID encode gave a new token; those from here on are claimed
+     * @private
+     */
+    _scheduleSave(vocabData, filename = this.vocabFile, firstNewId = vocabData.nextTokenId) {
+        const key = path.resolve(filename);
+        const entry = this.cache.get(key);
+        if (!this.cacheEnabled || this.saveDelay <= 0 || !entry || entry.vocabData !== vocabData) {
+            this._saveVocabData(vocabData, filename, { merge: true });
+            return;
+        }
+
+        this._claimTokens(vocabData, key, firstNewId);
+        entry.dirty = true;
+        pendingSaves.add(this);
+        if (!exitHandlerInstalled) {
+            exitHandlerInstalled = true;
+            process.on('exit', () => pendingSaves.forEach(tokenizer => tokenizer.save()));
+        }
+        this._armSave(key, entry);
+    }
+
+    /**
+     * Start the save delay of a vocabulary with unsaved changes, unless it is running
+     * @param {string} key - Resolved vocabulary file path
+     * @param {Object} entry - Cache entry
+     * @private
+     */
+    _armSave(key, entry) {
+        if (!entry.timer) {
+            entry.timer = setTimeout(() => this._saveInBackground(key, entry), this.saveDelay);
+            entry.timer.unref();
+        }
+    }
+
+    /**
+     * Write a vocabulary's unsaved changes when its save delay ends. The lock is
+     * waited for without blocking the event loop; if it cannot be had, the
+     * changes stay in memory and the write is tried again after another delay.
+     * save(), close() and process exit write them in any case.
+     * @param {string} key - Resolved vocabulary file path
+     * @param {Object} entry - Cache entry whose delay ended
+     * @private
+     */
+    async _saveInBackground(key, entry) {
+        entry.timer = null;
+        // Saved, reloaded or closed while waiting
+        const current = () => this.cache.get(key) === entry && entry.dirty;
+        try {
+            await withLockAsync(key, () => {
+                if (current()) {
+                    this._writeVocabData(entry.vocabData, key, { merge: true });
+                    this._cacheVocabData(key, entry.vocabData);
+                }
+            }, this.lockOptions);
+        } catch (error) {
+            if (current()) {
+                this._armSave(key, entry);
+            }
+        }
+        if ([...this.cache.values()].every(cached => !cached.dirty)) {
+            pendingSaves.delete(this);
+        }
+    }
+
+    /**
+     * Give tokens encode added in memory IDs no other process can hand out.
+     * Under the lock, the data is brought up to date with the file and the
+     * pending file, tokens another process claimed meanwhile take its IDs, and
+     * the rest get the next free IDs and are appended to the pending file. The
+     * vocabulary file itself is only rewritten when the changes are saved.
+     * @param {Object} vocabData - Cached vocabulary data
+     * @param {string} key - Resolved vocabulary file path
+     * @param {number} firstNewId - First ID given to a new token in memory
+     * @private
+     */
+    _claimTokens(vocabData, key, firstNewId) {
+        try {
+            withLock(key, () => {
+                // Take back the IDs given in memory; they may already be someone else's
+                const tokens = [];
+                for (let id = firstNewId; id < vocabData.nextTokenId; id++) {
+                    tokens.push(vocabData.reverseVocab[id]);
+                    delete vocabData.vocab[vocabData.reverseVocab[id]];
+                    delete vocabData.reverseVocab[id];
+                }
+                vocabData.nextTokenId = firstNewId;
+
+                const pending = this._readPendingTokens(key);
+                const state = fileStates.get(vocabData);
+                const current = fileSignature(key);
+                if (current !== null && !(state && state.key === key && state.signature === current)) {
+                    this._rebaseVocabData(vocabData, this._applyPendingTokens(this._readVocabFile(key), pending));
+                    fileStates.set(vocabData, { key, signature: current, model: this.model });
+                } else {
+                    // Everything else in memory is in the file or already claimed
+                    this._applyPendingTokens(vocabData, pending);
+                }
+
+                const claimed = tokens
+                    .filter(token => !(token in vocabData.vocab))
+                    .map(token => JSON.stringify([token, this._addTokenToVocabData(vocabData, token)]) + '\n');
+                if (claimed.length > 0) {
+                    fs.appendFileSync(key + PENDING_SUFFIX, claimed.join(''), 'utf8');
+                }
+            }, this.lockOptions);
+        } catch (error) {
+            throw new Error(`Failed to claim token IDs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the tokens claimed in a vocabulary's pending file
+     * @param {string} key - Resolved vocabulary file path
+     * @returns {Array[]} [token, id] pairs in the order they were claimed
+     * @private
+     */
+    _readPendingTokens(key) {
+        let contents;
+        try {
+            contents = fs.readFileSync(key + PENDING_SUFFIX, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const claims = [];
+        for (const line of contents.split('\n')) {
+            try {
+                const claim = JSON.parse(line);
+                if (Array.isArray(claim) && typeof claim[0] === 'string' && Number.isInteger(claim[1])) {
+                    claims.push(claim);
+                }
+            } catch (error) {
+                // Empty, or cut short by a crash while it was appended
+            }
+        }
+        return claims;
+    }
+
+    /**
+     * Add claimed tokens to vocabulary data at their claimed IDs
+     * @param {Object} vocabData - Vocabulary data, modified in place
+     * @param {Array[]} claims - [token, id] pairs from the pending file
+     * @returns {Object} The same vocabulary data
+     * @private
+     */
+    _applyPendingTokens(vocabData, claims) {
+        for (const [token, id] of claims) {
+            if (!(token in vocabData.vocab) && !(id in vocabData.reverseVocab)) {
+                vocabData.vocab[token] = id;
+                vocabData.reverseVocab[id] = token;
+                vocabData.nextTokenId = Math.max(vocabData.nextTokenId, id + 1);
+            }
+        }
+        return vocabData;
+    }
+
+    /**
+     * Stop a pending delayed write
+     * @param {Object} entry - Cache entry
+     * @private
+     */
+    _cancelSave(entry) {
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+        }
+    }
+
+    /**
+     * Read a vocabulary file into memory, discarding any unsaved changes to it
+     * @param {string} vocabFile - Vocabulary file path
+     * @returns {number} Number of tokens loaded
+     */
+    load(vocabFile = this.vocabFile) {
+        this._forget(path.resolve(vocabFile));
+        return Object.keys(this._loadVocabData(vocabFile).vocab).length;
+    }
+
+    /**
+     * Write vocabulary changes that are still held in memory. Tokens another
+     * process saved in the meantime are kept, and new tokens whose IDs they took
+     * move to the next free IDs.
+     * @param {string} vocabFile - Vocabulary file path (default: every vocabulary with unsaved changes)
+     */
+    save(vocabFile) {
+        const keys = vocabFile ? [path.resolve(vocabFile)] : [...this.cache.keys()];
+        for (const key of keys) {
+            const entry = this.cache.get(key);
+            if (entry && entry.dirty) {
+                this._saveVocabData(entry.vocabData, key, { merge: true });
+            }
+        }
+        if ([...this.cache.values()].every(entry => !entry.dirty)) {
+            pendingSaves.delete(this);
+        }
+    }
+
+    /**
+     * Write unsaved changes, stop watching files and empty the in-memory cache
+     */
+    close() {
+        this.save();
+        for (const key of [...this.cache.keys()]) {
+            this._forget(key);
+        }
+        pendingSaves.delete(this);
+    }
+
+    /**
+     * Build the in-memory vocabulary structure from stored data
+     * @param {Object} data - Raw vocabulary contents
+     * @returns {Object} Vocabulary data structure
+     * @private
+     */
+    _toVocabData(data) {
+        return {
+            vocab: data.vocab || {},
+            reverseVocab: data.reverseVocab || {},
+            nextTokenId: data.nextTokenId || 0,
+            byteFallback: data.byteFallback || false,
+            lossless: data.lossless || false,
+            normalizer: data.normalizer || this._defaultNormalizer(data.lossless),
+            preTokenizer: data.preTokenizer || DEFAULT_PRE_TOKENIZER,
+            // Vocabularies from before the registry only reserved [UNK]
+            specialTokens: data.specialTokens || { unk: UNK_TOKEN },
+            template: data.template || this._defaultTemplate(),
+            frequencies: data.frequencies || {},
+            ...this._deserializeModel(data)
+        };
+    }
+
+    /**
+     * Build the storable representation of vocabulary data
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {Object} Serializable vocabulary contents
+     * @private
+     */
+    _fromVocabData(vocabData) {
+        return {
+            vocab: vocabData.vocab,
+            reverseVocab: vocabData.reverseVocab,
+            nextTokenId: vocabData.nextTokenId,
+            model: this.model,
+            byteFallback: vocabData.byteFallback,
+            lossless: vocabData.lossless,
+            normalizer: vocabData.normalizer,
+            preTokenizer: vocabData.preTokenizer,
+            specialTokens: vocabData.specialTokens,
+            template: vocabData.template,
+            frequencies: vocabData.frequencies,
+            ...this._serializeModel(vocabData)
+        };
+    }
+
+    /**
+     * Create empty vocabulary structure
+     * @returns {Object} Empty vocabulary data
+     * @private
+     */
+    _createEmptyVocab() {
+        return this._toVocabData({
+            lossless: this.lossless,
+            normalizer: this.normalizer.toJSON(),
+            preTokenizer: this.preTokenizer.toJSON(),
+            specialTokens: this.specialTokens,
+            template: this.template
+        });
+    }
+
+    /**
+     * Save vocabulary data to file. The file is replaced atomically while
+     * holding its lock file, so concurrent writers never interleave. Every save
+     * empties the pending file: a merging save writes the claimed tokens into
+     * the file, any other save replaces the vocabulary they were claimed in.
+     * @param {Object} vocabData - Vocabulary data to save
+     * @param {string} filename - Target file path
+     * @param {Object} options - Save options
+     * @param {boolean} options.merge - If another process changed the file since it was
+     *   read or claimed tokens, keep its tokens and add ours after them instead of
+     *   overwriting it (default: false)
+     * @private
+     */
+    _saveVocabData(vocabData, filename = this.vocabFile, options = {}) {
+        const key = path.resolve(filename);
+
+        try {
+            withLock(key, () => this._writeVocabData(vocabData, key, options), this.lockOptions);
+        } catch (error) {
+            throw new Error(`Failed to save vocabulary: ${error.message}`);
+        }
+
+        if (this.cacheEnabled) {
+            this._cacheVocabData(key, vocabData);
+        }
+    }
+
+    /**
+     * Write vocabulary data to its file and empty the pending file. The caller
+     * must hold the file's lock.
+     * @param {Object} vocabData - Vocabulary data to save
+     * @param {string} key - Resolved vocabulary file path
+     * @param {Object} options - Save options (see _saveVocabData)
+     * @private
+     */
+    _writeVocabData(vocabData, key, options = {}) {
+        const state = fileStates.get(vocabData);
+        if (state && state.model !== this.model) {
+            throw new Error(`the data was read by a ${state.model} tokenizer and cannot be saved as a ${this.model} vocabulary`);
+        }
+        const current = fileSignature(key);
+        const pending = options.merge ? this._readPendingTokens(key) : [];
+        const changed = current !== null && !(state && state.key === key && state.signature === current);
+        if (options.merge && (changed || pending.length > 0)) {
+            this._rebaseVocabData(vocabData, this._applyPendingTokens(this._readVocabFile(key), pending));
+        }
+
+        const dataToSave = {
+            ...this._fromVocabData(vocabData),
+            savedAt: new Date().toISOString(),
+            version: VOCAB_VERSION
+        };
+        
+        writeFileAtomic(key, serializeVocab(dataToSave, key));
+        fileStates.set(vocabData, { key, signature: fileSignature(key), model: this.model });
+        try {
+            fs.unlinkSync(key + PENDING_SUFFIX);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Replace vocabulary data in place with stored data plus the tokens only it
+     * has. Stored tokens keep their IDs; the others are appended in ID order.
+     * Frequencies of tokens both know are taken from the stored data.
+     * @param {Object} vocabData - Vocabulary data with unsaved changes
+     * @param {Object} stored - Vocabulary data currently in the file
+     * @private
+     */
+    _rebaseVocabData(vocabData, stored) {
+        this._mergeVocabData(stored, vocabData);
+
+        for (const field of Object.keys(vocabData)) {
+            delete vocabData[field];
+        }
+        Object.assign(vocabData, stored);
+    }
+
+    /**
+     * Append the tokens of other vocabulary data that base does not have yet,
+     * after base's highest ID. Base tokens keep their IDs and base settings win.
+     * @param {Object} base - Vocabulary data merged into, modified in place
+     * @param {Object} other - Vocabulary data the new tokens come from
+     * @param {Object} options - Merge options
+     * @param {string} options.strategy - 'append' adds new tokens in the other vocabulary's
+     *   ID order; 'frequency' adds the most frequent first (default: 'append')
+     * @param {number} options.maxVocabSize - Stop adding tokens at this size
+     * @param {boolean} options.sumFrequencies - Add the other frequencies of shared tokens
+     *   to base's instead of keeping base's (default: false)
+     * @returns {Object} { remap, added, dropped } where remap maps every ID of other to its
+     *   ID in base (tokens left out map to the [UNK] ID)
+     * @private
+     */
+    _mergeVocabData(base, other, options = {}) {
+        const { strategy = 'append', maxVocabSize = Infinity, sumFrequencies = false } = options;
+        if (!MERGE_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown merge strategy: ${strategy}. Available strategies: ${MERGE_STRATEGIES.join(', ')}`);
+        }
+
+        const otherIds = Object.keys(other.reverseVocab).map(Number).sort((a, b) => a - b);
+        const frequency = token => other.frequencies[token] || 0;
+        const specials = new Set(Object.values(other.specialTokens));
+        const candidates = otherIds.map(id => other.reverseVocab[id]).filter(token => !(token in base.vocab));
+        if (strategy === 'frequency') {
+            // Stable sort keeps ID order among equally frequent tokens; special tokens go first
+            candidates.sort((a, b) => specials.has(b) - specials.has(a) || frequency(b) - frequency(a));
+        }
+
+        let size = Object.keys(base.vocab).length;
+        let added = 0;
+        for (const token of candidates) {
+            if (size >= maxVocabSize) {
+                break;
+            }
+            this._addTokenToVocabData(base, token);
+            if (token in other.frequencies) {
+                base.frequencies[token] = other.frequencies[token];
+            }
+            size++;
+            added++;
+        }
+        if (sumFrequencies) {
+            const appended = new Set(candidates);
+            for (const id of otherIds) {
+                const token = other.reverseVocab[id];
+                if (token in other.frequencies && !appended.has(token)) {
+                    base.frequencies[token] = (base.frequencies[token] || 0) + other.frequencies[token];
+                }
+            }
+        }
+
+        for (const [role, token] of Object.entries(other.specialTokens)) {
+            if (!(role in base.specialTokens) && token in base.vocab) {
+                base.specialTokens[role] = token;
+            }
+        }
+        this._mergeModel(base, other);
+        const dropped = candidates.length - added;
+        if (dropped > 0) {
+            this._pruneModel(base, new Set(Object.keys(base.vocab)));
+        }
+
+        const unknownId = base.vocab[UNK_TOKEN];
+        const remap = {};
+        for (const id of otherIds) {
+            const token = other.reverseVocab[id];
+            remap[id] = token in base.vocab ? base.vocab[token] : unknownId;
+        }
+
+        return { remap, added, dropped };
+    }
+
+    /**
+     * Add model data from other vocabulary data for tokens that were merged in
+     * @param {Object} vocabData - Vocabulary data being merged into
+     * @param {Object} other - Vocabulary data the tokens came from
+     * @protected
+     */
+    _mergeModel(vocabData, other) {}
+
+    /**
+     * Add token to vocabulary data structure
+     * @param {Object} vocabData - Vocabulary data
+     * @param {string} token - Token to add
+     * @returns {number} Token ID
+     * @private
+     */
+    _addTokenToVocabData(vocabData, token) {
+        if (!(token in vocabData.vocab)) {
+            const id = vocabData.nextTokenId++;
+            vocabData.vocab[token] = id;
+            vocabData.reverseVocab[id] = token;
+            return id;
+        }
+        return vocabData.vocab[token];
+    }
+
+    /**
+     * Get the byte token used to represent a single byte value
+     * @param {number} byte - Byte value (0-255)
+     * @returns {string} Byte token, e.g. "<0x41>"
+     * @private
+     */
+    _byteToken(byte) {
+        return `<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`;
+    }
+
+    /**
+     * Initialize vocabulary with special tokens.
+     * Registered special tokens get the first IDs, starting with [UNK] at 0.
+     * Lossless mode reserves the case markers and a literal "Ġ"; byte fallback
+     * reserves all 256 byte tokens.
+     * @param {string} filename - Vocabulary file path
+     * @returns {Object} Initialized vocabulary data
+     */
+    initializeVocab(filename = this.vocabFile) {
+        const vocabData = this._initialVocabData();
+        this._saveVocabData(vocabData, filename);
+        return vocabData;
+    }
+
+    /**
+     * Build the vocabulary data initializeVocab writes, without writing it.
+     * Training starts from this and saves once it succeeds, so a failed run
+     * leaves the existing file untouched.
+     * @returns {Object} Vocabulary data holding only the reserved tokens
+     * @private
+     */
+    _initialVocabData() {
+        const vocabData = this._createEmptyVocab();
+        Object.values(vocabData.specialTokens).forEach(token => this._addTokenToVocabData(vocabData, token));
+        if (this.lossless) {
+            [CAP_TOKEN, UPPER_TOKEN, SPACE_MARKER].forEach(token => this._addTokenToVocabData(vocabData, token));
+        }
+        if (this.byteFallback) {
+            vocabData.byteFallback = true;
+            for (let byte = 0; byte < 256; byte++) {
+                this._addTokenToVocabData(vocabData, this._byteToken(byte));
+            }
+        }
+        return vocabData;
+    }
+
+    /**
+     * Resolve the optional arguments of vocabulary-building methods, which
+     * accept either (texts, filename, options) or (texts, options)
+     * @param {string|Object} filename - Vocabulary file path, or the options
+     * @param {Object} options - Options
+     * @returns {Array} [filename, options]
+     * @protected
+     */
+    _vocabArgs(filename, options) {
+        if (filename !== null && typeof filename === 'object') {
+            return [this.vocabFile, filename];
+        }
+        return [filename || this.vocabFile, options || {}];
+    }
+
+    /**
+     * Count pre-tokenized words. Models train from these counts, so texts can
+     * be counted one at a time and never need to be held in memory together.
+     * @param {Iterable<string>} texts - Training texts
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @param {Map<string, number>} counts - Counts to add to (default: a new map)
+     * @returns {Map<string, number>} Word counts in first-seen order
+     * @protected
+     */
+    _countWords(texts, vocabData, counts = new Map()) {
+        for (const text of texts) {
+            for (const word of this.preTokenize(text, vocabData)) {
+                counts.set(word, (counts.get(word) || 0) + 1);
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Count how often each token occurs when the counted words are tokenized
+     * @param {Map<string, number>} wordCounts - Word counts
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {Map<string, number>} Token counts in first-seen order
+     * @protected
+     */
+    _countTokens(wordCounts, vocabData) {
+        const counts = new Map();
+        for (const [word, count] of wordCounts) {
+            const tokens = this._isAtomicToken(word, vocabData) ? [word] : this._segment(word, vocabData);
+            for (const token of tokens) {
+                counts.set(token, (counts.get(token) || 0) + count);
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Store the counts of vocabulary tokens as their frequencies
+     * @param {Object} vocabData - Vocabulary data
+     * @param {Map<string, number>} counts - Token counts
+     * @param {boolean} accumulate - Add to the stored counts instead of replacing them
+     * @protected
+     */
+    _recordFrequencies(vocabData, counts, accumulate = false) {
+        if (!accumulate) {
+            vocabData.frequencies = {};
+        }
+        for (const [token, count] of counts) {
+            if (token in vocabData.vocab) {
+                vocabData.frequencies[token] = (vocabData.frequencies[token] || 0) + count;
+            }
+        }
+    }
+
+    /**
+     * Learn tokens from word counts into vocabulary data. Tokens already in
+     * the vocabulary keep their IDs, so this both builds and extends.
+     * Word-level tokens are added in order of decreasing frequency, first seen winning ties.
+     * @param {Object} vocabData - Vocabulary data to add to
+     * @param {Map<string, number>} wordCounts - Pre-tokenized word counts
+     * @param {Object} options - Build options (see buildVocab)
+     * @protected
+     */
+    _train(vocabData, wordCounts, options = {}) {
+        const { minFrequency = 1, maxVocabSize = Infinity } = options;
+        const ranked = [...wordCounts]
+            .filter(([token, count]) => count >= minFrequency && !(token in vocabData.vocab))
+            .sort((a, b) => b[1] - a[1]);
+        const room = Math.max(maxVocabSize - vocabData.nextTokenId, 0);
+        ranked.slice(0, room).forEach(([token]) => this._addTokenToVocabData(vocabData, token));
+    }
+
+    /**
+     * Build vocabulary from training texts, replacing any existing vocabulary.
+     * Token counts in the training texts are stored as frequencies.
+     * @param {string[]} texts - Array of training texts
+     * @param {string} filename - Vocabulary file path
+     * @param {Object} options - Build options
+     * @param {number} options.minFrequency - Drop tokens seen fewer times (default: 1; subword
+     *   models default to their constructor setting)
+     * @param {number} options.maxVocabSize - Maximum vocabulary size including special tokens
+     *   (default: unlimited; subword models default to their vocabSize)
+     * @returns {Object} Vocabulary mapping (token → ID)
+     */
+    buildVocab(texts, filename = this.vocabFile, options = {}) {
+        [filename, options] = this._vocabArgs(filename, options);
+
+        if (!Array.isArray(texts)) {
+            throw new Error('Training texts must be an array of strings');
+        }
+
+        const vocabData = this._initialVocabData();
+        this._learn(vocabData, this._countWords(texts, vocabData), options, false);
+
+        this._saveVocabData(vocabData, filename);
+        return { ...vocabData.vocab };
+    }
+
+    /**
+     * Extend the existing vocabulary with tokens from more training texts.
+     * Existing IDs never change and frequencies are added to the stored counts.
+     * Starts a new vocabulary if none exists yet.
+     * @param {string[]} texts - Array of training texts
+     * @param {string} filename - Vocabulary file path
+     * @param {Object} options - Build options (see buildVocab)
+     * @returns {Object} { added, size } where added maps each new token to its ID
+     */
+    updateVocab(texts, filename = this.vocabFile, options = {}) {
+        [filename, options] = this._vocabArgs(filename, options);
+
+        if (!Array.isArray(texts)) {
+            throw new Error('Training texts must be an array of strings');
+        }
+
+        const vocabData = this._loadTrainingVocab(filename, true);
+        const firstNewId = vocabData.nextTokenId;
+
+        this._learn(vocabData, this._countWords(texts, vocabData), options, true);
+        this._saveVocabData(vocabData, filename, { merge: true });
+
+        return this._trainingResult(vocabData, firstNewId);
+    }
+
+    /**
+     * Train from a stream of line-delimited text or JSONL, or from an (async)
+     * iterable of texts or records, without holding the corpus in memory
+     * @param {Readable|AsyncIterable|Iterable} source - Corpus source
+     * @param {Object} options - Training options; build options (see buildVocab) are passed on
+     * @param {string} options.vocabFile - Vocabulary file path
+     * @param {string} options.mode - 'replace' or 'extend' (default: 'replace')
+     * @param {string} options.format - 'text' or 'jsonl' (default: 'text')
+     * @param {string} options.textField - Field holding the text in JSONL records (default: 'text')
+     * @param {boolean} options.gzip - Decompress a gzip-compressed stream (default: false)
+     * @param {Function} options.onProgress - Called with { bytes, totalBytes, lines, file }
+     * @param {number} options.progressInterval - Lines between progress reports (default: 10000)
+     * @returns {Promise<Object>} { added, size, lines, bytes }
+     */
+    async trainFromStream(source, options = {}) {
+        const progress = new Progress(options.onProgress, options.progressInterval);
+        const result = await this._trainFromTexts(readStream(source, options, progress), options, progress);
+        progress.report();
+        return result;
+    }
+
+    /**
+     * Train from corpus files read one line at a time. Files ending in .gz are
+     * decompressed and .jsonl/.ndjson files are read as JSONL.
+     * @param {string|string[]} paths - Corpus file paths
+     * @param {Object} options - Training options (see trainFromStream); `format` overrides detection
+     * @returns {Promise<Object>} { added, size, lines, bytes }
+     */
+    async trainFromFiles(paths, options = {}) {
+        const progress = new Progress(options.onProgress, options.progressInterval);
+        return this._trainFromTexts(readFiles(paths, options, progress), options, progress);
+    }
+
+    /**
+     * Count words from streamed texts, then train on the counts
+     * @param {AsyncIterable<string>} texts - Training texts
+     * @param {Object} options - Training options
+     * @param {Progress} progress - Progress tracker
+     * @returns {Promise<Object>} { added, size, lines, bytes }
+     * @private
+     */
+    async _trainFromTexts(texts, options, progress) {
+        const { vocabFile = this.vocabFile, mode = 'replace' } = options;
+
+        if (mode !== 'replace' && mode !== 'extend') {
+            throw new Error(`Unknown training mode: ${mode}. Use 'replace' or 'extend'`);
+        }
+
+        const vocabData = this._loadTrainingVocab(vocabFile, mode === 'extend');
+        const firstNewId = vocabData.nextTokenId;
+        const counts = new Map();
+
+        for await (const text of texts) {
+            this._countWords([text], vocabData, counts);
+        }
+
+        this._learn(vocabData, counts, options, mode === 'extend');
+        this._saveVocabData(vocabData, vocabFile, { merge: mode === 'extend' });
+
+        return { ...this._trainingResult(vocabData, firstNewId), lines: progress.lines, bytes: progress.bytes };
+    }
+
+    /**
+     * Get the vocabulary data training starts from. Nothing is written; the
+     * caller saves once training succeeds.
+     * @param {string} filename - Vocabulary file path
+     * @param {boolean} extend - Keep the existing vocabulary if there is one
+     * @returns {Object} Vocabulary data
+     * @private
+     */
+    _loadTrainingVocab(filename, extend) {
+        if (extend) {
+            const existing = this._loadVocabData(filename);
+            if (existing.nextTokenId > 0) {
+                return existing;
+            }
+        }
+        return this._initialVocabData();
+    }
+
+    /**
+     * Train on word counts and record the resulting token frequencies
+     * @param {Object} vocabData - Vocabulary data
+     * @param {Map<string, number>} wordCounts - Pre-tokenized word counts
+     * @param {Object} options - Build options
+     * @param {boolean} accumulate - Add to the stored frequencies instead of replacing them
+     * @private
+     */
+    _learn(vocabData, wordCounts, options, accumulate) {
+        this._train(vocabData, wordCounts, options);
+        this._recordFrequencies(vocabData, this._countTokens(wordCounts, vocabData), accumulate);
+    }
+
+    /**
+     * Describe the tokens a training run added
+     * @param {Object} vocabData - Vocabulary data after training
+     * @param {number} firstNewId - First ID assigned during the run
+     * @returns {Object} { added, size } where added maps each new token to its ID
+     * @private
+     */
+    _trainingResult(vocabData, firstNewId) {
+        const added = {};
+        for (let id = firstNewId; id < vocabData.nextTokenId; id++) {
+            added[vocabData.reverseVocab[id]] = id;
+        }
+        return { added, size: Object.keys(vocabData.vocab).length };
+    }
+
+    /**
+     * Get the tokens that are reserved at initialization and never pruned
+     * @param {Object} vocabData - Vocabulary data
+     * @returns {Set<string>} Reserved tokens
+     * @private
+     */
+    _reservedTokens(vocabData) {
+        const reserved = new Set(Object.values(vocabData.specialTokens));
+        if (vocabData.lossless) {
+            [CAP_TOKEN, UPPER_TOKEN, SPACE_MARKER].forEach(token => reserved.add(token));
+        }
+        if (vocabData.byteFallback) {
+            for (let byte = 0; byte < 256; byte++) {
+                reserved.add(this._byteToken(byte));
+            }
+        }
+        return reserved;
+    }
+
+    /**
+     * Drop model data that refers to pruned tokens. Models may add tokens that
+     * kept tokens depend on to `kept`.
+     * @param {Object} vocabData - Vocabulary data
+     * @param {Set<string>} kept - Tokens that remain in the vocabulary
+     * @protected
+     */
+    _pruneModel(vocabData, kept) {}
+
+    /**
+     * Remove rare tokens and re-pack IDs. Reserved tokens, and tokens that kept
+     * subwords are built from, are always kept; remaining tokens keep their relative order.
+     * @param {Object} options - Pruning options
+     * @param {number} options.minFrequency - Drop tokens seen fewer times in training (default: 1)
+     * @param {number} options.maxVocabSize - Keep at most this many tokens, preferring frequent ones
+     * @param {string} filename - Vocabulary file path
+     * @returns {Object} { remap, removed, size } where remap maps every old ID to its new ID
+     *   (removed tokens map to the [UNK] ID)
+     */
+    pruneVocab(options = {}, filename = this.vocabFile) {
+        const { minFrequency = 1, maxVocabSize = Infinity } = options;
+        const vocabData = this._loadVocabData(filename);
+
+        if (Object.keys(vocabData.frequencies).length === 0) {
+            throw new Error('No token frequencies recorded. Rebuild the vocabulary with buildVocab() first');
+        }
+
+        const reserved = this._reservedTokens(vocabData);
+        const frequency = token => vocabData.frequencies[token] || 0;
+        const candidates = Object.keys(vocabData.vocab)
+            .filter(token => !reserved.has(token) && frequency(token) >= minFrequency)
+            .sort((a, b) => frequency(b) - frequency(a) || vocabData.vocab[a] - vocabData.vocab[b]);
+        const room = Math.max(maxVocabSize - [...reserved].filter(token => token in vocabData.vocab).length, 0);
+        const kept = new Set([...reserved, ...candidates.slice(0, room)]);
+        this._pruneModel(vocabData, kept);
+
+        const oldIds = Object.keys(vocabData.reverseVocab).map(Number).sort((a, b) => a - b);
+        const pruned = { ...vocabData, vocab: {}, reverseVocab: {}, nextTokenId: 0, frequencies: {} };
+        const removed = [];
+
+        for (const id of oldIds) {
+            const token = vocabData.reverseVocab[id];
+            if (kept.has(token)) {
+                this._addTokenToVocabData(pruned, token);
+                if (token in vocabData.frequencies) {
+                    pruned.frequencies[token] = vocabData.frequencies[token];
+                }
+            } else {
+                removed.push(token);
+            }
+        }
+
+        const unknownId = pruned.vocab[UNK_TOKEN];
+        const remap = {};
+        for (const id of oldIds) {
+            const token = vocabData.reverseVocab[id];
+            remap[id] = token in pruned.vocab ? pruned.vocab[token] : unknownId;
+        }
+
+        this._saveVocabData(pruned, filename);
+
+        return { remap, removed, size: pruned.nextTokenId };
+    }
+
+    /**
+     * Compare two vocabulary files
+     * @param {string} a - Vocabulary file to compare from
+     * @param {string} b - Vocabulary file to compare to
+     * @returns {Object} { added, removed, changed, unchanged, settings } where added lists
+     *   tokens only in b ({ token, id }), removed tokens only in a, changed tokens whose
+     *   ID differs ({ token, from, to }), unchanged counts the rest and settings names the
+     *   pipeline settings that differ
+     */
+    diffVocab(a, b) {
+        const before = this._loadVocabData(a);
+        const after = this._loadVocabData(b);
+        const byId = vocabData => Object.keys(vocabData.reverseVocab).map(Number).sort((x, y) => x - y)
+            .map(id => ({ token: vocabData.reverseVocab[id], id }));
+
+        const added = byId(after).filter(({ token }) => !(token in before.vocab));
+        const removed = byId(before).filter(({ token }) => !(token in after.vocab));
+        const changed = [];
+        let unchanged = 0;
+        for (const { token, id } of byId(before)) {
+            if (!(token in after.vocab)) {
+                continue;
+            }
+            if (after.vocab[token] === id) {
+                unchanged++;
+            } else {
+                changed.push({ token, from: id, to: after.vocab[token] });
+            }
+        }
+
+        const settings = PIPELINE_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+        return { added, removed, changed, unchanged, settings };
+    }
+
+    /**
+     * Add the tokens of another vocabulary file after the base vocabulary's
+     * highest ID. Base tokens keep their IDs and base settings are kept, so
+     * data encoded with the base stays valid; the returned remap translates
+     * data encoded with the other vocabulary.
+     * @param {string} base - Vocabulary file to merge into
+     * @param {string} other - Vocabulary file to take new tokens from
+     * @param {Object} options - Merge options
+     * @param {string} options.strategy - 'append' adds new tokens in the other file's ID
+     *   order; 'frequency' adds the most frequent first, which matters with maxVocabSize
+     *   (default: 'append')
+     * @param {number} options.maxVocabSize - Stop adding tokens at this size
+     * @param {string} options.output - File to write the merged vocabulary to (default: base)
+     * @returns {Object} { remap, added, dropped, size, warnings } where remap maps every ID of
+     *   the other file to its merged ID (tokens left out map to the [UNK] ID) and warnings
+     *   name settings the two files disagree on
      */
-    ensureDataDirectory() {
-        const dataDir = path.dirname(this.vocabFile);
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
+    mergeVocab(base, other, options = {}) {
+        const { output = base } = options;
+        for (const file of [base, other]) {
+            if (!fs.existsSync(file)) {
+                throw new Error(`Vocabulary file not found: ${file}`);
+            }
+            const { model } = this._readStoredData(file);
+            if (model !== this.model) {
+                throw new Error(`${file} holds a ${model} vocabulary; merge it with a ${model} tokenizer`);
+            }
         }
+
+        const baseData = this._loadVocabData(base);
+        const otherData = this._loadVocabData(other);
+        const warnings = this.diffVocab(base, other).settings
+            .map(field => `The files have different ${field} settings; the merged vocabulary keeps the base's`);
+
+        const merged = {
+            ...baseData,
+            vocab: { ...baseData.vocab },
+            reverseVocab: { ...baseData.reverseVocab },
+            frequencies: { ...baseData.frequencies },
+            specialTokens: { ...baseData.specialTokens }
+        };
+        const { remap, added, dropped } = this._mergeVocabData(merged, otherData, { ...options, sumFrequencies: true });
+        this._saveVocabData(merged, output);
+
+        return { remap, added, dropped, size: Object.keys(merged.vocab).length, warnings };
     }
 
     /**
-     * Tokenize text into words and punctuation
-     * @param {string} text - Input text to tokenize
-     * @returns {string[]} Array of normalized tokens
+     * Get the training frequency of every token
+     * @param {string} vocabFile - Vocabulary file path
+     * @returns {Object} Counts keyed by token
      */
-    tokenize(text) {
-        if (!text || typeof text !== 'string') {
-            return [];
-        }
+    getTokenFrequencies(vocabFile = this.vocabFile) {
+        const vocabData = this._loadVocabData(vocabFile);
+        return { ...vocabData.frequencies };
+    }
 
-        const tokens = text.match(/\w+|[^\w\s]/g) || [];
-        return tokens.map(token => {
-            return /\w/.test(token) ? token.toLowerCase() : token;
-        });
+    /**
+     * Encode text to token IDs
+     * @param {string} text - Text to encode
+     * @param {Object} options - Encoding options
+     * @param {boolean} options.expandVocab - Whether to add new tokens (default: true)
+     * @param {string} options.vocabFile - Vocabulary file path
+     * @param {boolean} options.addSpecialTokens - Wrap the sequence using the vocabulary's template (default: false)
+     * @param {boolean} options.returnOffsets - Return an Encoding with offsets instead of IDs (default: false)
+     * @returns {number[]|Encoding} Array of token IDs. Unknown tokens map to [UNK], or to
+     *   their UTF-8 byte tokens when the vocabulary was built with byte fallback
+     */
+    encode(text, options = {}) {
+        const encoding = this.encodeWithOffsets(text, options);
+        return options.returnOffsets ? encoding : encoding.ids;
     }
 
     /**
-     * Load vocabulary data from file
-     * @param {string} filename - Vocabulary file path
-     * @returns {Object} Vocabulary data structure
-     * @private
+     * Encode text to token IDs together with the character range of the
+     * original text each token came from. Byte-fallback IDs share the range of
+     * the token they encode; case markers get an empty range at the start of
+     * their word. Special tokens added by the template get an empty range at 0.
+     * @param {string} text - Text to encode
+     * @param {Object} options - Encoding options (see encode)
+     * @returns {Encoding} Token IDs, tokens, offsets and word indices
      */
-    _loadVocabData(filename = this.vocabFile) {
-        try {
-            if (!fs.existsSync(filename)) {
-                return this._createEmptyVocab();
+    encodeWithOffsets(text, options = {}) {
+        const { expandVocab = true, vocabFile = this.vocabFile, addSpecialTokens = false } = options;
+        
+        if (!text || typeof text !== 'string') {
+            return new Encoding();
+        }
+
+        const vocabData = this._loadVocabData(vocabFile);
+        
+        if (Object.keys(vocabData.vocab).length === 0) {
+            throw new Error('No vocabulary found. Build vocabulary first using buildVocab()');
+        }
+
+        const { words, normalized } = this._preTokenizeWithOffsets(text, vocabData);
+        const unknownId = vocabData.vocab[UNK_TOKEN];
+        const encoding = new Encoding();
+        const firstNewId = vocabData.nextTokenId;
+        let vocabChanged = false;
+        // Normalized end of the previous token when it fell back to bytes
+        let previousFallbackEnd = null;
+
+        for (const word of words) {
+            const tokens = this._isAtomicToken(word.token, vocabData)
+                ? [word.token]
+                : this._segment(word.token, vocabData, options);
+            const toNormalized = position => Math.min(word.start + position, word.end);
+            let cursor = 0;
+
+            for (const token of tokens) {
+                const start = toNormalized(cursor);
+                cursor += this._tokenSurface(token, word.token.slice(cursor), vocabData).length;
+                const span = Normalizer.originalSpan(normalized, start, toNormalized(cursor));
+
+                const fallback = !(token in vocabData.vocab) && !expandVocab && vocabData.byteFallback;
+                const separated = previousFallbackEnd !== null && start > previousFallbackEnd;
+                const fallbackText = fallback ? this._fallbackText(token, separated, vocabData) : null;
+                previousFallbackEnd = fallback ? toNormalized(cursor) : null;
+
+                let ids;
+                if (token in vocabData.vocab) {
+                    ids = [vocabData.vocab[token]];
+                } else if (expandVocab) {
+                    ids = [this._addTokenToVocabData(vocabData, token)];
+                    vocabChanged = true;
+                } else if (fallback) {
+                    ids = this._encodeBytes(fallbackText, vocabData);
+                } else {
+                    ids = [unknownId];
+                }
+
+                for (const id of ids) {
+                    encoding.push(id, vocabData.reverseVocab[id], [...span], word.wordId);
+                }
             }
-            
-            const jsonString = fs.readFileSync(filename, 'utf8');
-            const data = JSON.parse(jsonString);
-            
-            return {
-                vocab: data.vocab || {},
-                reverseVocab: data.reverseVocab || {},
-                nextTokenId: data.nextTokenId || 0
-            };
-        } catch (error) {
-            throw new Error(`Failed to load vocabulary: ${error.message}`);
         }
+
+        if (vocabChanged) {
+            this._scheduleSave(vocabData, vocabFile, firstNewId);
+            // Another process may have claimed some of the new tokens first, under other IDs
+            encoding.ids = encoding.tokens.map(token => vocabData.vocab[token]);
+        }
+
+        return addSpecialTokens ? this._applyTemplate([encoding], vocabData) : encoding;
     }
 
     /**
-     * Create empty vocabulary structure
-     * @returns {Object} Empty vocabulary data
+     * Wrap one or two encoded sequences with special tokens following a
+     * template. Roles without a registered token are skipped. Tokens from the
+     * second sequence onwards get type ID 1.
+     * @param {Encoding[]} encodings - The encoded sequence, or a pair of them
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @param {Object} template - Template to apply (default: the vocabulary's template)
+     * @returns {Encoding} Wrapped encoding
      * @private
      */
-    _createEmptyVocab() {
-        return {
-            vocab: {},
-            reverseVocab: {},
-            nextTokenId: 0
-        };
+    _applyTemplate(encodings, vocabData, template = vocabData.template) {
+        const items = encodings.length > 1 ? template.pair : template.single;
+        const result = new Encoding();
+        let typeId = 0;
+
+        for (const item of items) {
+            if (item === '$A' || item === '$B') {
+                typeId = item === '$B' ? 1 : typeId;
+                const encoding = encodings[item === '$A' ? 0 : 1];
+                encoding.ids.forEach((id, i) => {
+                    result.push(id, encoding.tokens[i], encoding.offsets[i], encoding.wordIds[i], typeId);
+                });
+                continue;
+            }
+
+            const token = vocabData.specialTokens[item];
+            if (token && token in vocabData.vocab) {
+                result.push(vocabData.vocab[token], token, [0, 0], null, typeId);
+            }
+        }
+
+        return result;
     }
 
     /**
-     * Save vocabulary data to file
-     * @param {Object} vocabData - Vocabulary data to save
-     * @param {string} filename - Target file path
+     * Count the special tokens a template adds
+     * @param {number} sequences - Number of sequences (1 or 2)
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {number} Number of added tokens
      * @private
      */
-    _saveVocabData(vocabData, filename = this.vocabFile) {
-        try {
-            const dataToSave = {
-                vocab: vocabData.vocab,
-                reverseVocab: vocabData.reverseVocab,
-                nextTokenId: vocabData.nextTokenId,
-                savedAt: new Date().toISOString(),
-                version: "1.0.0"
-            };
-            
-            const jsonString = JSON.stringify(dataToSave, null, 2);
-            fs.writeFileSync(filename, jsonString, 'utf8');
-        } catch (error) {
-            throw new Error(`Failed to save vocabulary: ${error.message}`);
-        }
+    _countTemplateTokens(sequences, vocabData) {
+        const items = sequences > 1 ? vocabData.template.pair : vocabData.template.single;
+        return items.filter(item => {
+            const token = vocabData.specialTokens[item];
+            return token && token in vocabData.vocab;
+        }).length;
     }
 
     /**
-     * Add token to vocabulary data structure
-     * @param {Object} vocabData - Vocabulary data
-     * @param {string} token - Token to add
-     * @returns {number} Token ID
+     * Shorten one sequence or a pair so they fit a token budget
+     * @param {Encoding[]} encodings - The encoded sequence, or a pair of them
+     * @param {number} budget - Tokens available to the sequences
+     * @param {string} strategy - 'longest_first', 'only_first' or 'only_second'
      * @private
      */
-    _addTokenToVocabData(vocabData, token) {
-        if (!(token in vocabData.vocab)) {
-            const id = vocabData.nextTokenId++;
-            vocabData.vocab[token] = id;
-            vocabData.reverseVocab[id] = token;
-            return id;
+    _truncateSequences(encodings, budget, strategy) {
+        if (budget < 0) {
+            throw new Error('maxLength is too short to fit the special tokens');
         }
-        return vocabData.vocab[token];
+
+        const lengths = encodings.map(encoding => encoding.length);
+        let excess = lengths.reduce((sum, length) => sum + length, 0) - budget;
+        if (excess <= 0) {
+            return;
+        }
+
+        if (strategy === 'longest_first') {
+            for (; excess > 0; excess--) {
+                lengths[lengths.length > 1 && lengths[1] >= lengths[0] ? 1 : 0]--;
+            }
+        } else {
+            const index = strategy === 'only_first' ? 0 : 1;
+            if (index >= lengths.length) {
+                throw new Error('only_second truncation requires sentence pairs');
+            }
+            if (excess > lengths[index]) {
+                throw new Error(`Cannot truncate with ${strategy}: the other sequence alone exceeds maxLength`);
+            }
+            lengths[index] -= excess;
+        }
+
+        encodings.forEach((encoding, i) => encoding.truncate(lengths[i]));
     }
 
     /**
-     * Initialize vocabulary with special tokens
-     * @param {string} filename - Vocabulary file path
-     * @returns {Object} Initialized vocabulary data
+     * Encode several texts or sentence pairs into rectangular batches
+     * @param {Array<string|string[]>} texts - Texts, or [first, second] pairs
+     * @param {Object} options - Batch options; other options are passed to encode
+     * @param {string|boolean} options.padding - 'longest', 'max_length' or false (default: 'longest')
+     * @param {number} options.maxLength - Length used by 'max_length' padding and truncation
+     * @param {string|boolean} options.truncation - 'longest_first' (or true), 'only_first',
+     *   'only_second' or false (default: false)
+     * @param {number} options.padToMultipleOf - Round the padded length up to a multiple of this
+     * @param {boolean} options.addSpecialTokens - Wrap sequences using the vocabulary's template (default: true)
+     * @param {boolean} options.returnAttentionMask - Include attentionMask (default: true)
+     * @param {boolean} options.returnTokenTypeIds - Include tokenTypeIds (default: false)
+     * @returns {Object} { inputIds, attentionMask?, tokenTypeIds?, encodings }
      */
-    initializeVocab(filename = this.vocabFile) {
-        const vocabData = this._createEmptyVocab();
-        this._addTokenToVocabData(vocabData, UNK_TOKEN);
-        this._saveVocabData(vocabData, filename);
-        return vocabData;
+    encodeBatch(texts, options = {}) {
+        const {
+            padding = 'longest',
+            maxLength,
+            truncation = false,
+            padToMultipleOf,
+            addSpecialTokens = true,
+            returnAttentionMask = true,
+            returnTokenTypeIds = false,
+            vocabFile = this.vocabFile
+        } = options;
+        const strategy = truncation === true ? 'longest_first' : truncation;
+
+        if (!Array.isArray(texts)) {
+            throw new Error('Texts must be an array');
+        }
+        if (![false, 'longest', 'max_length'].includes(padding)) {
+            throw new Error(`Unknown padding strategy: ${padding}`);
+        }
+        if (![false, 'longest_first', 'only_first', 'only_second'].includes(strategy)) {
+            throw new Error(`Unknown truncation strategy: ${truncation}`);
+        }
+        if ((padding === 'max_length' || strategy) && !(maxLength > 0)) {
+            throw new Error('maxLength is required for max_length padding and truncation');
+        }
+
+        const vocabData = this._loadVocabData(vocabFile);
+        const template = addSpecialTokens ? vocabData.template : { single: ['$A'], pair: ['$A', '$B'] };
+        const encodeOptions = { ...options, vocabFile, addSpecialTokens: false };
+
+        const encodings = texts.map(item => {
+            const sequences = Array.isArray(item) ? item : [item];
+            if (sequences.length < 1 || sequences.length > 2) {
+                throw new Error('Each batch item must be a text or a pair of texts');
+            }
+
+            const encoded = sequences.map(text => this.encodeWithOffsets(text, encodeOptions));
+            if (strategy) {
+                const specials = addSpecialTokens ? this._countTemplateTokens(encoded.length, vocabData) : 0;
+                this._truncateSequences(encoded, maxLength - specials, strategy);
+            }
+            return this._applyTemplate(encoded, vocabData, template);
+        });
+
+        let targetLength = null;
+        if (padding === 'longest') {
+            targetLength = encodings.reduce((max, encoding) => Math.max(max, encoding.length), 0);
+        } else if (padding === 'max_length') {
+            targetLength = maxLength;
+        }
+        if (targetLength !== null && padToMultipleOf > 0) {
+            targetLength = Math.ceil(targetLength / padToMultipleOf) * padToMultipleOf;
+        }
+
+        if (targetLength !== null && encodings.some(encoding => encoding.length < targetLength)) {
+            const padToken = vocabData.specialTokens.pad;
+            const padId = padToken === undefined ? undefined : vocabData.vocab[padToken];
+            if (padId === undefined) {
+                throw new Error('Padding requires a [PAD] token. Register one with the "pad" special token');
+            }
+            encodings.forEach(encoding => encoding.pad(targetLength, padId, padToken));
+        }
+
+        const result = { inputIds: encodings.map(encoding => encoding.ids) };
+        if (returnAttentionMask) {
+            result.attentionMask = encodings.map(encoding => encoding.attentionMask);
+        }
+        if (returnTokenTypeIds) {
+            result.tokenTypeIds = encodings.map(encoding => encoding.typeIds);
+        }
+        result.encodings = encodings;
+
+        return result;
     }
 
     /**
-     * Build vocabulary from training texts
-     * @param {string[]} texts - Array of training texts
-     * @param {string} filename - Vocabulary file path
-     * @returns {Object} Vocabulary mapping (token → ID)
+     * Find the tokens that start a new sentence
+     * @param {Encoding} encoding - Encoding of the text
+     * @param {string} text - Original text
+     * @returns {number[]} Token indices, in ascending order
+     * @private
      */
-    buildVocab(texts, filename = this.vocabFile) {
-        if (!Array.isArray(texts)) {
-            throw new Error('Training texts must be an array of strings');
-        }
+    _sentenceStarts(encoding, text) {
+        const starts = [];
+        let token = 0;
 
-        const vocabData = this.initializeVocab(filename);
-        
-        for (const text of texts) {
-            const tokens = this.tokenize(text);
-            tokens.forEach(token => this._addTokenToVocabData(vocabData, token));
+        for (const match of text.matchAll(SENTENCE_END)) {
+            const position = match.index + match[0].length;
+            while (token < encoding.length && encoding.offsets[token][0] < position) {
+                token++;
+            }
+            if (token > 0 && token < encoding.length && starts[starts.length - 1] !== token) {
+                starts.push(token);
+            }
         }
-        
-        this._saveVocabData(vocabData, filename);
-        return { ...vocabData.vocab };
+
+        return starts;
     }
 
     /**
-     * Encode text to token IDs
+     * Encode a long text into overlapping windows that fit a context limit.
+     * Every window keeps its offsets into the original text; the first window
+     * is the main encoding and the rest are its overflow.
      * @param {string} text - Text to encode
-     * @param {Object} options - Encoding options
-     * @param {boolean} options.expandVocab - Whether to add new tokens (default: true)
-     * @param {string} options.vocabFile - Vocabulary file path
-     * @returns {number[]} Array of token IDs
+     * @param {Object} options - Chunking options; other options are passed to encode
+     * @param {number} options.maxLength - Tokens per window, including added special tokens
+     * @param {number} options.stride - Tokens shared by consecutive windows (default: 0)
+     * @param {boolean} options.respectSentences - End windows at sentence boundaries where
+     *   possible and overlap by whole sentences (default: false)
+     * @param {boolean} options.addSpecialTokens - Wrap every window using the vocabulary's template (default: false)
+     * @returns {Encoding[]} Windows in document order
      */
-    encode(text, options = {}) {
-        const { expandVocab = true, vocabFile = this.vocabFile } = options;
-        
-        if (!text || typeof text !== 'string') {
-            return [];
+    encodeChunks(text, options = {}) {
+        const {
+            maxLength,
+            stride = 0,
+            respectSentences = false,
+            addSpecialTokens = false,
+            vocabFile = this.vocabFile
+        } = options;
+
+        if (!(maxLength > 0)) {
+            throw new Error('maxLength must be a positive number');
         }
 
+        const encoding = this.encodeWithOffsets(text, { ...options, addSpecialTokens: false });
         const vocabData = this._loadVocabData(vocabFile);
-        
-        if (Object.keys(vocabData.vocab).length === 0) {
-            throw new Error('No vocabulary found. Build vocabulary first using buildVocab()');
+        const budget = maxLength - (addSpecialTokens ? this._countTemplateTokens(1, vocabData) : 0);
+
+        if (budget <= 0) {
+            throw new Error('maxLength is too short to fit the special tokens');
+        }
+        if (stride < 0 || stride >= budget) {
+            throw new Error(`stride must be between 0 and ${budget - 1}`);
         }
 
-        const tokens = this.tokenize(text);
-        const unknownId = vocabData.vocab[UNK_TOKEN];
-        let vocabChanged = false;
+        const sentenceStarts = respectSentences ? this._sentenceStarts(encoding, text) : [];
+        const windows = [];
+        let start = 0;
 
-        const tokenIds = tokens.map(token => {
-            if (token in vocabData.vocab) {
-                return vocabData.vocab[token];
-            } else if (expandVocab) {
-                const tokenId = this._addTokenToVocabData(vocabData, token);
-                vocabChanged = true;
-                return tokenId;
-            } else {
-                return unknownId;
+        do {
+            let end = Math.min(start + budget, encoding.length);
+            if (end < encoding.length) {
+                const boundary = sentenceStarts.filter(index => index > start && index <= end).pop();
+                end = boundary || end;
             }
-        });
+            windows.push(encoding.slice(start, end));
 
-        if (vocabChanged) {
-            this._saveVocabData(vocabData, vocabFile);
-        }
+            if (end >= encoding.length) {
+                break;
+            }
+
+            let next = end - stride;
+            if (respectSentences && stride > 0) {
+                // Back up to the first sentence that fits in the overlap
+                const boundary = sentenceStarts.find(index => index >= next && index <= end);
+                next = boundary !== undefined ? boundary : next;
+            }
+            start = Math.max(next, start + 1);
+        } while (start < encoding.length);
 
-        return tokenIds;
+        return addSpecialTokens ? windows.map(window => this._applyTemplate([window], vocabData)) : windows;
     }
 
     /**
      * Decode token IDs back to text
      * @param {number[]} ids - Array of token IDs
      * @param {string} vocabFile - Vocabulary file path
+     * @param {Object} options - Decoding options
+     * @param {boolean} options.skipSpecialTokens - Leave registered special tokens out of the text (default: false)
      * @returns {string} Decoded text
      */
-    decode(ids, vocabFile = this.vocabFile) {
+    decode(ids, vocabFile = this.vocabFile, options = {}) {
+        const { skipSpecialTokens = false } = options;
+
         if (!Array.isArray(ids)) {
             throw new Error('Token IDs must be an array of numbers');
         }
@@ -221,26 +1889,99 @@ class Tokenizer {
             throw new Error('No vocabulary found. Build vocabulary first using buildVocab()');
         }
 
-        const tokens = ids.map(id => {
+        let tokens = ids.map(id => {
             return vocabData.reverseVocab[id] || UNK_TOKEN;
         });
 
-        return this._reconstructText(tokens);
+        if (skipSpecialTokens) {
+            const specialTokens = new Set(Object.values(vocabData.specialTokens));
+            tokens = tokens.filter(token => !specialTokens.has(token));
+        }
+
+        return this._reconstructText(this._decodeByteRuns(tokens), vocabData);
+    }
+
+    /**
+     * Get the text a byte-fallback token stands for. Consecutive byte tokens are
+     * decoded as one run, so word boundaries are written out explicitly: a space
+     * where the text separated the token from the previous byte-fallback token
+     * (words written without spaces, such as CJK, stay joined), or the real space
+     * behind a "Ġ" marker in lossless mode.
+     * @param {string} token - Token missing from the vocabulary
+     * @param {boolean} separated - Whether the previous token also fell back to bytes
+     *   and whitespace stood between the two
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {string} Text to encode as bytes
+     * @protected
+     */
+    _fallbackText(token, separated, vocabData) {
+        if (vocabData.lossless) {
+            return token.length > 1 && token.startsWith(SPACE_MARKER) ? ' ' + token.slice(1) : token;
+        }
+        return separated ? ' ' + token : token;
+    }
+
+    /**
+     * Encode a token as UTF-8 byte token IDs
+     * @param {string} token - Token missing from the vocabulary
+     * @param {Object} vocabData - Loaded vocabulary data
+     * @returns {number[]} Byte token IDs
+     * @private
+     */
+    _encodeBytes(token, vocabData) {
+        return Array.from(Buffer.from(token, 'utf8'), byte => vocabData.vocab[this._byteToken(byte)]);
+    }
+
+    /**
+     * Replace each run of consecutive byte tokens with the text it encodes
+     * @param {string[]} tokens - Array of tokens
+     * @returns {string[]} Tokens with byte runs reassembled
+     * @private
+     */
+    _decodeByteRuns(tokens) {
+        const result = [];
+        let bytes = [];
+
+        const flush = () => {
+            if (bytes.length > 0) {
+                result.push(Buffer.from(bytes).toString('utf8'));
+                bytes = [];
+            }
+        };
+
+        for (const token of tokens) {
+            const match = BYTE_TOKEN_PATTERN.exec(token);
+            if (match) {
+                bytes.push(parseInt(match[1], 16));
+            } else {
+                flush();
+                result.push(token);
+            }
+        }
+        flush();
+
+        return result;
     }
 
     /**
      * Reconstruct text from tokens with proper spacing
      * @param {string[]} tokens - Array of tokens
+     * @param {Object} vocabData - Loaded vocabulary data
      * @returns {string} Reconstructed text
      * @private
      */
-    _reconstructText(tokens) {
+    _reconstructText(tokens, vocabData) {
+        if (vocabData && vocabData.lossless) {
+            return this._reconstructLossless(tokens);
+        }
+
         let result = '';
         
         for (let i = 0; i < tokens.length; i++) {
             const token = tokens[i];
             
-            if (i === 0 || /^[^\w\s]$/.test(token)) {
+            // Punctuation attaches to the word before it; symbols and emoji do not
+            if (i === 0 || /^\p{P}$/u.test(token)) {
                 result += token;
             } else {
                 result += ' ' + token;
@@ -250,6 +1991,35 @@ class Tokenizer {
         return result;
     }
 
+    /**
+     * Reconstruct text exactly from lossless tokens
+     * @param {string[]} tokens - Array of tokens with space and case markers
+     * @returns {string} Reconstructed text
+     * @private
+     */
+    _reconstructLossless(tokens) {
+        let result = '';
+        let caseMarker = null;
+
+        for (const token of tokens) {
+            if (token === CAP_TOKEN || token === UPPER_TOKEN) {
+                caseMarker = token;
+                continue;
+            }
+
+            let text = token.length > 1 && token.startsWith(SPACE_MARKER) ? ' ' + token.slice(1) : token;
+            if (caseMarker === CAP_TOKEN) {
+                text = text.replace(/^(\s*)(\S*)/u, (match, space, word) => space + this._capitalize(word));
+            } else if (caseMarker === UPPER_TOKEN) {
+                text = text.replace(/^(\s*)(\S*)/u, (match, space, word) => space + word.toUpperCase());
+            }
+            caseMarker = null;
+            result += text;
+        }
+
+        return result;
+    }
+
     /**
      * Get current vocabulary size
      * @param {string} vocabFile - Vocabulary file path
@@ -280,41 +2050,146 @@ class Tokenizer {
         return {
             size: Object.keys(vocabData.vocab).length,
             nextTokenId: vocabData.nextTokenId,
-            hasUnknownToken: UNK_TOKEN in vocabData.vocab
+            hasUnknownToken: UNK_TOKEN in vocabData.vocab,
+            byteFallback: vocabData.byteFallback,
+            lossless: vocabData.lossless,
+            normalizer: [...vocabData.normalizer],
+            preTokenizer: [...vocabData.preTokenizer],
+            specialTokens: { ...vocabData.specialTokens }
         };
     }
 
     /**
-     * Export vocabulary to JSON string
+     * Get the registered special tokens with their reserved IDs
      * @param {string} vocabFile - Vocabulary file path
-     * @returns {string} JSON representation
+     * @returns {Object} { token, id } keyed by role; id is undefined if the token was never reserved
      */
-    exportVocab(vocabFile = this.vocabFile) {
+    getSpecialTokens(vocabFile = this.vocabFile) {
         const vocabData = this._loadVocabData(vocabFile);
-        return JSON.stringify({
-            vocab: vocabData.vocab,
-            reverseVocab: vocabData.reverseVocab,
-            nextTokenId: vocabData.nextTokenId
-        }, null, 2);
+        return Object.fromEntries(Object.entries(vocabData.specialTokens).map(([role, token]) => {
+            return [role, { token, id: vocabData.vocab[token] }];
+        }));
+    }
+
+    /**
+     * Export vocabulary as this project's JSON or in another library's format
+     * @param {string} vocabFile - Vocabulary file path
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'json', 'hf' (HuggingFace tokenizer.json), 'bert'
+     *   (vocab.txt) or 'gpt2' (vocab.json and merges.txt) (default: 'json')
+     * @returns {string|Object} File contents; { vocab, merges } for 'gpt2'
+     */
+    exportVocab(vocabFile = this.vocabFile, options = {}) {
+        const { format = 'json' } = options;
+        const data = this._fromVocabData(this._loadVocabData(vocabFile));
+        return format === 'json' ? JSON.stringify(data, null, 2) : exportVocabData(format, data);
     }
 
     /**
-     * Import vocabulary from JSON string
-     * @param {string} jsonString - JSON vocabulary data
+     * Import vocabulary from this project's JSON or another library's format.
+     * Settings the source does not define are taken from this tokenizer, and a
+     * vocabulary of another model is refused.
+     * @param {string|Object} input - Source contents: JSON text for 'json', tokenizer.json
+     *   text or object for 'hf', vocab.txt text for 'bert', { vocab, merges } for 'gpt2'
      * @param {string} vocabFile - Target vocabulary file
+     * @param {Object} options - Import options
+     * @param {string} options.format - 'json', 'hf', 'bert' or 'gpt2' (default: 'json')
+     * @returns {Object} { size, warnings } where warnings list what could not be carried over
      */
-    importVocab(jsonString, vocabFile = this.vocabFile) {
-        try {
-            const data = JSON.parse(jsonString);
-            const vocabData = {
-                vocab: data.vocab || {},
-                reverseVocab: data.reverseVocab || {},
-                nextTokenId: data.nextTokenId || 0
-            };
+    importVocab(input, vocabFile = this.vocabFile, options = {}) {
+        const { format = 'json' } = options;
+
+        if (format === 'json') {
+            let data;
+            try {
+                ({ data } = migrateVocab(JSON.parse(input)));
+                this._assertValid(data, 'The imported JSON');
+            } catch (error) {
+                throw new Error(`Invalid vocabulary JSON: ${error.message}`);
+            }
+            this._assertImportModel(data.model);
+
+            const vocabData = this._toVocabData(data);
             this._saveVocabData(vocabData, vocabFile);
-        } catch (error) {
-            throw new Error(`Invalid vocabulary JSON: ${error.message}`);
+            return { size: Object.keys(vocabData.vocab).length, warnings: [] };
+        }
+
+        const { data, warnings } = importVocabData(format, input);
+        if (!data.model && this.model !== 'word' && this.model !== 'wordpiece') {
+            throw new Error(`A ${format} vocabulary has no merge rules or scores for the ${this.model} model; import it into a word or wordpiece tokenizer`);
+        }
+        this._assertImportModel(data.model);
+
+        const vocabData = this._toVocabData({
+            normalizer: this.normalizer.toJSON(),
+            preTokenizer: this.preTokenizer.toJSON(),
+            template: this.template,
+            ...data
+        });
+        this._saveVocabData(vocabData, vocabFile);
+        return { size: Object.keys(vocabData.vocab).length, warnings };
+    }
+
+    /**
+     * Throw if imported vocabulary data was built by another model, whose merge
+     * rules or scores this tokenizer would drop
+     * @param {string} model - Model named by the imported data, if any
+     * @private
+     */
+    _assertImportModel(model) {
+        if (model && model !== this.model) {
+            throw new Error(`Cannot import a ${model} vocabulary into a ${this.model} tokenizer; create one with createTokenizer(vocabFile, { model: '${model}' })`);
+        }
+    }
+
+    /**
+     * Check a vocabulary file for integrity problems without loading it. Files
+     * in an older layout are checked as migrated.
+     * @param {string} vocabFile - Vocabulary file path
+     * @returns {Object} { valid, errors, warnings, version } where issues are { code, message }
+     *   and version is the layout version the file was written in
+     */
+    validateVocab(vocabFile = this.vocabFile) {
+        if (!fs.existsSync(vocabFile)) {
+            throw new Error(`Vocabulary file not found: ${vocabFile}`);
+        }
+
+        const { data, from } = migrateVocab(parseVocab(fs.readFileSync(vocabFile), vocabFile));
+        return { ...validateVocab(data), version: from };
+    }
+
+    /**
+     * Repair a vocabulary file that fails validation: rebuild reverseVocab from
+     * vocab, give new IDs to tokens with invalid or duplicate ones, add missing
+     * special tokens and correct nextTokenId. The file is migrated to the
+     * current layout when written.
+     * @param {string} vocabFile - Vocabulary file path
+     * @returns {Object} { changes, valid, errors } with a description of each change and
+     *   any problems repair cannot fix
+     */
+    repairVocab(vocabFile = this.vocabFile) {
+        if (!fs.existsSync(vocabFile)) {
+            throw new Error(`Vocabulary file not found: ${vocabFile}`);
+        }
+
+        this._forget(path.resolve(vocabFile));
+        const { data: migrated, from, applied } = migrateVocab(parseVocab(fs.readFileSync(vocabFile), vocabFile));
+        const { data, changes } = repairVocab(migrated);
+        const { valid, errors } = validateVocab(data);
+        if (applied.length > 0) {
+            changes.unshift(`Migrated from version ${from} to ${VOCAB_VERSION}`);
+        }
+
+        // Written as stored rather than through this tokenizer, which may be of another model
+        if (valid && changes.length > 0) {
+            const key = path.resolve(vocabFile);
+            try {
+                withLock(key, () => writeFileAtomic(key, serializeVocab({ ...data, savedAt: new Date().toISOString() }, key)), this.lockOptions);
+            } catch (error) {
+                throw new Error(`Failed to save vocabulary: ${error.message}`);
+            }
         }
+        return { changes, valid, errors };
     }
 
     /**
@@ -322,6 +2197,7 @@ class Tokenizer {
      * @param {string} vocabFile - Vocabulary file path
      */
     resetVocab(vocabFile = this.vocabFile) {
+        this._forget(path.resolve(vocabFile));
         if (fs.existsSync(vocabFile)) {
             fs.unlinkSync(vocabFile);
         }
@@ -330,3 +2206,7 @@ class Tokenizer {
 }
 
 module.exports = Tokenizer;
+module.exports.UNK_TOKEN = UNK_TOKEN;
+module.exports.SPACE_MARKER = SPACE_MARKER;
+module.exports.DEFAULT_VOCAB_FILE = DEFAULT_VOCAB_FILE;
+module.exports.DEFAULT_SPECIAL_TOKENS = DEFAULT_SPECIAL_TOKENS;